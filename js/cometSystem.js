@@ -0,0 +1,343 @@
+/** Most comets in the sky at once */
+const MAX_COMETS = 3;
+
+/** Most tail particles alive at once, over all comets */
+const MAX_PARTICLES = 2000;
+
+/** Lifetime of dust and ion tail particles in milliseconds */
+const DUST_LIFE = 5000;
+const ION_LIFE = 2500;
+
+/** Tail particles emitted per second by a comet at full brightness */
+const DUST_RATE = 40;
+const ION_RATE = 30;
+
+/** Share of its own velocity a dust grain keeps; the grains fall behind the comet, which bends the dust tail */
+const DUST_INERTIA = 0.5;
+
+/** Share of the crossing spent fading in, and fading out at the end */
+const FADE = 0.1;
+
+/** Particle kinds */
+const DUST = 0;
+const ION = 1;
+
+/**
+ * Comets that cross the sky slowly, over tens of seconds.
+ * Each comet has a glowing coma and two tails made of particle streams, both
+ * blown away from the sun: a straight, blue ion tail of fast particles, and a
+ * broader, curved dust tail of slower grains that keep part of the comet's
+ * velocity and so fall behind it. A comet and its tails share one parallax
+ * depth, like a star. Comets and particles are pooled and reused.
+ * @class
+ */
+class CometSystem {
+    /**
+     * Create a new CometSystem instance.
+     * @param {Object} [config={}] - Comet configuration (see setConfig)
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: false,
+            frequency: 1, // Comets per minute on average
+            size: 6, // Coma radius in pixels
+            tailLength: 250, // Length of the ion tail in pixels; the dust tail is a little shorter
+            sunAngle: 0 // Direction of the sun from the sky in degrees (0 is right, 90 is down); the tails point away from it
+        };
+        this.setConfig(config);
+
+        /** @type {Object[]} Comets, reused once they have crossed the sky */
+        this.comets = [];
+
+        /** @type {Object[]} Tail particles, reused once they have faded */
+        this.particles = [];
+
+        /** @type {number} Comets currently in the sky */
+        this.activeCount = 0;
+
+        /** @type {number} Tail particles currently alive */
+        this.particleCount = 0;
+    }
+
+    /**
+     * Set comet configuration
+     * @param {Object} config - Comet configuration
+     * @param {boolean} [config.enabled] - Whether comets appear
+     * @param {number} [config.frequency] - Comets per minute on average
+     * @param {number} [config.size] - Coma radius in pixels
+     * @param {number} [config.tailLength] - Tail length in pixels
+     * @param {number} [config.sunAngle] - Direction of the sun in degrees
+     * @returns {void}
+     */
+    setConfig(config) {
+        const { config: current } = this;
+
+        if (config.enabled !== undefined) {
+            current.enabled = !!config.enabled;
+        }
+        if (config.frequency !== undefined) {
+            current.frequency = Math.max(0, config.frequency);
+        }
+        if (config.size !== undefined) {
+            current.size = Math.max(1, config.size);
+        }
+        if (config.tailLength !== undefined) {
+            current.tailLength = Math.max(0, config.tailLength);
+        }
+        if (config.sunAngle !== undefined) {
+            current.sunAngle = ((config.sunAngle % 360) + 360) % 360;
+        }
+    }
+
+    /**
+     * Remove every comet and tail particle,
+     * e.g. when the sky is regenerated or simulated time jumps.
+     * @returns {void}
+     */
+    reset() {
+        this.comets.forEach(comet => {
+            comet.active = false;
+        });
+        this.particles.forEach(particle => {
+            particle.active = false;
+        });
+        this.activeCount = 0;
+        this.particleCount = 0;
+    }
+
+    /**
+     * Start new comets, move the ones in the sky and stream their tails.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {number} deltaTime - Time since the previous update in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @returns {void}
+     */
+    update(time, deltaTime, random, width, height) {
+        const { config } = this;
+
+        // Comets arrive at random, on average at the configured frequency
+        if (config.enabled && this.activeCount < MAX_COMETS &&
+            random() < config.frequency / 60000 * deltaTime) {
+            this._spawn(time, random, width, height);
+        }
+
+        if (this.activeCount === 0 && this.particleCount === 0) return;
+
+        const sunAngle = config.sunAngle * Math.PI / 180;
+        const awayX = -Math.cos(sunAngle);
+        const awayY = -Math.sin(sunAngle);
+
+        this.comets.forEach(comet => {
+            if (!comet.active) return;
+
+            const progress = (time - comet.start) / comet.duration;
+            if (progress >= 1 || progress < 0) {
+                comet.active = false;
+                this.activeCount--;
+                return;
+            }
+
+            comet.x = comet.startX + comet.velocityX * (time - comet.start);
+            comet.y = comet.startY + comet.velocityY * (time - comet.start);
+            comet.brightness = Math.min(1, progress / FADE, (1 - progress) / FADE);
+
+            this._emit(comet, deltaTime, random, awayX, awayY);
+        });
+
+        this.particles.forEach(particle => {
+            if (!particle.active) return;
+
+            particle.age += deltaTime;
+            if (particle.age >= particle.life) {
+                particle.active = false;
+                this.particleCount--;
+                return;
+            }
+            particle.x += particle.velocityX * deltaTime;
+            particle.y += particle.velocityY * deltaTime;
+        });
+    }
+
+    /**
+     * Start a comet on a straight path across the sky, from just outside one
+     * side to just outside the opposite one.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @private
+     * @returns {void}
+     */
+    _spawn(time, random, width, height) {
+        let comet = this.comets.find(candidate => !candidate.active);
+        if (!comet) {
+            comet = {};
+            this.comets.push(comet);
+        }
+
+        const { size, tailLength } = this.config;
+        const radius = Math.hypot(width, height) / 2 + size * 4;
+        const entry = random() * Math.PI * 2;
+        const exit = entry + Math.PI + (random() * 2 - 1) * 0.6;
+        const startX = width / 2 + Math.cos(entry) * radius;
+        const startY = height / 2 + Math.sin(entry) * radius;
+        const endX = width / 2 + Math.cos(exit) * radius;
+        const endY = height / 2 + Math.sin(exit) * radius;
+
+        // Its tail may follow it in, so it takes a little longer than the crossing itself
+        const duration = (20 + random() * 40) * 1000 + tailLength * 20;
+
+        Object.assign(comet, {
+            active: true,
+            start: time,
+            duration,
+            startX,
+            startY,
+            velocityX: (endX - startX) / duration,
+            velocityY: (endY - startY) / duration,
+            depth: 0.5 + random() * 0.5, // Parallax depth, as for stars (0.5-1.0)
+            size: size * (0.7 + random() * 0.6),
+            x: startX,
+            y: startY,
+            brightness: 0,
+            dustDebt: 0,
+            ionDebt: 0
+        });
+        this.activeCount++;
+    }
+
+    /**
+     * Emit the tail particles a comet sheds during a step.
+     * @param {Object} comet - Comet
+     * @param {number} deltaTime - Step length in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} awayX - X component of the unit vector pointing away from the sun
+     * @param {number} awayY - Y component of the unit vector pointing away from the sun
+     * @private
+     * @returns {void}
+     */
+    _emit(comet, deltaTime, random, awayX, awayY) {
+        const { tailLength } = this.config;
+        const seconds = deltaTime / 1000 * comet.brightness;
+
+        comet.dustDebt += DUST_RATE * seconds;
+        comet.ionDebt += ION_RATE * seconds;
+
+        // Dust grains drift slowly and keep part of the comet's motion
+        const dustSpeed = tailLength * 0.7 / DUST_LIFE;
+        while (comet.dustDebt >= 1) {
+            comet.dustDebt--;
+            const speed = dustSpeed * (0.4 + random() * 0.8);
+            const spread = (random() * 2 - 1) * 0.25 * speed;
+            this._addParticle(comet, DUST, DUST_LIFE * (0.6 + random() * 0.4),
+                comet.velocityX * DUST_INERTIA + awayX * speed - awayY * spread,
+                comet.velocityY * DUST_INERTIA + awayY * speed + awayX * spread,
+                random);
+        }
+
+        // Ions are blown straight out by the solar wind
+        const ionSpeed = tailLength / ION_LIFE;
+        while (comet.ionDebt >= 1) {
+            comet.ionDebt--;
+            const speed = ionSpeed * (0.8 + random() * 0.4);
+            const spread = (random() * 2 - 1) * 0.03 * speed;
+            this._addParticle(comet, ION, ION_LIFE * (0.7 + random() * 0.3),
+                awayX * speed - awayY * spread,
+                awayY * speed + awayX * spread,
+                random);
+        }
+    }
+
+    /**
+     * Add a tail particle at a comet's nucleus, reusing a faded one if possible.
+     * @param {Object} comet - Comet shedding the particle
+     * @param {number} kind - DUST or ION
+     * @param {number} life - Lifetime in milliseconds
+     * @param {number} velocityX - Velocity in pixels per millisecond
+     * @param {number} velocityY - Velocity in pixels per millisecond
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @private
+     * @returns {void}
+     */
+    _addParticle(comet, kind, life, velocityX, velocityY, random) {
+        if (this.particleCount >= MAX_PARTICLES) return;
+
+        let particle = this.particles.find(candidate => !candidate.active);
+        if (!particle) {
+            particle = {};
+            this.particles.push(particle);
+        }
+
+        const offset = comet.size * 0.3;
+        Object.assign(particle, {
+            active: true,
+            kind,
+            x: comet.x + (random() * 2 - 1) * offset,
+            y: comet.y + (random() * 2 - 1) * offset,
+            velocityX,
+            velocityY,
+            age: 0,
+            life,
+            depth: comet.depth,
+            size: comet.size,
+            brightness: comet.brightness
+        });
+        this.particleCount++;
+    }
+
+    /**
+     * Draw the tails, then the comas over them.
+     * @param {CanvasRenderingContext2D} ctx - 2D rendering context
+     * @param {number} parallaxOffsetX - Parallax offset of the nearest stars in pixels
+     * @param {number} parallaxOffsetY - Parallax offset of the nearest stars in pixels
+     * @returns {void}
+     */
+    draw(ctx, parallaxOffsetX, parallaxOffsetY) {
+        if (this.activeCount === 0 && this.particleCount === 0) return;
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+
+        // Tails: dust spreads out and yellows as it ages, ions stay fine and blue
+        this.particles.forEach(particle => {
+            if (!particle.active) return;
+
+            const fade = 1 - particle.age / particle.life;
+            const x = particle.x + parallaxOffsetX * particle.depth;
+            const y = particle.y + parallaxOffsetY * particle.depth;
+
+            if (particle.kind === DUST) {
+                const size = 1 + particle.size * 0.15 * (1 + particle.age / 1000);
+                ctx.fillStyle = `hsla(45, 70%, 80%, ${fade * fade * 0.25 * particle.brightness})`;
+                ctx.fillRect(x - size / 2, y - size / 2, size, size);
+            } else {
+                ctx.fillStyle = `hsla(200, 90%, 70%, ${fade * 0.35 * particle.brightness})`;
+                ctx.fillRect(x - 0.75, y - 0.75, 1.5, 1.5);
+            }
+        });
+
+        // Comas
+        this.comets.forEach(comet => {
+            if (!comet.active || comet.brightness <= 0) return;
+
+            const x = comet.x + parallaxOffsetX * comet.depth;
+            const y = comet.y + parallaxOffsetY * comet.depth;
+            const radius = comet.size * 3;
+
+            const coma = ctx.createRadialGradient(x, y, 0, x, y, radius);
+            coma.addColorStop(0, `hsla(190, 60%, 95%, ${comet.brightness})`);
+            coma.addColorStop(0.15, `hsla(180, 70%, 75%, ${comet.brightness * 0.6})`);
+            coma.addColorStop(1, 'hsla(180, 70%, 60%, 0)');
+            ctx.fillStyle = coma;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+}
+
+export { CometSystem };
@@ -0,0 +1,205 @@
+/**
+ * Control panel description.
+ * ControlPanelManager renders these settings in order, one section after
+ * another; main.js writes each change into the config and passes it to the
+ * Starfield. Adding a setting to the panel means adding a descriptor here
+ * (and its schema entry in schema.js).
+ *
+ * Descriptor fields:
+ * - `path` - Dotted config path of the setting, e.g. `'starLinks.maxDistance'`
+ * - `section` - Section the control is rendered in; consecutive controls of a section are grouped
+ * - `type` - `'toggle'`, `'range'`, `'number'`, `'select'`, `'color'`, `'palette'`
+ *   (a row of colour inputs for an array of colours) or `'element'` (hand-built
+ *   markup from index.html, moved here by its `id`)
+ * - `label` - Text shown with the control
+ * - `min`, `max`, `step` - Range and number input limits, in displayed units
+ * - `scale` - Displayed value per stored unit (e.g. 100 to show 0-1 as a percentage)
+ * - `digits` - Decimals shown next to a range
+ * - `unit` - Text shown after the value of a range
+ * - `options` - `[value, label]` pairs of a select
+ * - `count` - Number of colours of a palette
+ * - `dependsOn` - Path of the toggle that shows the control, or `{ path, equals }`
+ *   to show it only while that setting has a given value
+ * - `setter` - Starfield method called with the new value, or with
+ *   `{ [option]: value }` when `option` is set
+ * - `apply(starfield, value, config)` - Instead of `setter`, for settings that need more than one call
+ * - `regenerate` - Recreate the stars after the setter
+ * - `reload` - Reload the page to apply the setting
+ * @type {Array<Object>}
+ */
+const CONTROLS = [
+    // General
+    { path: 'starCount', section: 'general', type: 'range', label: 'Star Count', min: 100, max: 4000, step: 100, setter: 'setOptions', option: 'starCount', regenerate: true },
+    { path: 'animationSpeed', section: 'general', type: 'range', label: 'Animation Speed', min: 0.1, max: 3, step: 0.1, digits: 1, unit: 'x', setter: 'setAnimationSpeed' },
+    { section: 'general', type: 'element', id: 'simulationTimeControls' },
+    { path: 'trailFadeSpeed', section: 'general', type: 'range', label: 'Trail Fade Speed', min: 0.01, max: 0.3, step: 0.01, digits: 2, setter: 'setTrailFadeSpeed' },
+
+    // Rendering
+    { path: 'rendering.highFidelity', section: 'rendering', type: 'toggle', label: 'High Fidelity Stars', setter: 'setHighFidelity' },
+    {
+        path: 'simulation.fixedTimestep', section: 'rendering', type: 'toggle', label: 'Fixed Timestep',
+        apply: (starfield, value, config) => starfield.setFixedTimestep(value, 1000 / config.simulation.stepsPerSecond)
+    },
+    // A canvas cannot be handed back from a worker, so switching needs a fresh page
+    { path: 'rendering.worker', section: 'rendering', type: 'toggle', label: 'Render in Worker', reload: true },
+    { section: 'rendering', type: 'element', id: 'qualityControls' },
+
+    // Pointer connections
+    { path: 'mouseConnection.enabled', section: 'mouseConnection', type: 'toggle', label: 'Connect Stars to Cursor', setter: 'setMouseConnectionsEnabled' },
+    { path: 'mouseConnection.distance', section: 'mouseConnection', type: 'range', label: 'Connection Distance', min: 150, max: 500, step: 20, unit: 'px', dependsOn: 'mouseConnection.enabled', setter: 'setConnectionDistance' },
+    { path: 'colors.connectionStart', section: 'mouseConnection', type: 'color', label: 'Connection Start Color', dependsOn: 'mouseConnection.enabled', setter: 'setConnectionColor', option: 'start' },
+    { path: 'colors.connectionEnd', section: 'mouseConnection', type: 'color', label: 'Connection End Color', dependsOn: 'mouseConnection.enabled', setter: 'setConnectionColor', option: 'end' },
+    { path: 'colors.connectionOpacity', section: 'mouseConnection', type: 'range', label: 'Connection Opacity', min: 5, max: 100, step: 5, scale: 100, unit: '%', dependsOn: 'mouseConnection.enabled', setter: 'setConnectionOpacity' },
+
+    // Star-to-star links
+    { path: 'starLinks.enabled', section: 'starLinks', type: 'toggle', label: 'Connect Stars to Each Other', setter: 'setStarLinksConfig', option: 'enabled' },
+    { path: 'starLinks.maxDistance', section: 'starLinks', type: 'range', label: 'Link Distance', min: 20, max: 200, step: 10, unit: 'px', dependsOn: 'starLinks.enabled', setter: 'setStarLinksConfig', option: 'maxDistance' },
+    { path: 'starLinks.maxLinksPerStar', section: 'starLinks', type: 'range', label: 'Max Links per Star', min: 1, max: 8, step: 1, dependsOn: 'starLinks.enabled', setter: 'setStarLinksConfig', option: 'maxLinksPerStar' },
+    { path: 'starLinks.withinPointerRadius', section: 'starLinks', type: 'toggle', label: 'Only Near Cursor', dependsOn: 'starLinks.enabled', setter: 'setStarLinksConfig', option: 'withinPointerRadius' },
+
+    // Star catalog
+    { path: 'catalog.enabled', section: 'catalog', type: 'toggle', label: 'Star Catalog', setter: 'setCatalogConfig', option: 'enabled' },
+    { section: 'catalog', type: 'element', id: 'catalogFileControls', dependsOn: 'catalog.enabled' },
+    {
+        path: 'catalog.projection', section: 'catalog', type: 'select', label: 'Projection', dependsOn: 'catalog.enabled', setter: 'setCatalogConfig', option: 'projection',
+        options: [['stereographic', 'Stereographic'], ['equirectangular', 'Equirectangular'], ['orthographic', 'Orthographic']]
+    },
+    { path: 'catalog.centerRa', section: 'catalog', type: 'range', label: 'View Right Ascension', min: 0, max: 24, step: 0.1, digits: 1, unit: 'h', dependsOn: 'catalog.enabled', setter: 'setCatalogConfig', option: 'centerRa' },
+    { path: 'catalog.centerDec', section: 'catalog', type: 'range', label: 'View Declination', min: -90, max: 90, step: 1, unit: '°', dependsOn: 'catalog.enabled', setter: 'setCatalogConfig', option: 'centerDec' },
+    { path: 'catalog.fieldOfView', section: 'catalog', type: 'range', label: 'Field of View', min: 10, max: 360, step: 5, unit: '°', dependsOn: 'catalog.enabled', setter: 'setCatalogConfig', option: 'fieldOfView' },
+    { path: 'catalog.magnitudeLimit', section: 'catalog', type: 'range', label: 'Faintest Magnitude', min: 1, max: 9, step: 0.5, digits: 1, dependsOn: 'catalog.enabled', setter: 'setCatalogConfig', option: 'magnitudeLimit' },
+
+    // Observer sky
+    { path: 'observer.enabled', section: 'observer', type: 'toggle', label: 'Observer Sky', setter: 'setObserverConfig', option: 'enabled' },
+    { path: 'observer.latitude', section: 'observer', type: 'number', label: 'Latitude (°N)', min: -90, max: 90, step: 0.01, dependsOn: 'observer.enabled', setter: 'setObserverConfig', option: 'latitude' },
+    { path: 'observer.longitude', section: 'observer', type: 'number', label: 'Longitude (°E)', min: -180, max: 180, step: 0.01, dependsOn: 'observer.enabled', setter: 'setObserverConfig', option: 'longitude' },
+    { section: 'observer', type: 'element', id: 'observerTimeControls', dependsOn: 'observer.enabled' },
+    {
+        path: 'observer.timeLapse', section: 'observer', type: 'select', label: 'Time Lapse', dependsOn: 'observer.enabled', setter: 'setObserverConfig', option: 'timeLapse',
+        options: [[1, 'Real time'], [60, '1 minute per second'], [600, '10 minutes per second'], [3600, '1 hour per second'], [86400, '1 day per second']]
+    },
+    {
+        path: 'observer.projection', section: 'observer', type: 'select', label: 'Projection', dependsOn: 'observer.enabled', setter: 'setObserverConfig', option: 'projection',
+        options: [['stereographic', 'Stereographic'], ['equirectangular', 'Equirectangular'], ['orthographic', 'Orthographic']]
+    },
+    { path: 'observer.azimuth', section: 'observer', type: 'range', label: 'Facing (Azimuth)', min: 0, max: 360, step: 1, unit: '°', dependsOn: 'observer.enabled', setter: 'setObserverConfig', option: 'azimuth' },
+    { path: 'observer.altitude', section: 'observer', type: 'range', label: 'Looking Up (Altitude)', min: 0, max: 90, step: 1, unit: '°', dependsOn: 'observer.enabled', setter: 'setObserverConfig', option: 'altitude' },
+    { path: 'observer.fieldOfView', section: 'observer', type: 'range', label: 'Field of View', min: 10, max: 360, step: 5, unit: '°', dependsOn: 'observer.enabled', setter: 'setObserverConfig', option: 'fieldOfView' },
+
+    // Constellations
+    { path: 'constellations.enabled', section: 'constellations', type: 'toggle', label: 'Constellations', setter: 'setConstellationConfig', option: 'enabled' },
+    { section: 'constellations', type: 'element', id: 'constellationFileControls', dependsOn: 'constellations.enabled' },
+    { path: 'constellations.showLines', section: 'constellations', type: 'toggle', label: 'Show Lines', dependsOn: 'constellations.enabled', setter: 'setConstellationConfig', option: 'showLines' },
+    { path: 'constellations.showLabels', section: 'constellations', type: 'toggle', label: 'Show Names', dependsOn: 'constellations.enabled', setter: 'setConstellationConfig', option: 'showLabels' },
+    {
+        path: 'constellations.lineStyle', section: 'constellations', type: 'select', label: 'Line Style', dependsOn: 'constellations.enabled', setter: 'setConstellationConfig', option: 'lineStyle',
+        options: [['solid', 'Solid'], ['dashed', 'Dashed'], ['dotted', 'Dotted']]
+    },
+    { path: 'constellations.lineColor', section: 'constellations', type: 'color', label: 'Line Color', dependsOn: 'constellations.enabled', setter: 'setConstellationConfig', option: 'lineColor' },
+    { path: 'constellations.lineWidth', section: 'constellations', type: 'range', label: 'Line Width', min: 0.5, max: 4, step: 0.5, digits: 1, unit: 'px', dependsOn: 'constellations.enabled', setter: 'setConstellationConfig', option: 'lineWidth' },
+    { path: 'constellations.opacity', section: 'constellations', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.05, digits: 2, dependsOn: 'constellations.enabled', setter: 'setConstellationConfig', option: 'opacity' },
+
+    // Shooting stars
+    { path: 'shootingStar.enabled', section: 'shootingStar', type: 'toggle', label: 'Enable Shooting Stars', setter: 'updateShootingStarSettings', option: 'enabled' },
+    { path: 'shootingStar.maxStarsAtOnce', section: 'shootingStar', type: 'range', label: 'Max Stars at Once', min: 1, max: 10, step: 1, dependsOn: 'shootingStar.enabled', setter: 'updateShootingStarSettings', option: 'maxStarsAtOnce' },
+    { path: 'shootingStar.maxShootDurationSeconds', section: 'shootingStar', type: 'range', label: 'Max Shoot Duration', min: 1, max: 10, step: 0.5, digits: 1, unit: 's', dependsOn: 'shootingStar.enabled', setter: 'updateShootingStarSettings', option: 'maxShootDurationSeconds' },
+    { path: 'shootingStar.maxEventSeconds', section: 'shootingStar', type: 'range', label: 'Star Frequency', min: 0.1, max: 1, step: 0.1, digits: 1, unit: 's', dependsOn: 'shootingStar.enabled', setter: 'updateShootingStarSettings', option: 'maxEventSeconds' },
+    {
+        path: 'shootingStar.spawnRegion', section: 'shootingStar', type: 'select', label: 'Appear From', dependsOn: 'shootingStar.enabled', setter: 'updateShootingStarSettings', option: 'spawnRegion',
+        options: [['anywhere', 'Anywhere'], ['top', 'Top of the sky'], ['edges', 'Edges']]
+    },
+    { path: 'shootingStar.tailLength', section: 'shootingStar', type: 'range', label: 'Tail Length', min: 20, max: 400, step: 10, unit: 'px', dependsOn: 'shootingStar.enabled', setter: 'updateShootingStarSettings', option: 'tailLength' },
+    { path: 'shootingStar.terminalFlare', section: 'shootingStar', type: 'toggle', label: 'Terminal Flares', dependsOn: 'shootingStar.enabled', setter: 'updateShootingStarSettings', option: 'terminalFlare' },
+
+    // Comets
+    { path: 'comets.enabled', section: 'comets', type: 'toggle', label: 'Enable Comets', setter: 'setCometConfig', option: 'enabled' },
+    { path: 'comets.frequency', section: 'comets', type: 'range', label: 'Comet Frequency', min: 0.1, max: 5, step: 0.1, digits: 1, unit: '/min', dependsOn: 'comets.enabled', setter: 'setCometConfig', option: 'frequency' },
+    { path: 'comets.size', section: 'comets', type: 'range', label: 'Comet Size', min: 2, max: 20, step: 1, unit: 'px', dependsOn: 'comets.enabled', setter: 'setCometConfig', option: 'size' },
+    { path: 'comets.tailLength', section: 'comets', type: 'range', label: 'Tail Length', min: 50, max: 800, step: 10, unit: 'px', dependsOn: 'comets.enabled', setter: 'setCometConfig', option: 'tailLength' },
+    { path: 'comets.sunAngle', section: 'comets', type: 'range', label: 'Sun Direction', min: 0, max: 360, step: 5, unit: '°', dependsOn: 'comets.enabled', setter: 'setCometConfig', option: 'sunAngle' },
+
+    // Meteor shower
+    {
+        path: 'meteorShower.shower', section: 'meteorShower', type: 'select', label: 'Meteor Shower', setter: 'setMeteorShowerConfig', option: 'shower',
+        options: [['perseids', 'Perseids'], ['geminids', 'Geminids'], ['leonids', 'Leonids'], ['custom', 'Custom']]
+    },
+    { section: 'meteorShower', type: 'element', id: 'meteorShowerControls' },
+    { path: 'meteorShower.peakRate', section: 'meteorShower', type: 'range', label: 'Peak Rate', min: 10, max: 600, step: 10, unit: '/min', setter: 'setMeteorShowerConfig', option: 'peakRate' },
+    { path: 'meteorShower.duration', section: 'meteorShower', type: 'range', label: 'Duration', min: 10, max: 600, step: 10, unit: 's', setter: 'setMeteorShowerConfig', option: 'duration' },
+    { path: 'meteorShower.radiantX', section: 'meteorShower', type: 'range', label: 'Radiant Across', min: 0, max: 100, step: 1, scale: 100, unit: '%', dependsOn: { path: 'meteorShower.shower', equals: 'custom' }, setter: 'setMeteorShowerConfig', option: 'radiantX' },
+    { path: 'meteorShower.radiantY', section: 'meteorShower', type: 'range', label: 'Radiant Down', min: 0, max: 100, step: 1, scale: 100, unit: '%', dependsOn: { path: 'meteorShower.shower', equals: 'custom' }, setter: 'setMeteorShowerConfig', option: 'radiantY' },
+    { path: 'meteorShower.speed', section: 'meteorShower', type: 'range', label: 'Speed', min: 0.3, max: 2, step: 0.1, digits: 1, unit: 'x', dependsOn: { path: 'meteorShower.shower', equals: 'custom' }, setter: 'setMeteorShowerConfig', option: 'speed' },
+    { path: 'meteorShower.hue', section: 'meteorShower', type: 'range', label: 'Hue', min: 0, max: 360, step: 5, unit: '°', dependsOn: { path: 'meteorShower.shower', equals: 'custom' }, setter: 'setMeteorShowerConfig', option: 'hue' },
+
+    // Clusters
+    { path: 'clusters.enabled', section: 'clusters', type: 'toggle', label: 'Group Stars in Clusters', setter: 'setOptions', option: 'clustersEnabled', regenerate: true },
+    { path: 'clusters.maxStarsPerCluster', section: 'clusters', type: 'range', label: 'Max Stars Per Cluster', min: 5, max: 250, step: 5, dependsOn: 'clusters.enabled', setter: 'setOptions', option: 'maxStarsPerCluster', regenerate: true },
+    { path: 'clusters.clusterCount', section: 'clusters', type: 'range', label: 'Number of Clusters', min: 1, max: 10, step: 1, dependsOn: 'clusters.enabled', setter: 'setOptions', option: 'clusterCount', regenerate: true },
+
+    // Star movement
+    { path: 'starMoving.enabled', section: 'starMoving', type: 'toggle', label: 'Star Movement', setter: 'setOptions', option: 'ellipseEnabled', regenerate: true },
+    { path: 'starMoving.ellipticalRate', section: 'starMoving', type: 'range', label: 'Percentage of Stars Moving', min: 0, max: 100, step: 5, scale: 100, unit: '%', dependsOn: 'starMoving.enabled', setter: 'setOptions', option: 'ellipticalMovementRate', regenerate: true },
+    {
+        path: 'starMoving.speed', section: 'starMoving', type: 'range', label: 'Star Movement Speed', min: 0.05, max: 2, step: 0.05, digits: 2, unit: 'x', dependsOn: 'starMoving.enabled',
+        apply: (starfield, value) => {
+            // Stars created later pick the speed up from the options
+            starfield.setOptions({ starMovementSpeed: value });
+            starfield.setStarMovementSpeed(value);
+        }
+    },
+
+    // Flow field
+    { path: 'flowField.enabled', section: 'flowField', type: 'toggle', label: 'Flow Field', setter: 'setFlowFieldConfig', option: 'enabled' },
+    { path: 'flowField.scale', section: 'flowField', type: 'range', label: 'Field Scale', min: 50, max: 1000, step: 10, unit: 'px', dependsOn: 'flowField.enabled', setter: 'setFlowFieldConfig', option: 'scale' },
+    { path: 'flowField.speed', section: 'flowField', type: 'range', label: 'Flow Speed', min: 1, max: 200, step: 1, unit: 'px/s', dependsOn: 'flowField.enabled', setter: 'setFlowFieldConfig', option: 'speed' },
+    { path: 'flowField.turbulence', section: 'flowField', type: 'range', label: 'Turbulence', min: 0, max: 1, step: 0.05, digits: 2, dependsOn: 'flowField.enabled', setter: 'setFlowFieldConfig', option: 'turbulence' },
+    { path: 'flowField.stirring', section: 'flowField', type: 'toggle', label: 'Pointer Stirring', dependsOn: 'flowField.enabled', setter: 'setFlowFieldConfig', option: 'stirring' },
+    { path: 'flowField.stirStrength', section: 'flowField', type: 'range', label: 'Stir Strength', min: 0.1, max: 3, step: 0.1, digits: 1, unit: 'x', dependsOn: 'flowField.enabled', setter: 'setFlowFieldConfig', option: 'stirStrength' },
+    { path: 'flowField.showField', section: 'flowField', type: 'toggle', label: 'Show Field', dependsOn: 'flowField.enabled', setter: 'setFlowFieldConfig', option: 'showField' },
+
+    // Parallax
+    { path: 'parallax.enabled', section: 'parallax', type: 'toggle', label: 'Parallax Effect', setter: 'setParallaxEnabled' },
+    { path: 'parallax.intensity', section: 'parallax', type: 'range', label: 'Parallax Intensity', min: 0, max: 1, step: 0.05, digits: 2, dependsOn: 'parallax.enabled', setter: 'setParallaxConfig', option: 'intensity' },
+    { path: 'parallax.maxOffset', section: 'parallax', type: 'range', label: 'Max Movement', min: 20, max: 200, step: 5, unit: 'px', dependsOn: 'parallax.enabled', setter: 'setParallaxConfig', option: 'maxOffset' },
+
+    // Pointer physics
+    { path: 'pointerPhysics.enabled', section: 'pointerPhysics', type: 'toggle', label: 'Pointer Gravity', setter: 'setPointerPhysicsConfig', option: 'enabled' },
+    {
+        path: 'pointerPhysics.mode', section: 'pointerPhysics', type: 'select', label: 'Pointer Mode', dependsOn: 'pointerPhysics.enabled', setter: 'setPointerPhysicsConfig', option: 'mode',
+        options: [['attract', 'Attract'], ['repel', 'Repel'], ['orbit', 'Orbit']]
+    },
+    { path: 'pointerPhysics.strength', section: 'pointerPhysics', type: 'range', label: 'Strength', min: 0.1, max: 3, step: 0.1, digits: 1, unit: 'x', dependsOn: 'pointerPhysics.enabled', setter: 'setPointerPhysicsConfig', option: 'strength' },
+    { path: 'pointerPhysics.radius', section: 'pointerPhysics', type: 'range', label: 'Radius', min: 20, max: 400, step: 10, unit: 'px', dependsOn: 'pointerPhysics.enabled', setter: 'setPointerPhysicsConfig', option: 'radius' },
+    {
+        path: 'pointerPhysics.falloff', section: 'pointerPhysics', type: 'select', label: 'Falloff', dependsOn: 'pointerPhysics.enabled', setter: 'setPointerPhysicsConfig', option: 'falloff',
+        options: [['linear', 'Linear'], ['inverse', 'Inverse (1/r)'], ['inverseSquare', 'Inverse Square (1/r²)']]
+    },
+    { path: 'pointerPhysics.stiffness', section: 'pointerPhysics', type: 'range', label: 'Spring Stiffness', min: 1, max: 200, step: 1, dependsOn: 'pointerPhysics.enabled', setter: 'setPointerPhysicsConfig', option: 'stiffness' },
+    { path: 'pointerPhysics.damping', section: 'pointerPhysics', type: 'range', label: 'Damping', min: 0.5, max: 20, step: 0.5, digits: 1, dependsOn: 'pointerPhysics.enabled', setter: 'setPointerPhysicsConfig', option: 'damping' },
+    { path: 'pointerPhysics.holdMass', section: 'pointerPhysics', type: 'range', label: 'Hold Mass', min: 1, max: 10, step: 0.5, digits: 1, unit: 'x', dependsOn: 'pointerPhysics.enabled', setter: 'setPointerPhysicsConfig', option: 'holdMass' },
+
+    // Star colours
+    {
+        path: 'colors.model', section: 'colors', type: 'select', label: 'Star Colors', setter: 'setStarColors', option: 'model',
+        options: [['temperature', 'Temperature (blackbody)'], ['hueRange', 'Hue Range'], ['palette', 'Custom Palette']]
+    },
+    { path: 'colors.starHueMin', section: 'colors', type: 'range', label: 'Hue From', min: 0, max: 360, step: 5, unit: '°', dependsOn: { path: 'colors.model', equals: 'hueRange' }, setter: 'setStarColors', option: 'starHueMin' },
+    { path: 'colors.starHueMax', section: 'colors', type: 'range', label: 'Hue To', min: 0, max: 360, step: 5, unit: '°', dependsOn: { path: 'colors.model', equals: 'hueRange' }, setter: 'setStarColors', option: 'starHueMax' },
+    { path: 'colors.starSaturation', section: 'colors', type: 'range', label: 'Saturation', min: 0, max: 100, step: 5, unit: '%', dependsOn: { path: 'colors.model', equals: 'hueRange' }, setter: 'setStarColors', option: 'starSaturation' },
+    { path: 'colors.starLightness', section: 'colors', type: 'range', label: 'Lightness', min: 20, max: 95, step: 5, unit: '%', dependsOn: { path: 'colors.model', equals: 'hueRange' }, setter: 'setStarColors', option: 'starLightness' },
+    { path: 'colors.palette', section: 'colors', type: 'palette', label: 'Palette', count: 3, dependsOn: { path: 'colors.model', equals: 'palette' }, setter: 'setStarColors', option: 'palette' },
+
+    // Background
+    {
+        path: 'background.enabled', section: 'background', type: 'toggle', label: 'Background',
+        apply: (starfield, value, config) => {
+            // A disabled background keeps the original colour, fully transparent
+            starfield.setBackgroundColor(value ? config.background.color : config.background.colorOriginal);
+            starfield.setBackgroundOpacity(value ? config.background.opacity : 0);
+        }
+    },
+    { path: 'background.color', section: 'background', type: 'color', label: 'Background Color', dependsOn: 'background.enabled', setter: 'setBackgroundColor' },
+    { path: 'background.opacity', section: 'background', type: 'range', label: 'Background Opacity', min: 0, max: 100, step: 1, scale: 100, unit: '%', dependsOn: 'background.enabled', setter: 'setBackgroundOpacity' }
+];
+
+export { CONTROLS };
@@ -7,24 +7,50 @@ export const FEATURES = {
 };
 
 /**
- * Storage keys used in the application
+ * Storage keys used in the application (stored under STORAGE_OPTIONS.prefix)
  */
 const STORAGE_KEYS = {
-    MAIN_CONFIG: 'cosmicGalaxyConfig',
-    CONTROL_PANEL: 'controlPanelState'
+    MAIN_CONFIG: 'config',
+    CONTROL_PANEL: 'controlPanel',
+    PRESETS: 'presets'
 };
 
+/**
+ * Where settings are saved: 'localStorage', 'sessionStorage', 'indexedDB' or
+ * 'memory' (nothing survives a reload). Every key starts with the prefix, so
+ * the app shares the origin's storage with a host page safely.
+ */
+const STORAGE_OPTIONS = {
+    backend: 'localStorage',
+    prefix: 'cosmicSky:'
+};
+
+/**
+ * Version of the configuration format. Bump it together with a new entry in
+ * the MIGRATIONS chain (see schema.js) whenever saved settings change shape.
+ * @type {number}
+ */
+const CONFIG_VERSION = 2;
+
 /**
  * Default configuration values for the Sky visualization.
- * These are used when no saved configuration exists in localStorage.
+ * These are used when no saved configuration exists in storage.
  * @type {Object}
  */
 const DEFAULT_CONFIG = {
+    configVersion: CONFIG_VERSION,
+
     // Core settings
     starCount: 2000,
     animationSpeed: 1.0,
     trailFadeSpeed: 0.2,
 
+    // Seeded sky generation
+    seed: {
+        value: null,         // Seed of the current sky (picked at startup when null or unlocked)
+        locked: false        // Keep the seed across reloads and "Regenerate Canvas"
+    },
+
     // Star clustering configuration
     clusters: {
         enabled: false,
@@ -32,6 +58,25 @@ const DEFAULT_CONFIG = {
         clusterCount: 5
     },
 
+    // Rendering settings
+    rendering: {
+        highFidelity: false, // Per-frame gradients instead of the pre-rendered sprite atlas
+        worker: false        // Render from a Web Worker on an OffscreenCanvas when supported
+    },
+
+    // Simulation stepping
+    simulation: {
+        fixedTimestep: false, // Advance in fixed steps instead of once per frame
+        stepsPerSecond: 60    // Step rate when fixedTimestep is on
+    },
+
+    // Adaptive quality governor
+    quality: {
+        adaptive: true,      // Step quality down/up with the measured frame rate
+        level: 0,            // Pinned level when not adaptive (0 = Ultra ... 4 = Minimum)
+        targetFps: 50
+    },
+
     // Visual settings
     background: {
         enabled: false,
@@ -46,12 +91,80 @@ const DEFAULT_CONFIG = {
         distance: 350
     },
 
+    // Star-to-star constellation web
+    starLinks: {
+        enabled: false,
+        maxDistance: 80,
+        maxLinksPerStar: 3,
+        withinPointerRadius: false
+    },
+
+    // Real stars from a catalog file instead of the procedural sky
+    catalog: {
+        enabled: false,
+        url: null,                  // Catalog loaded at startup (CSV or JSON, e.g. 'data/hyg.csv'); files can also be picked in the panel
+        projection: 'stereographic', // 'stereographic', 'equirectangular' or 'orthographic'
+        centerRa: 6,                // View centre right ascension in hours
+        centerDec: 0,               // View centre declination in degrees
+        fieldOfView: 120,           // Angle across the screen width in degrees
+        magnitudeLimit: 6.5         // Faintest stars shown
+    },
+
+    // The sky above a place on Earth, turning with sidereal time (catalog or generated stars)
+    observer: {
+        enabled: false,
+        latitude: 51.48,            // Degrees, positive north (Greenwich)
+        longitude: 0,               // Degrees, positive east
+        time: null,                 // Date-time the sky starts at (ISO string); null for the current time
+        timeLapse: 1,               // Sky seconds per second
+        projection: 'stereographic', // 'stereographic', 'equirectangular' or 'orthographic'
+        azimuth: 180,               // View direction in degrees from north through east
+        altitude: 45,               // View elevation in degrees
+        fieldOfView: 120            // Angle across the screen width in degrees
+    },
+
+    // Constellation stick figures and names drawn over catalog stars
+    constellations: {
+        enabled: false,
+        linesUrl: null,             // Stellarium constellationship.fab loaded at startup (Hipparcos ids); files can also be picked in the panel
+        namesUrl: null,             // Stellarium constellation_names.*.fab with the display names
+        showLines: true,
+        showLabels: true,
+        lineStyle: 'solid',         // 'solid', 'dashed' or 'dotted'
+        lineWidth: 1,               // Line width in pixels
+        lineColor: '#7f9cf5',       // Colour of lines and labels
+        opacity: 0.35               // Resting opacity; figures near the cursor fade to full
+    },
+
     // Shooting stars configuration
     shootingStar: {
         enabled: false,
         maxStarsAtOnce: 3,
         maxShootDurationSeconds: 3,
-        maxEventSeconds: 0.5
+        maxEventSeconds: 0.5,
+        spawnRegion: 'anywhere', // 'anywhere', 'top' or 'edges'
+        tailLength: 120, // Tail length of an average meteor in pixels
+        terminalFlare: true // Let some meteors end in a flare
+    },
+
+    // Comets slowly crossing the sky
+    comets: {
+        enabled: false,
+        frequency: 1, // Comets per minute on average
+        size: 6, // Coma radius in pixels
+        tailLength: 250, // Ion tail length in pixels; the dust tail is a little shorter
+        sunAngle: 0 // Direction of the sun in degrees (0 is right, 90 is down); the tails point away from it
+    },
+
+    // Meteor shower, started and stopped from the panel
+    meteorShower: {
+        shower: 'perseids', // 'perseids', 'geminids', 'leonids' or 'custom'
+        peakRate: 60, // Meteors per minute at the peak
+        duration: 120, // Seconds from start to end, peaking halfway
+        radiantX: 0.5, // Custom shower radiant, 0-1 of the canvas width
+        radiantY: 0.2, // Custom shower radiant, 0-1 of the canvas height
+        speed: 1, // Custom shower speed multiplier
+        hue: 180 // Custom shower colour hue
     },
 
     // Star movement settings
@@ -61,6 +174,17 @@ const DEFAULT_CONFIG = {
         speed: 0.3
     },
 
+    // Drift along a curl-noise flow field
+    flowField: {
+        enabled: false,
+        scale: 300,         // Size of the currents in pixels
+        speed: 20,          // Typical drift speed in pixels per second
+        turbulence: 0.5,    // 0 for broad, slow currents, 1 for choppy, quickly changing ones
+        stirring: false,    // Let the moving pointer stir up swirls
+        stirStrength: 1,    // Multiplier of the stirred swirl
+        showField: false    // Draw the field as arrows (debug overlay)
+    },
+
     // Parallax settings
     parallax: {
         enabled: false,
@@ -68,14 +192,31 @@ const DEFAULT_CONFIG = {
         maxOffset: 100
     },
 
-    moveStarsAwayFromMouse: false,
+    // The pointer as a gravity well pulling on the stars
+    pointerPhysics: {
+        enabled: false,
+        mode: 'repel',      // 'attract', 'repel' or 'orbit'
+        strength: 1,        // Multiplier of the pull
+        radius: 150,        // Reach of the well in pixels
+        falloff: 'linear',  // 'linear', 'inverse' or 'inverseSquare'
+        stiffness: 40,      // Spring pulling stars back home
+        damping: 5,         // How quickly stars lose speed
+        holdMass: 4         // Mass of the well after holding the pointer down for two seconds
+    },
+
+    // Sharing the sky through the URL
+    share: {
+        liveUrl: false       // Keep the URL hash in sync with the settings while they change
+    },
 
     // Color settings
     colors: {
-        starHueMin: 200,
+        model: 'temperature',       // Star colours: 'temperature' (blackbody), 'hueRange' or 'palette'
+        starHueMin: 200,            // Hue range of the 'hueRange' model
         starHueMax: 300,
         starSaturation: 80,
         starLightness: 80,
+        palette: ['#9bb0ff', '#fff4ea', '#ffb56c'], // Gradient of the 'palette' model
         connectionStart: '#044b16',
         connectionEnd: '#e0ebee',
         connectionOpacity: 0.5
@@ -83,4 +224,4 @@ const DEFAULT_CONFIG = {
 };
 
 // Export for use in other files
-export { DEFAULT_CONFIG, STORAGE_KEYS };
+export { DEFAULT_CONFIG, STORAGE_KEYS, STORAGE_OPTIONS, CONFIG_VERSION };
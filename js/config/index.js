@@ -1,26 +1,110 @@
 /**
  * Configuration module for the Cosmic Galaxy application.
- * Combines default values with user preferences from localStorage.
+ * Combines default values with user preferences from storage.
  */
 
 // Import dependencies
-import { DEFAULT_CONFIG, STORAGE_KEYS, FEATURES } from './defaults.js';
-import { loadConfig, saveConfig, mergeWithDefaults } from '../utils/storage.js';
+import { DEFAULT_CONFIG, STORAGE_KEYS, FEATURES, CONFIG_VERSION } from './defaults.js';
+import { migrateConfig, validateConfig } from './schema.js';
+import { initStorage, loadConfig, saveConfig, clearStorage } from '../utils/storage.js';
+import { decodeConfigHash, encodeConfigHash, LOCAL_ONLY_KEYS } from '../utils/urlState.js';
 
 /**
- * Get the current configuration, merging saved config with defaults.
+ * Bring a stored configuration up to date: run the migrations it needs, fill
+ * in missing settings and repair invalid ones. Repairs are logged.
+ * @param {Object|null} config - Full or partial configuration (not modified)
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.fromVersion] - Version to assume when the configuration has no `configVersion`
+ * @param {string} [options.source='configuration'] - What the configuration is, for the log
+ * @returns {{config: Object, changed: boolean}} The valid configuration, and whether it differs from what was stored
+ */
+function upgradeConfig(config, options = {}) {
+    const source = options.source || 'configuration';
+    const fromVersion = config && Number.isInteger(config.configVersion) ? config.configVersion : options.fromVersion;
+    const migration = migrateConfig(config || {}, fromVersion);
+    const newer = migration.fromVersion > CONFIG_VERSION;
+
+    if (newer) {
+        console.warn(`The ${source} was saved by a newer version (${migration.fromVersion}); unknown settings are ignored`);
+        migration.config.configVersion = CONFIG_VERSION;
+    } else if (migration.migrated) {
+        console.warn(`Upgraded the ${source} from version ${migration.fromVersion} to ${CONFIG_VERSION}`);
+    }
+
+    const { config: valid, issues } = validateConfig(migration.config);
+    issues.forEach(issue => {
+        console.warn(`The ${source} setting '${issue.path}' ${issue.message}:`, issue.value);
+    });
+
+    return { config: valid, changed: migration.migrated || newer || issues.length > 0 };
+}
+
+/**
+ * Get the current configuration: the saved config, upgraded and validated,
+ * with defaults for everything it lacks. A repaired config is saved back.
  * @returns {Object} The current configuration
  */
 function getConfig() {
     const savedConfig = loadConfig();
-    return mergeWithDefaults(savedConfig, DEFAULT_CONFIG);
+    if (!savedConfig) return upgradeConfig(null, { fromVersion: CONFIG_VERSION }).config;
+
+    const { config, changed } = upgradeConfig(savedConfig, { source: 'saved configuration' });
+    if (changed) saveConfig(config);
+    return config;
+}
+
+/**
+ * Carry over the settings that belong to this device (see LOCAL_ONLY_KEYS)
+ * into a configuration from elsewhere, such as a link or a preset.
+ * @param {Object} config - Configuration to update
+ * @param {Object} current - Current configuration
+ * @returns {Object} The updated configuration
+ */
+function keepLocalSettings(config, current) {
+    LOCAL_ONLY_KEYS.forEach(key => {
+        if (current[key] !== undefined) config[key] = structuredClone(current[key]);
+    });
+    return config;
+}
+
+/**
+ * Get the configuration shared through a URL hash, if there is one.
+ * The link describes the whole sky, so it is applied over the defaults rather
+ * than the saved config; settings that belong to this device are kept.
+ * @param {string} hash - URL hash
+ * @param {Object} current - Current configuration
+ * @returns {Object|null} The shared configuration, or null if the hash has none
+ */
+function getSharedConfig(hash, current) {
+    const shared = decodeConfigHash(hash);
+    if (!shared) return null;
+
+    // Links carry their version; one without it is taken to be current
+    const { config } = upgradeConfig(shared, { fromVersion: CONFIG_VERSION, source: 'shared configuration' });
+    return keepLocalSettings(config, current);
+}
+
+/**
+ * Encode a configuration for a shareable URL hash.
+ * @param {Object} config - Configuration to share
+ * @returns {string} Hash without the leading `#`
+ */
+function getConfigHash(config) {
+    return encodeConfigHash(config, DEFAULT_CONFIG);
 }
 
 // Export the public API
 export {
+    initStorage,
     loadConfig,
     saveConfig,
+    clearStorage,
     getConfig,
+    upgradeConfig,
+    getSharedConfig,
+    keepLocalSettings,
+    getConfigHash,
+    DEFAULT_CONFIG,
     STORAGE_KEYS,
     FEATURES
 };
@@ -0,0 +1,44 @@
+/**
+ * Built-in preset profiles.
+ * Each preset is a partial configuration applied over DEFAULT_CONFIG, so it
+ * only lists the settings that make its look. Built-in presets can be loaded
+ * and exported but not renamed, overwritten or deleted.
+ * @type {Object<string, Object>}
+ */
+const BUILT_IN_PRESETS = {
+    'Deep Field': {
+        starCount: 3500,
+        animationSpeed: 0.4,
+        trailFadeSpeed: 0.35,
+        background: { enabled: true, color: '#01010a', opacity: 1 },
+        colors: { model: 'temperature' },
+        starMoving: { enabled: false },
+        parallax: { enabled: true, intensity: 0.15, maxOffset: 60 }
+    },
+
+    'Meteor Night': {
+        starCount: 1800,
+        animationSpeed: 1,
+        trailFadeSpeed: 0.12,
+        background: { enabled: true, color: '#020617', opacity: 1 },
+        colors: { model: 'palette', palette: ['#cfd8ff', '#ffffff', '#ffe2b8'] },
+        shootingStar: {
+            enabled: true,
+            maxStarsAtOnce: 6,
+            maxShootDurationSeconds: 2,
+            maxEventSeconds: 0.3
+        }
+    },
+
+    'Cluster Storm': {
+        starCount: 3000,
+        animationSpeed: 1.6,
+        trailFadeSpeed: 0.08,
+        clusters: { enabled: true, maxStarsPerCluster: 250, clusterCount: 9 },
+        colors: { model: 'hueRange', starHueMin: 180, starHueMax: 320, starSaturation: 85, starLightness: 75 },
+        starMoving: { enabled: true, ellipticalRate: 0.6, speed: 0.8 },
+        starLinks: { enabled: true, maxDistance: 60, maxLinksPerStar: 2, withinPointerRadius: false }
+    }
+};
+
+export { BUILT_IN_PRESETS };
@@ -0,0 +1,465 @@
+/**
+ * Configuration schema, validation and migrations.
+ * Every setting in DEFAULT_CONFIG has a descriptor here with its type and
+ * allowed values. Saved, shared and preset configurations are first upgraded
+ * through the migration chain to CONFIG_VERSION, then validated against the
+ * schema: values of the wrong type are converted or replaced with the
+ * default, numbers are clamped to their range, and unknown settings are
+ * dropped. Each repair is reported as an issue.
+ */
+
+import { DEFAULT_CONFIG, CONFIG_VERSION } from './defaults.js';
+import { PROJECTIONS } from '../utils/projection.js';
+import { STAR_COLOR_MODELS } from '../utils/starColors.js';
+import { METEOR_SHOWERS, SPAWN_REGIONS } from '../meteorSystem.js';
+import { POINTER_MODES, FALLOFF_LAWS } from '../pointerPhysics.js';
+import Utils from '../utils/utils.js';
+
+/**
+ * Setting descriptors, keyed like DEFAULT_CONFIG.
+ * - `{ type: 'number' | 'integer', min, max }` - clamped to the range, integers rounded
+ * - `{ type: 'boolean' }`
+ * - `{ type: 'enum', values }` - one of `values`
+ * - `{ type: 'color' }` - `#rrggbb`
+ * - `{ type: 'string' }`
+ * - `{ type: 'array', items, minItems, maxItems }` - every item matches `items`
+ * - `{ type: 'object', properties }` - nested settings
+ * Any descriptor can set `nullable: true` to allow null.
+ * @type {Object<string, Object>}
+ */
+const CONFIG_SCHEMA = {
+    configVersion: { type: 'integer', min: 0 },
+
+    starCount: { type: 'integer', min: 0, max: 10000 },
+    animationSpeed: { type: 'number', min: 0, max: 10 },
+    trailFadeSpeed: { type: 'number', min: 0, max: 1 },
+
+    seed: {
+        type: 'object',
+        properties: {
+            value: { type: 'integer', min: 0, max: 0xffffffff, nullable: true },
+            locked: { type: 'boolean' }
+        }
+    },
+
+    clusters: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            maxStarsPerCluster: { type: 'integer', min: 1, max: 1000 },
+            clusterCount: { type: 'integer', min: 1, max: 50 }
+        }
+    },
+
+    rendering: {
+        type: 'object',
+        properties: {
+            highFidelity: { type: 'boolean' },
+            worker: { type: 'boolean' }
+        }
+    },
+
+    simulation: {
+        type: 'object',
+        properties: {
+            fixedTimestep: { type: 'boolean' },
+            stepsPerSecond: { type: 'integer', min: 1, max: 240 }
+        }
+    },
+
+    quality: {
+        type: 'object',
+        properties: {
+            adaptive: { type: 'boolean' },
+            level: { type: 'integer', min: 0, max: 4 },
+            targetFps: { type: 'integer', min: 10, max: 240 }
+        }
+    },
+
+    background: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            color: { type: 'color' },
+            colorOriginal: { type: 'color' },
+            opacity: { type: 'number', min: 0, max: 1 }
+        }
+    },
+
+    mouseConnection: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            distance: { type: 'number', min: 0, max: 2000 }
+        }
+    },
+
+    starLinks: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            maxDistance: { type: 'number', min: 0, max: 1000 },
+            maxLinksPerStar: { type: 'integer', min: 1, max: 20 },
+            withinPointerRadius: { type: 'boolean' }
+        }
+    },
+
+    catalog: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            url: { type: 'string', nullable: true },
+            projection: { type: 'enum', values: PROJECTIONS },
+            centerRa: { type: 'number', min: 0, max: 24 },
+            centerDec: { type: 'number', min: -90, max: 90 },
+            fieldOfView: { type: 'number', min: 1, max: 360 },
+            magnitudeLimit: { type: 'number', min: -2, max: 20 }
+        }
+    },
+
+    observer: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            latitude: { type: 'number', min: -90, max: 90 },
+            longitude: { type: 'number', min: -180, max: 180 },
+            time: { type: 'string', nullable: true },
+            timeLapse: { type: 'number', min: 0, max: 31557600 },
+            projection: { type: 'enum', values: PROJECTIONS },
+            azimuth: { type: 'number', min: 0, max: 360 },
+            altitude: { type: 'number', min: -90, max: 90 },
+            fieldOfView: { type: 'number', min: 1, max: 360 }
+        }
+    },
+
+    constellations: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            linesUrl: { type: 'string', nullable: true },
+            namesUrl: { type: 'string', nullable: true },
+            showLines: { type: 'boolean' },
+            showLabels: { type: 'boolean' },
+            lineStyle: { type: 'enum', values: ['solid', 'dashed', 'dotted'] },
+            lineWidth: { type: 'number', min: 0.1, max: 10 },
+            lineColor: { type: 'color' },
+            opacity: { type: 'number', min: 0, max: 1 }
+        }
+    },
+
+    shootingStar: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            maxStarsAtOnce: { type: 'integer', min: 0, max: 50 },
+            maxShootDurationSeconds: { type: 'number', min: 0.1, max: 60 },
+            maxEventSeconds: { type: 'number', min: 0.05, max: 60 },
+            spawnRegion: { type: 'enum', values: SPAWN_REGIONS },
+            tailLength: { type: 'number', min: 0, max: 1000 },
+            terminalFlare: { type: 'boolean' }
+        }
+    },
+
+    comets: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            frequency: { type: 'number', min: 0, max: 60 },
+            size: { type: 'number', min: 1, max: 50 },
+            tailLength: { type: 'number', min: 0, max: 2000 },
+            sunAngle: { type: 'number', min: 0, max: 360 }
+        }
+    },
+
+    meteorShower: {
+        type: 'object',
+        properties: {
+            shower: { type: 'enum', values: [...Object.keys(METEOR_SHOWERS), 'custom'] },
+            peakRate: { type: 'number', min: 0, max: 3600 },
+            duration: { type: 'number', min: 1, max: 3600 },
+            radiantX: { type: 'number', min: 0, max: 1 },
+            radiantY: { type: 'number', min: 0, max: 1 },
+            speed: { type: 'number', min: 0.1, max: 5 },
+            hue: { type: 'number', min: 0, max: 360 }
+        }
+    },
+
+    starMoving: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            ellipticalRate: { type: 'number', min: 0, max: 1 },
+            speed: { type: 'number', min: 0, max: 10 }
+        }
+    },
+
+    parallax: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            intensity: { type: 'number', min: 0, max: 2 },
+            maxOffset: { type: 'number', min: 0, max: 1000 }
+        }
+    },
+
+    flowField: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            scale: { type: 'number', min: 10, max: 5000 },
+            speed: { type: 'number', min: 0, max: 1000 },
+            turbulence: { type: 'number', min: 0, max: 1 },
+            stirring: { type: 'boolean' },
+            stirStrength: { type: 'number', min: 0, max: 10 },
+            showField: { type: 'boolean' }
+        }
+    },
+
+    pointerPhysics: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            mode: { type: 'enum', values: POINTER_MODES },
+            strength: { type: 'number', min: 0, max: 10 },
+            radius: { type: 'number', min: 10, max: 1000 },
+            falloff: { type: 'enum', values: FALLOFF_LAWS },
+            stiffness: { type: 'number', min: 0, max: 500 },
+            damping: { type: 'number', min: 0, max: 50 },
+            holdMass: { type: 'number', min: 1, max: 20 }
+        }
+    },
+
+    share: {
+        type: 'object',
+        properties: {
+            liveUrl: { type: 'boolean' }
+        }
+    },
+
+    colors: {
+        type: 'object',
+        properties: {
+            model: { type: 'enum', values: STAR_COLOR_MODELS },
+            starHueMin: { type: 'number', min: 0, max: 360 },
+            starHueMax: { type: 'number', min: 0, max: 360 },
+            starSaturation: { type: 'number', min: 0, max: 100 },
+            starLightness: { type: 'number', min: 0, max: 100 },
+            palette: { type: 'array', items: { type: 'color' }, minItems: 1, maxItems: 8 },
+            connectionStart: { type: 'color' },
+            connectionEnd: { type: 'color' },
+            connectionOpacity: { type: 'number', min: 0, max: 1 }
+        }
+    }
+};
+
+/**
+ * Ordered upgrade steps. A configuration saved at version N runs every
+ * migration with a higher version, in order. Each step receives a copy of
+ * the configuration as it was saved and returns it in the shape of its
+ * version; `configVersion` is set afterwards.
+ * @type {Array<{version: number, description: string, migrate: function(Object): Object}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Configurations saved before versioning',
+        migrate(config) {
+            // The shooting star range inputs saved their values as strings
+            const shootingStar = config.shootingStar;
+            if (Utils.isPlainObject(shootingStar)) {
+                ['maxStarsAtOnce', 'maxShootDurationSeconds', 'maxEventSeconds'].forEach(key => {
+                    if (typeof shootingStar[key] === 'string' && shootingStar[key].trim() !== '') {
+                        shootingStar[key] = Number(shootingStar[key]);
+                    }
+                });
+            }
+
+            // Skies saved before the colour models were added used the hue range
+            if (Utils.isPlainObject(config.colors) && config.colors.model === undefined) {
+                config.colors.model = 'hueRange';
+            }
+
+            // The original background colour was only set by the control panel
+            if (Utils.isPlainObject(config.background) && !config.background.colorOriginal) {
+                config.background.colorOriginal = DEFAULT_CONFIG.background.colorOriginal;
+            }
+
+            return config;
+        }
+    },
+    {
+        version: 2,
+        description: 'Pointer physics replaces the mouse repulsion toggle',
+        migrate(config) {
+            if (config.moveStarsAwayFromMouse) {
+                config.pointerPhysics = { enabled: true, mode: 'repel' };
+            }
+            delete config.moveStarsAwayFromMouse;
+            return config;
+        }
+    }
+];
+
+/**
+ * Deep copy a plain configuration value.
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ * @private
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Upgrade a configuration to CONFIG_VERSION.
+ * @param {Object} config - Saved configuration (not modified)
+ * @param {number} [fromVersion] - Version the configuration was saved at;
+ *   defaults to its `configVersion`, or 0 when it has none
+ * @returns {{config: Object, fromVersion: number, migrated: boolean}} The upgraded copy
+ */
+function migrateConfig(config, fromVersion) {
+    let result = Utils.isPlainObject(config) ? clone(config) : {};
+    const version = Number.isInteger(fromVersion) ? fromVersion
+        : Number.isInteger(result.configVersion) ? result.configVersion : 0;
+
+    const steps = MIGRATIONS.filter(step => step.version > version);
+    steps.forEach(step => {
+        result = step.migrate(result);
+    });
+
+    if (version < CONFIG_VERSION) {
+        result.configVersion = CONFIG_VERSION;
+    }
+
+    return { config: result, fromVersion: version, migrated: steps.length > 0 };
+}
+
+/**
+ * Check a configuration against the schema, filling in missing settings from
+ * the defaults and repairing invalid ones.
+ * @param {Object} config - Configuration to check (not modified)
+ * @param {Object} [schema=CONFIG_SCHEMA] - Setting descriptors
+ * @param {Object} [defaults=DEFAULT_CONFIG] - Default values
+ * @returns {{config: Object, issues: Array<{path: string, value: *, message: string}>}}
+ *   The valid configuration and a list of what was repaired
+ */
+function validateConfig(config, schema = CONFIG_SCHEMA, defaults = DEFAULT_CONFIG) {
+    const issues = [];
+    const result = validateValue(config, { type: 'object', properties: schema }, defaults, '', issues);
+    return { config: result, issues };
+}
+
+/**
+ * Validate one setting.
+ * @param {*} value - Value to check
+ * @param {Object} descriptor - Setting descriptor
+ * @param {*} fallback - Default value
+ * @param {string} path - Dotted path of the setting, for issues
+ * @param {Array<Object>} issues - Collected issues
+ * @returns {*} A valid value
+ * @private
+ */
+function validateValue(value, descriptor, fallback, path, issues) {
+    if (value === undefined) return clone(fallback);
+
+    const repair = (message, repaired = clone(fallback)) => {
+        issues.push({ path, value, message });
+        return repaired;
+    };
+
+    if (value === null) {
+        return descriptor.nullable ? null : repair('must not be empty; using the default');
+    }
+
+    switch (descriptor.type) {
+        case 'number':
+        case 'integer': {
+            let number = value;
+            if (typeof value === 'string' && value.trim() !== '') {
+                number = Number(value);
+                if (Number.isFinite(number)) issues.push({ path, value, message: 'was a string; converted to a number' });
+            }
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return repair('is not a number; using the default');
+            }
+            if (descriptor.type === 'integer' && !Number.isInteger(number)) {
+                number = repair('is not a whole number; rounded', Math.round(number));
+            }
+            if (descriptor.min !== undefined && number < descriptor.min) {
+                return repair(`is below the minimum of ${descriptor.min}; clamped`, descriptor.min);
+            }
+            if (descriptor.max !== undefined && number > descriptor.max) {
+                return repair(`is above the maximum of ${descriptor.max}; clamped`, descriptor.max);
+            }
+            return number;
+        }
+
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 'false') {
+                return repair('was a string; converted to a boolean', value === 'true');
+            }
+            return repair('is not true or false; using the default');
+
+        case 'enum':
+            return descriptor.values.includes(value)
+                ? value
+                : repair(`is not one of ${descriptor.values.join(', ')}; using the default`);
+
+        case 'color': {
+            if (typeof value !== 'string') return repair('is not a colour; using the default');
+            const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(value);
+            if (short) {
+                return repair('was a short hex colour; expanded', `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase());
+            }
+            return /^#[0-9a-f]{6}$/i.test(value) ? value : repair('is not a #rrggbb colour; using the default');
+        }
+
+        case 'string':
+            return typeof value === 'string' ? value : repair('is not text; using the default');
+
+        case 'array': {
+            if (!Array.isArray(value)) return repair('is not a list; using the default');
+            const items = [];
+            value.forEach((item, index) => {
+                const itemIssues = [];
+                const checked = validateValue(item, descriptor.items, undefined, `${path}[${index}]`, itemIssues);
+                if (checked === undefined) {
+                    issues.push({ path: `${path}[${index}]`, value: item, message: 'is invalid; removed' });
+                } else {
+                    issues.push(...itemIssues);
+                    items.push(checked);
+                }
+            });
+            if (descriptor.minItems !== undefined && items.length < descriptor.minItems) {
+                return repair(`needs at least ${descriptor.minItems} item(s); using the default`);
+            }
+            if (descriptor.maxItems !== undefined && items.length > descriptor.maxItems) {
+                return repair(`has more than ${descriptor.maxItems} items; truncated`, items.slice(0, descriptor.maxItems));
+            }
+            return items;
+        }
+
+        case 'object': {
+            if (!Utils.isPlainObject(value)) return repair('is not a group of settings; using the defaults');
+            const defaults = Utils.isPlainObject(fallback) ? fallback : {};
+            const result = {};
+
+            Object.keys(descriptor.properties).forEach(key => {
+                const childPath = path ? `${path}.${key}` : key;
+                result[key] = validateValue(value[key], descriptor.properties[key], defaults[key], childPath, issues);
+            });
+            Object.keys(value).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(descriptor.properties, key)) {
+                    issues.push({ path: path ? `${path}.${key}` : key, value: value[key], message: 'is not a known setting; removed' });
+                }
+            });
+            return result;
+        }
+
+        default:
+            return value;
+    }
+}
+
+export { CONFIG_SCHEMA, MIGRATIONS, migrateConfig, validateConfig };
@@ -0,0 +1,261 @@
+/** Dash patterns for the supported line styles, in css pixels */
+const LINE_DASHES = {
+    solid: [],
+    dashed: [6, 4],
+    dotted: [1, 4]
+};
+
+/**
+ * Constellation stick figures and labels drawn over the starfield.
+ * Figures are anchored to catalog stars by id, so they follow the stars
+ * wherever the projection (and parallax) puts them; segments whose stars are
+ * not in the sky are skipped. Figures sit at a dim resting opacity and fade
+ * to full strength while the pointer is near one of their lines.
+ * @class
+ */
+class ConstellationOverlay {
+    /**
+     * Create a new ConstellationOverlay instance.
+     * @param {Object} [config={}] - Overlay configuration (see setConfig)
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: false,
+            showLines: true,
+            showLabels: true,
+            lineStyle: 'solid',
+            lineWidth: 1,
+            lineColor: '#7f9cf5',
+            opacity: 0.35, // Resting opacity; hovered figures fade to 1
+            hoverRadius: 40, // Pointer distance from a line that highlights its figure, in pixels
+            fadeDuration: 400, // Fade time in milliseconds
+            font: '12px sans-serif'
+        };
+        this.setConfig(config);
+
+        /** @type {Array<{abbreviation: string, name: string, segments: number[], alpha: number, hovered: boolean}>} Figures with their fade state */
+        this.figures = [];
+
+        /** @type {Map<number, number>} Store index of every catalog star, by catalog id */
+        this._starIndex = new Map();
+    }
+
+    /**
+     * Set overlay configuration
+     * @param {Object} config - Overlay configuration
+     * @param {boolean} [config.enabled] - Whether the overlay is drawn
+     * @param {boolean} [config.showLines] - Draw the stick figures
+     * @param {boolean} [config.showLabels] - Draw the constellation names
+     * @param {string} [config.lineStyle] - 'solid', 'dashed' or 'dotted'
+     * @param {number} [config.lineWidth] - Line width in pixels
+     * @param {string} [config.lineColor] - CSS colour of lines and labels
+     * @param {number} [config.opacity] - Resting opacity (0-1)
+     * @param {number} [config.hoverRadius] - Highlight distance in pixels
+     * @param {number} [config.fadeDuration] - Fade time in milliseconds
+     * @param {string} [config.font] - CSS font of the labels
+     */
+    setConfig(config) {
+        const { config: current } = this;
+
+        ['enabled', 'showLines', 'showLabels'].forEach(key => {
+            if (config[key] !== undefined) current[key] = !!config[key];
+        });
+        if (config.lineStyle !== undefined && LINE_DASHES[config.lineStyle]) {
+            current.lineStyle = config.lineStyle;
+        }
+        if (config.lineWidth !== undefined) {
+            current.lineWidth = Math.max(0.5, config.lineWidth);
+        }
+        if (config.lineColor !== undefined) {
+            current.lineColor = config.lineColor;
+        }
+        if (config.opacity !== undefined) {
+            current.opacity = Math.max(0, Math.min(1, config.opacity));
+        }
+        if (config.hoverRadius !== undefined) {
+            current.hoverRadius = Math.max(0, config.hoverRadius);
+        }
+        if (config.fadeDuration !== undefined) {
+            current.fadeDuration = Math.max(0, config.fadeDuration);
+        }
+        if (config.font !== undefined) {
+            current.font = config.font;
+        }
+    }
+
+    /**
+     * Replace the constellation figures.
+     * @param {ConstellationFigure[]|null} figures - Figures (see utils/constellations.js), or null to remove them
+     * @returns {void}
+     */
+    setFigures(figures) {
+        this.figures = (figures || []).map(figure => ({
+            abbreviation: figure.abbreviation,
+            name: figure.name,
+            segments: figure.segments,
+            alpha: this.config.opacity,
+            hovered: false
+        }));
+    }
+
+    /**
+     * Look up the store index of every catalog star.
+     * Call after the star population changes.
+     * @param {StarStore} store - Store holding the stars
+     * @returns {void}
+     */
+    indexStars(store) {
+        this._starIndex.clear();
+        const { catalogId } = store;
+        for (let i = 0; i < store.count; i++) {
+            if (catalogId[i] >= 0) this._starIndex.set(catalogId[i], i);
+        }
+    }
+
+    /**
+     * Store index of a catalog star, if it is in the sky.
+     * @param {number} id - Catalog id
+     * @param {StarStore} store - Store holding the stars
+     * @returns {number} Store index, or -1 if the star is missing or hidden
+     * @private
+     */
+    _indexOf(id, store) {
+        const index = this._starIndex.get(id);
+        return index === undefined || store.hidden[index] ? -1 : index;
+    }
+
+    /**
+     * Highlight figures near the pointer and advance their fades.
+     * @param {StarStore} store - Store holding the stars
+     * @param {number} offsetX - Parallax offset of the nearest stars (x)
+     * @param {number} offsetY - Parallax offset of the nearest stars (y)
+     * @param {{x: number, y: number}|null} pointer - Pointer position, or null
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @returns {void}
+     */
+    update(store, offsetX, offsetY, pointer, deltaTime) {
+        if (!this.config.enabled || !this._starIndex.size) return;
+
+        const { hoverRadius, fadeDuration, opacity } = this.config;
+        const { x, y, parallaxDepth } = store;
+        const hoverRadiusSq = hoverRadius * hoverRadius;
+        const fadeStep = fadeDuration > 0 ? deltaTime / fadeDuration : 1;
+
+        this.figures.forEach(figure => {
+            figure.hovered = false;
+
+            if (pointer) {
+                const { segments } = figure;
+                for (let s = 0; s < segments.length && !figure.hovered; s += 2) {
+                    const a = this._indexOf(segments[s], store);
+                    const b = this._indexOf(segments[s + 1], store);
+                    if (a < 0 || b < 0) continue;
+
+                    const distSq = distanceToSegmentSq(
+                        pointer.x, pointer.y,
+                        x[a] + offsetX * parallaxDepth[a], y[a] + offsetY * parallaxDepth[a],
+                        x[b] + offsetX * parallaxDepth[b], y[b] + offsetY * parallaxDepth[b]
+                    );
+                    figure.hovered = distSq <= hoverRadiusSq;
+                }
+            }
+
+            // Fade towards the target opacity
+            const target = figure.hovered ? 1 : opacity;
+            if (figure.alpha < target) {
+                figure.alpha = Math.min(target, figure.alpha + fadeStep);
+            } else {
+                figure.alpha = Math.max(target, figure.alpha - fadeStep);
+            }
+        });
+    }
+
+    /**
+     * Draw the stick figures and labels.
+     * @param {CanvasRenderingContext2D} ctx - Context to draw into
+     * @param {StarStore} store - Store holding the stars
+     * @param {number} offsetX - Parallax offset of the nearest stars (x)
+     * @param {number} offsetY - Parallax offset of the nearest stars (y)
+     * @returns {void}
+     */
+    draw(ctx, store, offsetX, offsetY) {
+        const { enabled, showLines, showLabels, lineStyle, lineWidth, lineColor, font } = this.config;
+        if (!enabled || !this._starIndex.size || (!showLines && !showLabels)) return;
+
+        const { x, y, parallaxDepth } = store;
+
+        ctx.save();
+        ctx.strokeStyle = lineColor;
+        ctx.fillStyle = lineColor;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.setLineDash(LINE_DASHES[lineStyle]);
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.figures.forEach(figure => {
+            if (figure.alpha <= 0.001) return;
+
+            const { segments } = figure;
+            let sumX = 0;
+            let sumY = 0;
+            let points = 0;
+
+            ctx.globalAlpha = figure.alpha;
+            ctx.beginPath();
+
+            for (let s = 0; s < segments.length; s += 2) {
+                const a = this._indexOf(segments[s], store);
+                const b = this._indexOf(segments[s + 1], store);
+                if (a < 0 || b < 0) continue;
+
+                const ax = x[a] + offsetX * parallaxDepth[a];
+                const ay = y[a] + offsetY * parallaxDepth[a];
+                const bx = x[b] + offsetX * parallaxDepth[b];
+                const by = y[b] + offsetY * parallaxDepth[b];
+
+                ctx.moveTo(ax, ay);
+                ctx.lineTo(bx, by);
+
+                sumX += ax + bx;
+                sumY += ay + by;
+                points += 2;
+            }
+
+            if (!points) return;
+            if (showLines) ctx.stroke();
+
+            // Label at the centre of the visible part of the figure
+            if (showLabels) {
+                ctx.fillText(figure.name, sumX / points, sumY / points);
+            }
+        });
+
+        ctx.restore();
+    }
+}
+
+/**
+ * Squared distance from a point to a line segment.
+ * @param {number} px - Point x-coordinate
+ * @param {number} py - Point y-coordinate
+ * @param {number} ax - Segment start x-coordinate
+ * @param {number} ay - Segment start y-coordinate
+ * @param {number} bx - Segment end x-coordinate
+ * @param {number} by - Segment end y-coordinate
+ * @returns {number} Squared distance
+ */
+function distanceToSegmentSq(px, py, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+        : 0;
+    const cx = ax + t * dx - px;
+    const cy = ay + t * dy - py;
+    return cx * cx + cy * cy;
+}
+
+export { ConstellationOverlay };
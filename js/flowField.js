@@ -0,0 +1,465 @@
+import { createNoise3D } from './utils/noise.js';
+
+/** Noise octaves summed into the field; turbulence sets the weight of the finer ones */
+const OCTAVES = 3;
+
+/** Change of the field per second of simulation time, in noise units at turbulence 0 */
+const EVOLUTION_RATE = 0.1;
+
+/** Simulation milliseconds between samplings of the noise; the field changes too slowly to need it every frame */
+const SAMPLE_INTERVAL = 100;
+
+/** Grid cell size, as a share of the field scale, and its limits in pixels */
+const CELL_SHARE = 1 / 16;
+const MIN_CELL = 12;
+const MAX_CELL = 48;
+
+/** Radius of the vortices stirred up by the pointer in pixels */
+const STIR_RADIUS = 60;
+
+/** Swirl speed of each vortex per unit of pointer speed at stir strength 1; a pair adds up to about twice that */
+const STIR_GAIN = 0.25;
+
+/** Fastest swirl a vortex may start with in pixels per second */
+const MAX_STIR_SPEED = 1500;
+
+/** Time constant in milliseconds of a vortex dying down */
+const STIR_LIFE = 1500;
+
+/** Milliseconds between vortex pairs while the pointer moves */
+const STIR_INTERVAL = 50;
+
+/** Most vortices at once; the oldest makes way for a new one */
+const MAX_VORTICES = 24;
+
+/** Swirl speed in pixels per second below which a vortex is dropped */
+const MIN_STIR_SPEED = 5;
+
+/**
+ * Flow field: a time-evolving curl-noise velocity field that stars drift along.
+ * The velocity is the curl of a noise potential, so the flow has no sources
+ * or sinks and stars don't bunch up. The potential is blended to repeat
+ * across the view, so stars wrapping around an edge flow on where they
+ * reappear instead of piling up at the seam. It is sampled on a grid
+ * sized to the view once per update and stars read the velocity by bilinear
+ * interpolation, so the cost doesn't grow with the star count.
+ *
+ * With pointer stirring on, a moving pointer leaves pairs of counter-rotating
+ * vortices on either side of its path, swirling as fast as it moves and dying
+ * down over a second or two.
+ * @class
+ */
+class FlowField {
+    /**
+     * Create a new FlowField instance.
+     * @param {Object} [config={}] - Flow field configuration (see setConfig)
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: false,
+            scale: 300, // Size of the flow's features in pixels
+            speed: 20, // Typical drift speed in pixels per second
+            turbulence: 0.5, // 0 for broad, slow currents, 1 for choppy ones that change quickly
+            stirring: false, // Let the moving pointer stir up swirls
+            stirStrength: 1, // Multiplier of the stirred swirl
+            showField: false // Draw the field as arrows (debug overlay)
+        };
+        this.setConfig(config);
+
+        /** @type {function(number, number, number): number} */
+        this.noise = createNoise3D();
+
+        // Velocity grid, rebuilt by update()
+        this.cellSize = MIN_CELL;
+        this.columns = 0;
+        this.rows = 0;
+        this.width = 0;
+        this.height = 0;
+
+        /** @type {number|null} Simulation time the potential was sampled at; null to sample it again */
+        this.sampleTime = null;
+        this.potential = new Float32Array(0);
+        this.velocityX = new Float32Array(0);
+        this.velocityY = new Float32Array(0);
+
+        /** @type {Array<{x: number, y: number, strength: number, start: number}>} Vortices stirred up by the pointer */
+        this.vortices = [];
+
+        /** @type {{x: number, y: number, time: number}|null} Pointer position at the last stir */
+        this.lastStir = null;
+    }
+
+    /**
+     * Set flow field configuration
+     * @param {Object} config - Flow field configuration
+     * @param {boolean} [config.enabled] - Whether stars drift along the field
+     * @param {number} [config.scale] - Size of the flow's features in pixels
+     * @param {number} [config.speed] - Typical drift speed in pixels per second
+     * @param {number} [config.turbulence] - Choppiness of the flow (0-1)
+     * @param {boolean} [config.stirring] - Whether the moving pointer stirs up swirls
+     * @param {number} [config.stirStrength] - Multiplier of the stirred swirl
+     * @param {boolean} [config.showField] - Whether to draw the field
+     * @returns {void}
+     */
+    setConfig(config) {
+        const { config: current } = this;
+
+        if (config.enabled !== undefined) {
+            current.enabled = !!config.enabled;
+        }
+        if (config.scale !== undefined) {
+            current.scale = Math.max(10, config.scale);
+            this.sampleTime = null;
+        }
+        if (config.speed !== undefined) {
+            current.speed = Math.max(0, config.speed);
+        }
+        if (config.turbulence !== undefined) {
+            current.turbulence = Math.min(Math.max(config.turbulence, 0), 1);
+            this.sampleTime = null;
+        }
+        if (config.stirring !== undefined) {
+            current.stirring = !!config.stirring;
+        }
+        if (config.stirStrength !== undefined) {
+            current.stirStrength = Math.max(0, config.stirStrength);
+        }
+        if (config.showField !== undefined) {
+            current.showField = !!config.showField;
+        }
+    }
+
+    /**
+     * Shape the field with a new generator, e.g. the one of a new sky.
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @returns {void}
+     */
+    reseed(random) {
+        this.noise = createNoise3D(random);
+        this.sampleTime = null;
+    }
+
+    /**
+     * Calm the stirred-up swirls, e.g. when simulated time jumps.
+     * @returns {void}
+     */
+    reset() {
+        this.vortices.length = 0;
+        this.lastStir = null;
+    }
+
+    /**
+     * Rebuild the velocity grid for a moment in time and stir in the pointer's motion.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @param {{x: number, y: number}|null} pointer - Pointer position in css pixels, or null
+     * @returns {void}
+     */
+    update(time, width, height, pointer) {
+        this._stir(time, pointer);
+        this._resize(width, height);
+
+        if (this.sampleTime === null || Math.abs(time - this.sampleTime) >= SAMPLE_INTERVAL) {
+            this._samplePotential(time);
+            this.sampleTime = time;
+        }
+
+        const { columns, rows, cellSize, potential, velocityX, velocityY } = this;
+        const { speed } = this.config;
+
+        // Velocity: the curl of the potential, by central differences (one-sided at the edges)
+        for (let row = 0; row < rows; row++) {
+            const up = Math.max(row - 1, 0);
+            const down = Math.min(row + 1, rows - 1);
+            for (let column = 0; column < columns; column++) {
+                const left = Math.max(column - 1, 0);
+                const right = Math.min(column + 1, columns - 1);
+                const slopeX = (potential[row * columns + right] - potential[row * columns + left]) / ((right - left) * cellSize);
+                const slopeY = (potential[down * columns + column] - potential[up * columns + column]) / ((down - up) * cellSize);
+                const index = row * columns + column;
+                velocityX[index] = slopeY * speed;
+                velocityY[index] = -slopeX * speed;
+            }
+        }
+
+        this._addVortices(time);
+    }
+
+    /**
+     * Move stars along the field, wrapping them around the edges of the view.
+     * Moves their origin, which their own floating motion is added to.
+     * @param {StarStore} store - Star data
+     * @param {Int32Array} indices - Store indices of the active stars
+     * @param {number} count - Number of active stars
+     * @param {number} deltaTime - Time since the previous update in milliseconds
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @returns {void}
+     */
+    advect(store, indices, count, deltaTime, width, height) {
+        if (deltaTime <= 0 || this.columns === 0) return;
+
+        const { originX, originY } = store;
+        const seconds = deltaTime / 1000;
+
+        for (let k = 0; k < count; k++) {
+            const i = indices[k];
+            let x = originX[i];
+            let y = originY[i];
+
+            x += this._sample(this.velocityX, x, y) * seconds;
+            y += this._sample(this.velocityY, x, y) * seconds;
+
+            // Wrap around the edges
+            if (x < 0) x += width;
+            else if (x >= width) x -= width;
+            if (y < 0) y += height;
+            else if (y >= height) y -= height;
+
+            originX[i] = x;
+            originY[i] = y;
+        }
+    }
+
+    /**
+     * Draw the field as a grid of arrows, coloured from blue (slow) to red (fast).
+     * @param {CanvasRenderingContext2D} ctx - 2D rendering context
+     * @returns {void}
+     */
+    draw(ctx) {
+        const { columns, rows, cellSize, velocityX, velocityY } = this;
+        if (columns === 0) return;
+
+        // An arrow every 24 pixels or so, as long as the spacing at twice the typical speed
+        const stride = Math.max(1, Math.round(24 / cellSize));
+        const spacing = stride * cellSize;
+        const reference = Math.max(this.config.speed, 1) * 2;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        for (let row = 0; row < rows; row += stride) {
+            for (let column = 0; column < columns; column += stride) {
+                const index = row * columns + column;
+                const vx = velocityX[index];
+                const vy = velocityY[index];
+                const speed = Math.hypot(vx, vy);
+                if (speed < 0.01) continue;
+
+                const length = Math.min(speed / reference, 1) * spacing * 0.9;
+                const x = (column - 1) * cellSize;
+                const y = (row - 1) * cellSize;
+                const endX = x + vx / speed * length;
+                const endY = y + vy / speed * length;
+
+                const hue = 220 - Math.min(speed / reference, 1) * 220;
+                ctx.strokeStyle = `hsla(${hue}, 90%, 60%, 0.6)`;
+                ctx.fillStyle = ctx.strokeStyle;
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(endX, endY);
+                ctx.stroke();
+                ctx.fillRect(endX - 1, endY - 1, 2, 2);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Sample the potential on the grid. It is blended from the four copies of
+     * the noise around the view, so it has the same value on opposite edges,
+     * and divided by the spread of the blend, so the flow is as strong in the
+     * middle of the view as at its edges.
+     * @param {number} time - Simulation time in milliseconds
+     * @private
+     * @returns {void}
+     */
+    _samplePotential(time) {
+        const { columns, rows, cellSize, potential, width, height } = this;
+        const { turbulence } = this.config;
+        const depth = time / 1000 * EVOLUTION_RATE * (0.5 + turbulence);
+
+        let totalWeight = 0;
+        for (let octave = 0, weight = 1; octave < OCTAVES; octave++, weight *= turbulence) {
+            totalWeight += weight;
+        }
+
+        for (let row = 0; row < rows; row++) {
+            const py = (((row - 1) * cellSize) % height + height) % height;
+            const blendY = py / height;
+            for (let column = 0; column < columns; column++) {
+                const px = (((column - 1) * cellSize) % width + width) % width;
+                const blendX = px / width;
+                const w00 = (1 - blendX) * (1 - blendY);
+                const w10 = blendX * (1 - blendY);
+                const w01 = (1 - blendX) * blendY;
+                const w11 = blendX * blendY;
+                const spread = Math.sqrt(w00 * w00 + w10 * w10 + w01 * w01 + w11 * w11);
+
+                potential[row * columns + column] = (
+                    this._potential(px, py, depth) * w00 +
+                    this._potential(px - width, py, depth) * w10 +
+                    this._potential(px, py - height, depth) * w01 +
+                    this._potential(px - width, py - height, depth) * w11
+                ) / (spread * totalWeight);
+            }
+        }
+    }
+
+    /**
+     * Unblended potential at a point: octaves of noise, each finer one weighted
+     * by the turbulence. Each octave is scaled by its wavelength, so its slopes
+     * (and so its speeds) are alike.
+     * @param {number} x - X-coordinate in css pixels
+     * @param {number} y - Y-coordinate in css pixels
+     * @param {number} depth - Position along the noise's time axis
+     * @private
+     * @returns {number} Potential, before dividing by the total octave weight
+     */
+    _potential(x, y, depth) {
+        const { noise } = this;
+        const { scale, turbulence } = this.config;
+        let value = 0;
+        let wavelength = scale;
+        let weight = 1;
+        for (let octave = 0; octave < OCTAVES && weight > 0; octave++) {
+            value += noise(x / wavelength, y / wavelength, depth + octave * 17.3) * wavelength * weight;
+            wavelength /= 2;
+            weight *= turbulence;
+        }
+        return value;
+    }
+
+    /**
+     * Size the grid to cover the view and a node past each edge; node (1, 1)
+     * is at the top left corner of the view.
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @private
+     * @returns {void}
+     */
+    _resize(width, height) {
+        const cellSize = Math.min(Math.max(this.config.scale * CELL_SHARE, MIN_CELL), MAX_CELL);
+        const columns = Math.ceil(width / cellSize) + 3;
+        const rows = Math.ceil(height / cellSize) + 3;
+        if (cellSize === this.cellSize && width === this.width && height === this.height && columns === this.columns) return;
+
+        this.width = width;
+        this.height = height;
+        this.sampleTime = null;
+        this.cellSize = cellSize;
+        this.columns = columns;
+        this.rows = rows;
+        this.potential = new Float32Array(columns * rows);
+        this.velocityX = new Float32Array(columns * rows);
+        this.velocityY = new Float32Array(columns * rows);
+    }
+
+    /**
+     * Leave a pair of counter-rotating vortices on either side of the pointer's
+     * path, so the flow between them follows the pointer, and let the old ones die down.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {{x: number, y: number}|null} pointer - Pointer position in css pixels, or null
+     * @private
+     * @returns {void}
+     */
+    _stir(time, pointer) {
+        const { config } = this;
+
+        this.vortices = this.vortices.filter(vortex =>
+            Math.abs(vortex.strength) * Math.exp(-(time - vortex.start) / STIR_LIFE) >= MIN_STIR_SPEED);
+
+        if (!config.stirring || !pointer) {
+            this.lastStir = null;
+            return;
+        }
+
+        const last = this.lastStir;
+        if (!last || time < last.time) {
+            this.lastStir = { x: pointer.x, y: pointer.y, time };
+            return;
+        }
+
+        const elapsed = time - last.time;
+        if (elapsed < STIR_INTERVAL) return;
+
+        const dx = pointer.x - last.x;
+        const dy = pointer.y - last.y;
+        const distance = Math.hypot(dx, dy);
+        this.lastStir = { x: pointer.x, y: pointer.y, time };
+        if (distance < 1) return;
+
+        const pointerSpeed = distance / elapsed * 1000;
+        const strength = Math.min(pointerSpeed * STIR_GAIN * config.stirStrength, MAX_STIR_SPEED);
+        if (strength < MIN_STIR_SPEED) return;
+
+        // Unit normal to the left of the motion
+        const normalX = -dy / distance;
+        const normalY = dx / distance;
+        this.vortices.push(
+            { x: pointer.x + normalX * STIR_RADIUS, y: pointer.y + normalY * STIR_RADIUS, strength, start: time },
+            { x: pointer.x - normalX * STIR_RADIUS, y: pointer.y - normalY * STIR_RADIUS, strength: -strength, start: time }
+        );
+        if (this.vortices.length > MAX_VORTICES) {
+            this.vortices.splice(0, this.vortices.length - MAX_VORTICES);
+        }
+    }
+
+    /**
+     * Add the swirl of the vortices to the velocity grid. Each vortex spins
+     * fastest (at its strength) at STIR_RADIUS from its centre and fades out
+     * beyond it.
+     * @param {number} time - Simulation time in milliseconds
+     * @private
+     * @returns {void}
+     */
+    _addVortices(time) {
+        const { columns, rows, cellSize, velocityX, velocityY } = this;
+        const reach = STIR_RADIUS * 3;
+        const radiusSq = STIR_RADIUS * STIR_RADIUS;
+
+        this.vortices.forEach(vortex => {
+            const strength = vortex.strength * Math.exp(-(time - vortex.start) / STIR_LIFE);
+            const firstColumn = Math.max(0, Math.floor((vortex.x - reach) / cellSize) + 1);
+            const lastColumn = Math.min(columns - 1, Math.ceil((vortex.x + reach) / cellSize) + 1);
+            const firstRow = Math.max(0, Math.floor((vortex.y - reach) / cellSize) + 1);
+            const lastRow = Math.min(rows - 1, Math.ceil((vortex.y + reach) / cellSize) + 1);
+
+            for (let row = firstRow; row <= lastRow; row++) {
+                for (let column = firstColumn; column <= lastColumn; column++) {
+                    const dx = (column - 1) * cellSize - vortex.x;
+                    const dy = (row - 1) * cellSize - vortex.y;
+                    const swirl = strength * Math.exp(0.5 * (1 - (dx * dx + dy * dy) / radiusSq)) / STIR_RADIUS;
+                    const index = row * columns + column;
+                    velocityX[index] -= dy * swirl;
+                    velocityY[index] += dx * swirl;
+                }
+            }
+        });
+    }
+
+    /**
+     * Read a grid value at a position by bilinear interpolation.
+     * @param {Float32Array} grid - Velocity grid
+     * @param {number} x - X-coordinate in css pixels
+     * @param {number} y - Y-coordinate in css pixels
+     * @private
+     * @returns {number} Interpolated value
+     */
+    _sample(grid, x, y) {
+        const { columns, rows, cellSize } = this;
+        const gx = Math.min(Math.max(x / cellSize + 1, 0), columns - 1.001);
+        const gy = Math.min(Math.max(y / cellSize + 1, 0), rows - 1.001);
+        const column = Math.floor(gx);
+        const row = Math.floor(gy);
+        const fx = gx - column;
+        const fy = gy - row;
+
+        const index = row * columns + column;
+        const top = grid[index] + (grid[index + 1] - grid[index]) * fx;
+        const bottom = grid[index + columns] + (grid[index + columns + 1] - grid[index + columns]) * fx;
+        return top + (bottom - top) * fy;
+    }
+}
+
+export { FlowField };
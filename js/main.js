@@ -5,11 +5,20 @@
  */
 
 // Import configuration and utilities
-import { loadConfig, saveConfig, getConfig, FEATURES } from './config/index.js';
+import {
+    initStorage, saveConfig, clearStorage, getConfig, getSharedConfig, keepLocalSettings, getConfigHash, DEFAULT_CONFIG, FEATURES
+} from './config/index.js';
+import { CONTROLS } from './config/controls.js';
 import { Starfield } from './starfield.js';
+import { StarfieldProxy } from './starfieldProxy.js';
 import ControlPanelManager from './utils/controlPanel.js';
+import PresetManager from './utils/presetManager.js';
+import SettingsHistory from './utils/settingsHistory.js';
+import { downloadFile, isCanvasSupported, showError } from './utils/browser.js';
 import Utils from './utils/utils.js';
-import { isCanvasSupported, showError } from './utils/browser.js';
+import { normalizeSeed, randomSeed } from './utils/random.js';
+import { loadCatalog, parseCatalog } from './utils/catalog.js';
+import { loadConstellations, nameConstellations, parseConstellationLines, parseConstellationNames } from './utils/constellations.js';
 
 /** @type {Starfield} - The main starfield instance */
 let starfield;
@@ -20,17 +29,33 @@ let resizeTimeout;
 /** @type {boolean} - Flag to track if the application has been initialized */
 let isInitialized = false;
 
+/** @type {number} - Timeout ID for debouncing URL hash updates */
+let urlUpdateTimeout;
+
+/** @type {SettingsHistory} - Undo/redo history of the settings changed from the panel */
+const settingsHistory = new SettingsHistory();
+
+// Open the settings storage before anything is read from it (IndexedDB loads asynchronously)
+await initStorage();
+
 // Load configuration with defaults
 let CONFIG = getConfig();
 
+// A sky shared through a link takes precedence over the saved settings
+const sharedConfig = getSharedConfig(window.location.hash, CONFIG);
+if (sharedConfig) {
+    CONFIG = sharedConfig;
+    saveConfig(CONFIG);
+}
+
 
 
 /**
- * Initialize the application when the DOM is fully loaded.
+ * Start the application once the DOM is fully loaded.
  * Sets up event listeners and initializes the starfield visualization.
- * @listens DOMContentLoaded
+ * @returns {void}
  */
-document.addEventListener('DOMContentLoaded', () => {
+function start() {
     // Check if browser supports required features
     if (!isCanvasSupported()) {
         showError('Your browser does not support all the features required for this visualization.');
@@ -44,12 +69,15 @@ document.addEventListener('DOMContentLoaded', () => {
     init();
 
     // Set up UI controls after the starfield is ready
-    initUIControls();
-
-    // Initialize parallax controls state
-    updateParallaxUI();
+    initUIControls(controlPanel);
+}
 
-});
+// Opening the storage may take until after the document has loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+} else {
+    start();
+}
 
 
 
@@ -66,24 +94,38 @@ function init() {
     if (!canvas) return;
 
     try {
+        // Keep the saved seed only when it is locked or came with a link; otherwise every visit gets a new sky
+        if (CONFIG.seed.value === null || (!CONFIG.seed.locked && !sharedConfig)) {
+            CONFIG.seed.value = randomSeed();
+            saveConfig(CONFIG);
+        }
+
         // Default options for the starfield
         const starfieldOptions = {
             starCount: CONFIG.starCount,
+            seed: CONFIG.seed.value,
+            animationSpeed: CONFIG.animationSpeed,
 
             connectionDistance: CONFIG.mouseConnection.distance,
             mouseConnectionsEnabled: CONFIG.mouseConnection.enabled,
 
-            moveStarsAwayFromMouse: CONFIG.moveStarsAwayFromMouse !== undefined ? CONFIG.moveStarsAwayFromMouse : false,
+            pointerPhysics: { ...CONFIG.pointerPhysics },
+            flowField: { ...CONFIG.flowField },
+
+            starLinks: { ...CONFIG.starLinks },
+            catalog: { ...CONFIG.catalog },
+            observer: { ...CONFIG.observer },
+            constellations: { ...CONFIG.constellations },
 
             clustersEnabled: CONFIG.clusters.enabled,
             maxStarsPerCluster: CONFIG.clusters.maxStarsPerCluster,
             clusterCount: CONFIG.clusters.clusterCount,
 
-            starColor: {
-                hue: Utils.randomInRange(CONFIG.colors.starHueMin, CONFIG.colors.starHueMax),
-                saturation: CONFIG.colors.starSaturation,
-                lightness: CONFIG.colors.starLightness
-            },
+            shootingStar: { ...CONFIG.shootingStar },
+            meteorShower: { ...CONFIG.meteorShower },
+            comets: { ...CONFIG.comets },
+            parallax: { ...CONFIG.parallax },
+
             connectionColor: {
                 start: CONFIG.colors.connectionStart,
                 end: CONFIG.colors.connectionEnd,
@@ -96,14 +138,25 @@ function init() {
             },
             trailFadeSpeed: CONFIG.trailFadeSpeed,
 
+            colors: CONFIG.colors,
+            highFidelity: CONFIG.rendering.highFidelity,
+            fixedTimestep: CONFIG.simulation.fixedTimestep,
+            timestep: 1000 / CONFIG.simulation.stepsPerSecond,
+            quality: { ...CONFIG.quality },
+
             ellipseEnabled: CONFIG.starMoving.enabled,
             ellipticalMovementRate: CONFIG.starMoving.ellipticalRate,
 
             starMovementSpeed: CONFIG.starMoving.speed,
         };
 
-        // Create the starfield with configuration
-        starfield = new Starfield(canvas, starfieldOptions);
+        // Create the starfield with configuration, in a worker when requested and
+        // supported, otherwise on the main thread
+        if (CONFIG.rendering.worker && StarfieldProxy.isSupported(canvas)) {
+            starfield = new StarfieldProxy(canvas, starfieldOptions);
+        } else {
+            starfield = new Starfield(canvas, starfieldOptions);
+        }
 
         isInitialized = true;
     } catch (error) {
@@ -114,662 +167,659 @@ function init() {
 
 
 /**
- * Update UI elements to reflect the current configuration.
- * Synchronizes form controls with the current state of the visualization.
+ * Apply a setting changed in the control panel and record it for undo.
+ * @param {Object} control - Control descriptor (see config/controls.js); custom
+ *   controls pass the same fields
+ * @param {*} value - New value
+ * @returns {void}
+ */
+function applySetting(control, value) {
+    // Settings that reload the page can't be undone
+    if (!control.reload) {
+        settingsHistory.record([{
+            control,
+            before: structuredClone(Utils.getPath(CONFIG, control.path)),
+            after: structuredClone(value)
+        }]);
+    }
+    applyChanges([{ control, value }]);
+}
+
+/**
+ * Apply settings changed together: write them to the config, persist it once
+ * and pass them to the starfield. Stars are recreated at most once.
+ * Every settings change made from the panel, undo and redo included, goes through here.
+ * @param {Array<{control: Object, value: *}>} changes - Control descriptors and their new values
  * @returns {void}
  */
-function updateParallaxUI() {
-    if (!CONFIG.parallax) return;
-
-    const enabledCheckbox = document.getElementById('parallaxEnabled');
-    const intensitySlider = document.getElementById('parallaxIntensity');
-    const maxOffsetSlider = document.getElementById('parallaxMaxOffset');
-
-    if (enabledCheckbox) enabledCheckbox.checked = CONFIG.parallax.enabled;
-    if (intensitySlider) intensitySlider.value = CONFIG.parallax.intensity;
-    if (maxOffsetSlider) maxOffsetSlider.value = CONFIG.parallax.maxOffset;
-
-    // Update displayed values
-    const intensityValue = document.getElementById('parallaxIntensityValue');
-    const maxOffsetValue = document.getElementById('parallaxMaxOffsetValue');
-
-    if (intensityValue) intensityValue.textContent = CONFIG.parallax.intensity.toFixed(2);
-    if (maxOffsetValue) maxOffsetValue.textContent = CONFIG.parallax.maxOffset;
-
-    // Toggle controls based on enabled state
-    const parallaxControls = document.getElementById('parallaxControls');
-    if (parallaxControls) {
-        parallaxControls.style.display = CONFIG.parallax.enabled ? 'block' : 'none';
-        // Add smooth transition
-        parallaxControls.style.transition = 'opacity 0.3s ease, display 0.3s ease';
+function applyChanges(changes) {
+    changes.forEach(({ control, value }) => Utils.setPath(CONFIG, control.path, value));
+    saveConfig(CONFIG);
+
+    if (changes.some(({ control }) => control.reload)) {
+        window.location.reload();
+        return;
+    }
+    if (!starfield) return;
+
+    changes.forEach(({ control, value }) => {
+        if (control.apply) {
+            control.apply(starfield, value, CONFIG);
+        } else if (control.setter) {
+            starfield[control.setter](control.option ? { [control.option]: value } : value);
+        }
+    });
+    if (changes.some(({ control }) => control.regenerate)) {
+        starfield.createStars();
     }
 }
 
 /**
  * Initialize all UI controls and set up event listeners.
- * Handles user interactions with the control panel.
+ * The settings controls are generated from CONTROLS; the hand-built ones
+ * (seed, sharing, presets, files, time) are wired here.
+ * @param {ControlPanelManager} controlPanel - Control panel to build the controls in
  * @returns {void}
  */
-function initUIControls() {
-    // Get UI elements
-    const starCountInput = document.getElementById('starCount');
-    const distanceInput = document.getElementById('connectionDistance');
-    const speedInput = document.getElementById('animationSpeed');
-    const maxStarsPerClusterInput = document.getElementById('maxStarsPerCluster');
-
-    // Background controls
-    const bgEnabledToggle = document.getElementById('bgEnabled');
-    const bgControls = document.getElementById('bgControls');
-    const bgColorPicker = document.getElementById('bgColor');
-    const bgOpacitySlider = document.getElementById('bgOpacity');
-    const bgColorValue = document.getElementById('bgColorValue');
-    const opacityValue = document.getElementById('opacityValue');
-
-    // Parallax controls (declared later where used)
-    const clusterCountInput = document.getElementById('clusterCount');
-    const trailFadeSpeedInput = document.getElementById('trailFadeSpeed');
-
-    // Mouse connections controls
-    const mouseConnectionsToggle = document.getElementById('enableMouseConnections');
-    const connectionControls = document.getElementById('connectionControls');
-
-    // Ellipse movement controls
-    const ellipseToggle = document.getElementById('ellipseMovement');
-    const ellipseControls = document.getElementById('ellipseControls');
-    const ellipticalMovementRateInput = document.getElementById('ellipticalMovementRate');
-    const starMovementSpeedInput = document.getElementById('starMovementSpeed');
-
-    // Shooting stars controls
-    const shootingStarsToggle = document.getElementById('enableShootingStars');
-    const shootingStarsControls = document.getElementById('shootingStarControls');
-    const maxStarsAtOnceInput = document.getElementById('maxStarsAtOnce');
-    const maxShootDurationInput = document.getElementById('maxShootDuration');
-    const maxEventSecondsInput = document.getElementById('maxEventSeconds');
-
-    // Initialize background settings with safe defaults if not present
-    if (!CONFIG.background) {
-        CONFIG.background = {
-            enabled: true,
-            color: '#000428',
-            colorOriginal: '#000428',
-            opacity: 1.0
-        };
-    }
-    
-    // Ensure colorOriginal exists and is set to the default if not present
-    if (CONFIG.background && !CONFIG.background.colorOriginal) {
-        CONFIG.background.colorOriginal = CONFIG.background.color || '#000428';
+function initUIControls(controlPanel) {
+    // Settings of the hand-built controls, in the section they are shown in so a reset covers them
+    const qualitySetting = {
+        path: 'quality',
+        section: 'rendering',
+        apply: (target, quality) => target.setQualityLevel(quality.adaptive ? null : quality.level)
+    };
+    const observerTimeSetting = { path: 'observer.time', section: 'observer', setter: 'setObserverConfig', option: 'time' };
+
+    /**
+     * Reset the settings of a panel section to their defaults, as one undo step.
+     * @param {string} section - Section name
+     * @returns {void}
+     */
+    const resetSection = (section) => {
+        const changes = [...CONTROLS, qualitySetting, observerTimeSetting]
+            .filter(control => control.section === section && control.path && !control.reload)
+            .map(control => ({
+                control,
+                before: structuredClone(Utils.getPath(CONFIG, control.path)),
+                after: structuredClone(Utils.getPath(DEFAULT_CONFIG, control.path))
+            }))
+            .filter(({ before, after }) => JSON.stringify(before) !== JSON.stringify(after));
+        if (changes.length === 0) return;
+
+        settingsHistory.record(changes);
+        applyChanges(changes.map(({ control, after }) => ({ control, value: structuredClone(after) })));
+        refreshControls();
+    };
+
+    controlPanel.renderControls(CONTROLS, CONFIG, applySetting, resetSection);
+
+    // Worker rendering needs OffscreenCanvas transfer and module workers
+    const renderInWorkerToggle = controlPanel.getInput('rendering.worker');
+    if (renderInWorkerToggle) {
+        renderInWorkerToggle.disabled = !StarfieldProxy.isSupported(document.getElementById('canvas'));
     }
 
-    // Set up background controls
-    if (bgEnabledToggle) {
-        bgEnabledToggle.checked = CONFIG.background.enabled;
-        
-        // Set initial visibility of background controls
-        if (bgControls) {
-            bgControls.style.display = CONFIG.background.enabled ? 'block' : 'none';
-            bgControls.style.transition = 'opacity 0.3s ease, display 0.3s ease';
-        }
+    // Quality level selector (Auto lets the governor adapt to the frame rate)
+    const qualityLevelSelect = document.getElementById('qualityLevel');
+    const qualityLevelValue = document.getElementById('qualityLevelValue');
 
-        // Toggle background controls visibility
-        bgEnabledToggle.addEventListener('change', (e) => {
-            const isEnabled = e.target.checked;
-            CONFIG.background.enabled = isEnabled;
-            
-            if (bgControls) {
-                bgControls.style.display = isEnabled ? 'block' : 'none';
-                
-                // Apply background changes to the starfield if it exists
-                if (starfield) {
-                    if (isEnabled) {
-                        // When enabling, use the saved color
-                        starfield.setBackgroundColor(CONFIG.background.color, CONFIG.background.opacity);
-                    } else {
-                        // When disabling, use the original color but with 0 opacity
-                        starfield.setBackgroundColor(CONFIG.background.colorOriginal, 0);
-                    }
-                }
+    if (qualityLevelSelect && starfield) {
+        qualityLevelSelect.value = CONFIG.quality.adaptive ? 'auto' : String(CONFIG.quality.level);
+
+        const showQualityLevel = ({ settings, pinned }) => {
+            if (qualityLevelValue) {
+                qualityLevelValue.textContent = pinned ? settings.name : `${settings.name} (auto)`;
             }
-            
-            // Save the updated configuration
-            saveConfig(CONFIG);
+        };
+        showQualityLevel({ settings: starfield.qualityManager.settings, pinned: !starfield.qualityManager.isAdaptive });
+        starfield.qualityManager.on('levelchange', showQualityLevel);
+
+        qualityLevelSelect.addEventListener('change', (e) => {
+            const adaptive = e.target.value === 'auto';
+            applySetting(qualitySetting, {
+                ...CONFIG.quality,
+                adaptive,
+                level: adaptive ? CONFIG.quality.level : parseInt(e.target.value)
+            });
         });
     }
 
-    // Initialize shooting stars settings with safe defaults if not present
-    if (!CONFIG.shootingStar) {
-        CONFIG.shootingStar = {
-            enabled: false,
-            maxStarsAtOnce: 3,
-            maxShootDurationSeconds: 3,
-            maxEventSeconds: 0.5
-        };
-    }
-    if (starfield) {
-        starfield.updateShootingStarSettings(CONFIG.shootingStar);
-    }
+    // Seed controls
+    const seedInput = document.getElementById('seedInput');
+    const newSeedBtn = document.getElementById('newSeed');
+    const lockSeedToggle = document.getElementById('lockSeed');
 
-    if (maxStarsAtOnceInput) {
-        maxStarsAtOnceInput.value = CONFIG.shootingStar.maxStarsAtOnce;
-        document.getElementById('maxStarsAtOnceValue').textContent = CONFIG.shootingStar.maxStarsAtOnce;
-    }
-    if (maxShootDurationInput) {
-        maxShootDurationInput.value = CONFIG.shootingStar.maxShootDurationSeconds;
-        document.getElementById('maxShootDurationValue').textContent = CONFIG.shootingStar.maxShootDurationSeconds;
-    }
-    if (maxEventSecondsInput) {
-        maxEventSecondsInput.value = CONFIG.shootingStar.maxEventSeconds;
-        document.getElementById('maxEventSecondsValue').textContent = CONFIG.shootingStar.maxEventSeconds;
-    }
+    /**
+     * Switch the sky to a new seed and regenerate it.
+     * @param {number|string} seed - New seed
+     * @returns {void}
+     */
+    const applySeed = (seed) => {
+        applySetting({ path: 'seed.value', setter: 'setSeed', regenerate: true }, normalizeSeed(seed));
+        if (seedInput) seedInput.value = CONFIG.seed.value;
+    };
 
-    // Set initial values from CONFIG and update displays
-    if (mouseConnectionsToggle) {
-        // Initialize mouse connection settings with safe defaults if not present
-        if (!CONFIG.mouseConnection) {
-            CONFIG.mouseConnection = { enabled: false, distance: 250 };
-        }
-        mouseConnectionsToggle.checked = CONFIG.mouseConnection.enabled;
-        if (connectionControls) {
-            connectionControls.style.display = CONFIG.mouseConnection.enabled ? 'block' : 'none';
-        }
+    if (seedInput) {
+        seedInput.value = CONFIG.seed.value;
+
+        seedInput.addEventListener('change', (e) => {
+            const value = e.target.value.trim();
+            if (value === '') {
+                e.target.value = CONFIG.seed.value;
+                return;
+            }
+            applySeed(value);
+        });
     }
 
-    if (starCountInput) {
-        starCountInput.value = CONFIG.starCount;
-        document.getElementById('starCountValue').textContent = CONFIG.starCount;
+    if (newSeedBtn) {
+        newSeedBtn.addEventListener('click', () => applySeed(randomSeed()));
     }
 
-    if (distanceInput) {
-        // Ensure mouseConnection object exists
-        if (!CONFIG.mouseConnection) {
-            CONFIG.mouseConnection = { enabled: false, distance: 250 };
-        }
-        distanceInput.value = CONFIG.mouseConnection.distance;
-        document.getElementById('distanceValue').textContent = CONFIG.mouseConnection.distance;
+    if (lockSeedToggle) {
+        lockSeedToggle.checked = CONFIG.seed.locked;
+        lockSeedToggle.addEventListener('change', (e) => applySetting({ path: 'seed.locked' }, e.target.checked));
     }
 
-    if (speedInput) {
-        speedInput.value = CONFIG.animationSpeed;
-        document.getElementById('speedValue').textContent = CONFIG.animationSpeed.toFixed(1) + 'x';
+    // Share controls
+    const copyLinkBtn = document.getElementById('copyLink');
+    const liveUrlToggle = document.getElementById('liveUrl');
+    const controlsPanel = document.getElementById('controlsPanel');
+
+    /**
+     * Write the current settings to the URL hash without adding a history entry.
+     * @returns {void}
+     */
+    const updateUrlHash = () => {
+        window.history.replaceState(null, '', `#${getConfigHash(CONFIG)}`);
+    };
+
+    /**
+     * Remove the settings from the URL hash.
+     * @returns {void}
+     */
+    const clearUrlHash = () => {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    };
+
+    // A link's hash has been applied; drop it unless it is kept live, so later changes aren't undone on reload
+    if (CONFIG.share.liveUrl) {
+        updateUrlHash();
+    } else if (sharedConfig) {
+        clearUrlHash();
     }
 
-    if (starMovementSpeedInput) {
-        starMovementSpeedInput.value = CONFIG.starMoving.speed;
-        const starMovementSpeedValue = document.getElementById('starMovementSpeedValue');
-        if (starMovementSpeedValue) {
-            starMovementSpeedValue.textContent = CONFIG.starMoving.speed.toFixed(2);
-        }
+    if (liveUrlToggle) {
+        liveUrlToggle.checked = CONFIG.share.liveUrl;
+
+        liveUrlToggle.addEventListener('change', (e) => {
+            applySetting({ path: 'share.liveUrl' }, e.target.checked);
+            if (CONFIG.share.liveUrl) {
+                updateUrlHash();
+            } else {
+                clearUrlHash();
+            }
+        });
     }
 
-    // Initialize clusters object if it doesn't exist
-    if (!CONFIG.clusters) {
-        CONFIG.clusters = {
-            enabled: true,
-            maxStarsPerCluster: 100,
-            clusterCount: 5
+    // Follow every control in the panel rather than each setting
+    if (controlsPanel) {
+        const scheduleUrlUpdate = () => {
+            if (!CONFIG.share.liveUrl) return;
+            clearTimeout(urlUpdateTimeout);
+            urlUpdateTimeout = setTimeout(updateUrlHash, 500);
         };
-    }
+        ['input', 'change', 'click'].forEach(type => controlsPanel.addEventListener(type, scheduleUrlUpdate));
 
-    if (maxStarsPerClusterInput) {
-        maxStarsPerClusterInput.value = CONFIG.clusters.maxStarsPerCluster;
-        document.getElementById('maxStarsPerClusterValue').textContent = CONFIG.clusters.maxStarsPerCluster;
+        // A slider drag fires 'input' until it is released; close its history entry then
+        ['change', 'click'].forEach(type => controlsPanel.addEventListener(type, () => settingsHistory.seal()));
     }
 
-    if (clusterCountInput) {
-        clusterCountInput.value = CONFIG.clusters.clusterCount;
-        document.getElementById('clusterCountValue').textContent = CONFIG.clusters.clusterCount;
-    }
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', async () => {
+            const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${getConfigHash(CONFIG)}`;
 
-    if (trailFadeSpeedInput) {
-        trailFadeSpeedInput.value = CONFIG.trailFadeSpeed;
-        document.getElementById('trailFadeSpeedValue').textContent = CONFIG.trailFadeSpeed.toFixed(2);
+            try {
+                await navigator.clipboard.writeText(url);
+                copyLinkBtn.textContent = 'Copied!';
+                setTimeout(() => {
+                    copyLinkBtn.textContent = 'Copy Link';
+                }, 1500);
+            } catch (error) {
+                // Clipboard access can be refused (e.g. outside a secure context)
+                console.error('Failed to copy link:', error);
+                window.prompt('Copy this link:', url);
+            }
+        });
     }
 
-    if (ellipseToggle) {
-        ellipseToggle.checked = CONFIG.starMoving.enabled;
-        const starMovementSpeedContainer = document.getElementById('starMovementSpeedContainer');
-        if (starMovementSpeedContainer) {
-            starMovementSpeedContainer.style.display = CONFIG.starMoving.enabled ? 'block' : 'none';
+    // Preset controls
+    const presetManager = new PresetManager();
+    const presetSelect = document.getElementById('presetSelect');
+    const presetImportFile = document.getElementById('presetImportFile');
+
+    /**
+     * Fill the preset list, selecting the given preset.
+     * @param {string|null} [selected=presetManager.active] - Preset to select
+     * @returns {void}
+     */
+    const renderPresetList = (selected = presetManager.active) => {
+        if (!presetSelect) return;
+
+        presetSelect.innerHTML = '';
+        presetManager.list().forEach(({ name, builtIn }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = builtIn ? `${name} (built-in)` : name;
+            presetSelect.appendChild(option);
+        });
+        if (selected && presetManager.has(selected)) {
+            presetSelect.value = selected;
         }
-    }
+    };
 
-    if (bgColorPicker) {
-        const bgColor = CONFIG.background?.color || '#000428';
-        bgColorPicker.value = bgColor;
-        if (bgColorValue) bgColorValue.textContent = bgColor;
-    }
+    /**
+     * Run a preset action, reporting failures to the user.
+     * @param {Function} action - Action to run
+     * @returns {void}
+     */
+    const runPresetAction = (action) => {
+        try {
+            action();
+        } catch (error) {
+            showError(error.message);
+        }
+    };
 
-    if (bgOpacitySlider) {
-        const opacity = CONFIG.background?.opacity ?? 1;
-        const opacityPercent = Math.round(opacity * 100);
-        bgOpacitySlider.value = opacityPercent;
-        if (opacityValue) opacityValue.textContent = `${opacityPercent}%`;
-    }
+    renderPresetList();
+
+    const presetActions = {
+        // Applying a preset touches nearly every setting, so start afresh like the clear button
+        presetLoad: () => {
+            const name = presetSelect && presetSelect.value;
+            const config = name && presetManager.get(name);
+            if (!config) return;
+
+            // Rendering and sharing settings belong to this device, not to the look
+            keepLocalSettings(config, CONFIG);
+            saveConfig(config);
+            presetManager.setActive(name);
+            // A hash left in the URL would override the preset on reload
+            clearUrlHash();
+            window.location.reload();
+        },
+        presetSave: () => {
+            const suggested = presetManager.active && !presetManager.isBuiltIn(presetManager.active) ? presetManager.active : '';
+            const name = window.prompt('Save the current settings as preset:', suggested);
+            if (name === null) return;
+            if (presetManager.has(name.trim()) && !presetManager.isBuiltIn(name.trim()) &&
+                !window.confirm(`Replace preset '${name.trim()}'?`)) return;
+
+            presetManager.save(name, CONFIG);
+            renderPresetList(name.trim());
+        },
+        presetRename: () => {
+            const from = presetSelect && presetSelect.value;
+            if (!from) return;
+            const to = window.prompt(`Rename preset '${from}' to:`, from);
+            if (to === null) return;
+
+            presetManager.rename(from, to);
+            renderPresetList(to.trim());
+        },
+        presetDelete: () => {
+            const name = presetSelect && presetSelect.value;
+            if (!name || !window.confirm(`Delete preset '${name}'?`)) return;
+
+            presetManager.delete(name);
+            renderPresetList();
+        },
+        presetExport: () => {
+            const name = presetSelect && presetSelect.value;
+            if (!name) return;
+
+            const filename = `${name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+            downloadFile(filename, presetManager.export([name]));
+        },
+        presetImport: () => {
+            if (presetImportFile) presetImportFile.click();
+        }
+    };
 
-    // Add mouse connections toggle event listener
-    if (mouseConnectionsToggle) {
-        // Set initial state from config
-        if (CONFIG.mouseConnection) {
-            mouseConnectionsToggle.checked = CONFIG.mouseConnection.enabled;
-            if (connectionControls) {
-                connectionControls.style.display = CONFIG.mouseConnection.enabled ? 'block' : 'none';
-            }
+    Object.entries(presetActions).forEach(([id, action]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => runPresetAction(action));
         }
+    });
 
-        mouseConnectionsToggle.addEventListener('change', (e) => {
-            if (!CONFIG.mouseConnection) {
-                CONFIG.mouseConnection = { enabled: true };
-            }
-            CONFIG.mouseConnection.enabled = e.target.checked;
-            if (connectionControls) {
-                connectionControls.style.display = CONFIG.mouseConnection.enabled ? 'block' : 'none';
+    if (presetImportFile) {
+        presetImportFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const names = presetManager.import(await file.text());
+                renderPresetList(names[0]);
+            } catch (error) {
+                console.error('Error importing presets:', error);
+                showError(`Could not import presets: ${error.message}`);
             }
-            if (starfield) {
-                starfield.mouseConnectionsEnabled = CONFIG.mouseConnection.enabled;
-            }
-            saveConfig(CONFIG);
+            // Allow importing the same file again
+            e.target.value = '';
         });
     }
 
-    // Initialize connection color controls
-    const connectionColorStartInput = document.getElementById('connectionColorStart');
-    const connectionColorEndInput = document.getElementById('connectionColorEnd');
-    const connectionOpacityInput = document.getElementById('connectionOpacity');
-
-    // Helper function to convert rgba to hex
-    const rgbaToHex = (rgba) => {
-        // Extract r, g, b values from rgba string
-        const values = rgba.match(/\d+/g);
-        if (!values || values.length < 3) return '#000000';
+    // Star catalog file controls
+    const catalogFileInput = document.getElementById('catalogFile');
+    const catalogStatus = document.getElementById('catalogStatus');
 
-        const r = parseInt(values[0]).toString(16).padStart(2, '0');
-        const g = parseInt(values[1]).toString(16).padStart(2, '0');
-        const b = parseInt(values[2]).toString(16).padStart(2, '0');
-
-        return `#${r}${g}${b}`.toLowerCase();
+    /**
+     * Show a loaded catalog in the sky.
+     * @param {Array} stars - Parsed catalog stars
+     * @param {string} source - File name or URL, for the status line
+     * @returns {void}
+     */
+    const applyCatalog = (stars, source) => {
+        if (catalogStatus) catalogStatus.textContent = `${source} (${stars.length} stars)`;
+        if (starfield) {
+            starfield.setCatalog(stars);
+        }
     };
 
-    // Set initial values from config
-    if (connectionColorStartInput) {
-        const startColor = CONFIG.colors.connectionStart || '#044b16';
-        const hexColor = startColor.startsWith('#') ? startColor : rgbaToHex(startColor);
-        connectionColorStartInput.value = hexColor;
-        document.getElementById('connectionColorStartValue').textContent = hexColor;
+    if (CONFIG.catalog.url) {
+        loadCatalog(CONFIG.catalog.url)
+            .then(stars => applyCatalog(stars, CONFIG.catalog.url))
+            .catch(error => {
+                console.error('Error loading star catalog:', error);
+                if (catalogStatus) catalogStatus.textContent = 'Failed to load';
+            });
     }
 
-    if (connectionColorEndInput) {
-        const endColor = CONFIG.colors.connectionEnd || '#e0ebee';
-        const hexColor = endColor.startsWith('#') ? endColor : rgbaToHex(endColor);
-        connectionColorEndInput.value = hexColor;
-        document.getElementById('connectionColorEndValue').textContent = hexColor;
-    }
+    if (catalogFileInput) {
+        catalogFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
 
-    if (connectionOpacityInput) {
-        const opacityPercent = Math.round((CONFIG.colors.connectionOpacity || 0.2) * 100);
-        connectionOpacityInput.value = opacityPercent;
-        document.getElementById('connectionOpacityValue').textContent = `${opacityPercent}`;
+            try {
+                applyCatalog(parseCatalog(await file.text()), file.name);
+            } catch (error) {
+                console.error('Error reading star catalog:', error);
+                showError(`Could not read star catalog: ${error.message}`);
+            }
+        });
     }
 
-    // Add event listeners for connection color controls
-    if (connectionColorStartInput && starfield) {
-        connectionColorStartInput.addEventListener('input', (e) => {
-            const color = e.target.value;
-            CONFIG.colors.connectionStart = color;
-            document.getElementById('connectionColorStartValue').textContent = color;
+    // Observer time controls
+    const observerLiveToggle = document.getElementById('observerLiveTime');
+    const observerTimeInput = document.getElementById('observerTime');
 
-            if (starfield.options.connectionColor) {
-                starfield.options.connectionColor.start = color;
-                starfield.setConnectionOpacity();
+    /**
+     * Set the time the observer sky starts at.
+     * @param {string|null} time - ISO date-time, or null for the current time
+     * @returns {void}
+     */
+    const setObserverTime = (time) => {
+        applySetting(observerTimeSetting, time);
+    };
+
+    /**
+     * Format a date for a datetime-local input (local time, minute precision).
+     * @param {Date} date - Date to format
+     * @returns {string} Value such as `2024-03-20T21:30`
+     */
+    const toDateTimeInputValue = (date) =>
+        new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+    if (observerLiveToggle && observerTimeInput) {
+        const isLive = CONFIG.observer.time === null;
+        observerLiveToggle.checked = isLive;
+        observerTimeInput.disabled = isLive;
+        observerTimeInput.value = toDateTimeInputValue(isLive ? new Date() : new Date(CONFIG.observer.time));
+
+        observerLiveToggle.addEventListener('change', (e) => {
+            const live = e.target.checked;
+            observerTimeInput.disabled = live;
+            if (live) {
+                setObserverTime(null);
+            } else {
+                const date = new Date(observerTimeInput.value);
+                setObserverTime((Number.isNaN(date.getTime()) ? new Date() : date).toISOString());
             }
-            saveConfig(CONFIG);
         });
-    }
 
-    if (connectionColorEndInput && starfield) {
-        connectionColorEndInput.addEventListener('input', (e) => {
-            const color = e.target.value;
-            CONFIG.colors.connectionEnd = color;
-            document.getElementById('connectionColorEndValue').textContent = color;
-
-            if (starfield.options.connectionColor) {
-                starfield.options.connectionColor.end = color;
-                starfield.setConnectionOpacity();
+        observerTimeInput.addEventListener('change', (e) => {
+            const date = new Date(e.target.value);
+            if (!Number.isNaN(date.getTime())) {
+                setObserverTime(date.toISOString());
             }
-            saveConfig(CONFIG);
         });
     }
 
-    if (connectionOpacityInput && starfield) {
-        connectionOpacityInput.addEventListener('input', (e) => {
-            const opacity = parseInt(e.target.value) / 100; // Convert to 0-1 range
-            CONFIG.colors.connectionOpacity = opacity;
-            document.getElementById('connectionOpacityValue').textContent = `${e.target.value}`;
+    // Constellation file controls
+    const constellationLinesInput = document.getElementById('constellationLinesFile');
+    const constellationNamesInput = document.getElementById('constellationNamesFile');
+    const constellationStatus = document.getElementById('constellationStatus');
 
-            if (starfield) {
+    // Figures and names can be picked separately, so keep both to combine them
+    let constellationFigures = null;
+    let constellationNames = null;
+    let constellationSource = '';
 
-                starfield.setConnectionOpacity(opacity);
-            }
-            saveConfig(CONFIG);
-        });
-    }
+    /**
+     * Show the loaded constellation figures, named with the loaded names.
+     * @returns {void}
+     */
+    const applyConstellations = () => {
+        if (!constellationFigures) return;
+        if (constellationStatus) constellationStatus.textContent = `${constellationSource} (${constellationFigures.length} figures)`;
+        if (starfield) {
+            starfield.setConstellations(nameConstellations(constellationFigures, constellationNames));
+        }
+    };
 
-    // Add event listeners
-    if (bgColorPicker && starfield) {
-        bgColorPicker.addEventListener('input', (e) => {
-            const color = e.target.value;
-            if (!CONFIG.background) CONFIG.background = {};
-            CONFIG.background.color = color;
-            if (bgColorValue) bgColorValue.textContent = color;
-            starfield.setBackgroundColor(color);
-            saveConfig(CONFIG);
-        });
+    if (CONFIG.constellations.linesUrl) {
+        loadConstellations(CONFIG.constellations.linesUrl, CONFIG.constellations.namesUrl)
+            .then(figures => {
+                constellationFigures = figures;
+                constellationSource = CONFIG.constellations.linesUrl;
+                applyConstellations();
+            })
+            .catch(error => {
+                console.error('Error loading constellations:', error);
+                if (constellationStatus) constellationStatus.textContent = 'Failed to load';
+            });
     }
 
-    if (bgOpacitySlider && starfield) {
-        bgOpacitySlider.addEventListener('input', (e) => {
-            const opacity = parseInt(e.target.value) / 100;
-            if (!CONFIG.background) CONFIG.background = {};
-            CONFIG.background.opacity = opacity;
-            if (opacityValue) opacityValue.textContent = `${e.target.value}%`;
-            starfield.setBackgroundOpacity(opacity);
-            saveConfig(CONFIG);
+    if (constellationLinesInput) {
+        constellationLinesInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                constellationFigures = parseConstellationLines(await file.text());
+                constellationSource = file.name;
+                applyConstellations();
+            } catch (error) {
+                console.error('Error reading constellation figures:', error);
+                showError(`Could not read constellation figures: ${error.message}`);
+            }
         });
     }
 
-    // Add event listener for trail fade speed
-    if (trailFadeSpeedInput && starfield) {
-        trailFadeSpeedInput.addEventListener('input', (e) => {
-            const speed = parseFloat(e.target.value);
-            CONFIG.trailFadeSpeed = speed;
-            document.getElementById('trailFadeSpeedValue').textContent = speed.toFixed(2);
-            starfield.setTrailFadeSpeed(speed);
-            saveConfig(CONFIG);
+    if (constellationNamesInput) {
+        constellationNamesInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                constellationNames = parseConstellationNames(await file.text());
+                applyConstellations();
+            } catch (error) {
+                console.error('Error reading constellation names:', error);
+                showError(`Could not read constellation names: ${error.message}`);
+            }
         });
     }
 
-    if (starCountInput) {
-        starCountInput.addEventListener('input', (e) => {
-            CONFIG.starCount = parseInt(e.target.value);
-            document.getElementById('starCountValue').textContent = CONFIG.starCount;
-            saveConfig(CONFIG);
-            if (starfield) {
-                starfield.options.starCount = CONFIG.starCount;
-                starfield.createStars();
+    // Meteor shower: runs for its duration, or until it is stopped
+    const meteorShowerBtn = document.getElementById('meteorShowerToggle');
+    if (meteorShowerBtn && starfield) {
+        const showShowerState = ({ active }) => {
+            meteorShowerBtn.textContent = active ? 'Stop Shower' : 'Start Shower';
+        };
+        showShowerState({ active: starfield.meteors.showerActive });
+        starfield.meteors.on('showerchange', showShowerState);
+
+        meteorShowerBtn.addEventListener('click', () => {
+            if (starfield.meteors.showerActive) {
+                starfield.stopMeteorShower();
+            } else {
+                starfield.startMeteorShower();
             }
         });
     }
 
-    // Ellipse movement controls initialization
-    if (ellipseToggle && ellipseControls) {
-        // Set initial state from config
-        ellipseToggle.checked = CONFIG.starMoving.enabled || false;
-        ellipseControls.style.display = ellipseToggle.checked ? 'block' : 'none';
+    // Simulation time controls: pause/resume, single frame steps and scrubbing
+    const simulationTimeInput = document.getElementById('simulationTime');
+    const pauseSimulationBtn = document.getElementById('pauseSimulation');
+    const stepSimulationBtn = document.getElementById('stepSimulation');
 
-        // Toggle ellipse movement and controls visibility
-        ellipseToggle.addEventListener('change', (e) => {
-            const isChecked = e.target.checked;
-            CONFIG.starMoving.enabled = isChecked;
-            ellipseControls.style.display = isChecked ? 'block' : 'none';
+    if (starfield && simulationTimeInput) {
+        const simulationTimeValue = document.getElementById('simulationTimeValue');
+        let scrubbing = false;
 
-            if (starfield) {
-                starfield.options.ellipseEnabled = isChecked;
-                // starfield.setEllipseMovement(isChecked);
-                // Recreate stars to apply the new movement type
-                starfield.createStars();
+        /**
+         * Reflect the simulation clock in the time slider and its label.
+         * @returns {void}
+         */
+        const updateSimulationTimeUI = () => {
+            const seconds = starfield.getSimulationTime() / 1000;
+            if (simulationTimeValue) simulationTimeValue.textContent = seconds.toFixed(1);
+            if (scrubbing) return;
+
+            // Let the slider grow with the clock so the whole history stays reachable
+            if (seconds > parseFloat(simulationTimeInput.max)) {
+                simulationTimeInput.max = Math.ceil(seconds / 60) * 60;
             }
+            simulationTimeInput.value = seconds;
+        };
 
-            saveConfig(CONFIG);
+        simulationTimeInput.addEventListener('input', (e) => {
+            scrubbing = true;
+            starfield.seekSimulation(parseFloat(e.target.value) * 1000);
+            updateSimulationTimeUI();
+        });
+        simulationTimeInput.addEventListener('change', () => {
+            scrubbing = false;
         });
 
-        // Update elliptical movement rate (displayed as percentage in UI but stored as 0-1)
-        if (ellipticalMovementRateInput) {
-            // Convert internal value (0-1) to percentage (0-100) for display
-            const displayValue = ((CONFIG.starMoving.ellipticalRate || 0.1) * 100).toFixed(0);
-            ellipticalMovementRateInput.value = CONFIG.starMoving.ellipticalRate || 0.1;
-            document.getElementById('ellipticalMovementRateValue').textContent = displayValue;
-
-            ellipticalMovementRateInput.addEventListener('input', (e) => {
-                // Store the actual 0-1 value in the config
-                const value = parseFloat(e.target.value);
-                CONFIG.starMoving.ellipticalRate = value;
-
-                // Display as percentage (0-100)
-                const displayValue = (value * 100).toFixed(0);
-                document.getElementById('ellipticalMovementRateValue').textContent = displayValue;
-
-                if (starfield) {
-                    starfield.options.ellipticalMovementRate = value;
-                    // Recreate stars to apply the new movement rate
-                    starfield.createStars();
-                }
-
-                saveConfig(CONFIG);
-            });
-        }
-
-        // Update star movement speed
-        if (starMovementSpeedInput) {
-            starMovementSpeedInput.value = CONFIG.starMoving.speed || 0.2;
-            document.getElementById('starMovementSpeedValue').textContent = (CONFIG.starMoving.speed || 0.2).toFixed(2);
-
-            starMovementSpeedInput.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                CONFIG.starMoving.speed = value;
-                document.getElementById('starMovementSpeedValue').textContent = value.toFixed(2);
-
-                if (starfield) {
-                    // Update the starfield's movement speed
-                    starfield.options.starMovementSpeed = value;
-
-                    starfield.setStarMovementSpeed(value);
-                    // // Update all stars' movement speed
-                    // starfield.stars.forEach(star => {
-                    //     if (star.animation) {
-                    //         star.animation.timeScale(value);
-                    //     }
-                    // });
-                }
-
-                saveConfig(CONFIG);
-            });
-        }
+        // The clock moves every frame; a few UI refreshes per second are plenty
+        setInterval(updateSimulationTimeUI, 250);
     }
 
-    // Initialize shooting stars controls
-    if (shootingStarsToggle && shootingStarsControls) {
-        // Set initial state from config
-        shootingStarsToggle.checked = CONFIG.shootingStar.enabled || false;
-        shootingStarsControls.style.display = shootingStarsToggle.checked ? 'block' : 'none';
-
-        // Toggle shooting stars
-        shootingStarsToggle.addEventListener('change', (e) => {
-            const isEnabled = e.target.checked;
-            CONFIG.shootingStar.enabled = isEnabled;
-            shootingStarsControls.style.display = isEnabled ? 'block' : 'none';
-
-            // Update starfield with new settings
-            if (starfield && typeof starfield.updateShootingStarSettings === 'function') {
-                starfield.updateShootingStarSettings({
-                    enabled: isEnabled
-                });
-            }
-            saveConfig(CONFIG);
+    if (starfield && pauseSimulationBtn) {
+        starfield.timeController.on('change', ({ paused }) => {
+            pauseSimulationBtn.textContent = paused ? 'Play' : 'Pause';
         });
 
-        // Max stars at once
-        if (maxStarsAtOnceInput) {
-            maxStarsAtOnceInput.value = CONFIG.shootingStar.maxStarsAtOnce || 3;
-            document.getElementById('maxStarsAtOnceValue').textContent = CONFIG.shootingStar.maxStarsAtOnce || 3;
-
-            maxStarsAtOnceInput.addEventListener('input', (e) => {
-                const value = parseInt(e.target.value);
-                CONFIG.shootingStar.maxStarsAtOnce = value;
-                document.getElementById('maxStarsAtOnceValue').textContent = value;
+        pauseSimulationBtn.addEventListener('click', () => {
+            starfield.toggleSimulation();
+        });
+    }
 
-                if (starfield && typeof starfield.updateShootingStarSettings === 'function') {
-                    starfield.updateShootingStarSettings({
-                        maxStarsAtOnce: value
-                    });
-                }
-                saveConfig(CONFIG);
-            });
-        }
+    if (starfield && stepSimulationBtn) {
+        stepSimulationBtn.addEventListener('click', () => {
+            starfield.stepSimulation();
+        });
+    }
 
-        // Max shoot duration
-        if (maxShootDurationInput) {
-            maxShootDurationInput.value = CONFIG.shootingStar.maxShootDurationSeconds || 3;
-            document.getElementById('maxShootDurationValue').textContent = CONFIG.shootingStar.maxShootDurationSeconds || 3;
+    // Undo/redo of the settings
+    const undoBtn = document.getElementById('undoSettings');
+    const redoBtn = document.getElementById('redoSettings');
 
-            maxShootDurationInput.addEventListener('input', (e) => {
-                const value = parseInt(e.target.value);
-                CONFIG.shootingStar.maxShootDurationSeconds = value;
-                document.getElementById('maxShootDurationValue').textContent = value;
+    /**
+     * Show the current settings in every control after they were changed by
+     * undo, redo or a section reset.
+     * @returns {void}
+     */
+    const refreshControls = () => {
+        controlPanel.refresh(CONFIG);
 
-                if (starfield && typeof starfield.updateShootingStarSettings === 'function') {
-                    starfield.updateShootingStarSettings({
-                        maxShootDurationSeconds: value
-                    });
-                }
-                saveConfig(CONFIG);
-            });
+        if (seedInput) seedInput.value = CONFIG.seed.value;
+        if (lockSeedToggle) lockSeedToggle.checked = CONFIG.seed.locked;
+        if (liveUrlToggle) liveUrlToggle.checked = CONFIG.share.liveUrl;
+        if (qualityLevelSelect) {
+            qualityLevelSelect.value = CONFIG.quality.adaptive ? 'auto' : String(CONFIG.quality.level);
         }
-
-        // Max event seconds
-        if (maxEventSecondsInput) {
-            maxEventSecondsInput.value = CONFIG.shootingStar.maxEventSeconds || 6;
-            document.getElementById('maxEventSecondsValue').textContent = CONFIG.shootingStar.maxEventSeconds || 6;
-
-            maxEventSecondsInput.addEventListener('input', (e) => {
-                const value = e.target.value;
-                CONFIG.shootingStar.maxEventSeconds = value;
-                document.getElementById('maxEventSecondsValue').textContent = value;
-
-                if (starfield && typeof starfield.updateShootingStarSettings === 'function') {
-                    starfield.updateShootingStarSettings({
-                        maxEventSeconds: value
-                    });
-                }
-                saveConfig(CONFIG);
-            });
+        if (observerLiveToggle && observerTimeInput) {
+            const isLive = CONFIG.observer.time === null;
+            observerLiveToggle.checked = isLive;
+            observerTimeInput.disabled = isLive;
+            if (!isLive) observerTimeInput.value = toDateTimeInputValue(new Date(CONFIG.observer.time));
         }
-    }
 
-    // Cluster controls toggle
-    const enableClustersToggle = document.getElementById('enableClusters');
-    const clusterControls = document.getElementById('clusterControls');
-
-    if (enableClustersToggle && clusterControls) {
-        // Ensure clusters object exists
-        if (!CONFIG.clusters) {
-            CONFIG.clusters = {
-                enabled: true,
-                maxStarsPerCluster: 100,
-                clusterCount: 5
-            };
+        if (CONFIG.share.liveUrl) {
+            updateUrlHash();
+        } else {
+            clearUrlHash();
         }
+    };
 
-        // Set initial state from config (default to true if not set)
-        enableClustersToggle.checked = CONFIG.clusters.enabled !== false;
-        clusterControls.style.display = enableClustersToggle.checked ? 'block' : 'none';
-
-        // Add event listener for toggle
-        enableClustersToggle.addEventListener('change', (e) => {
-            const isEnabled = e.target.checked;
-            CONFIG.clusters.enabled = isEnabled;
-            clusterControls.style.display = isEnabled ? 'block' : 'none';
-
-            // Reinitialize the starfield to apply the clustering change
-            if (starfield) {
-                // Update the starfield's options
-                if (starfield.options) {
-                    starfield.options.clustersEnabled = isEnabled;
-                }
-                // Recreate the stars with the new clustering setting
-                if (typeof starfield.createStars === 'function') {
-                    starfield.createStars();
-                }
-            }
-            saveConfig(CONFIG);
-
-        });
-    }
+    /**
+     * Revert the latest settings change.
+     * @returns {void}
+     */
+    const undoSettings = () => {
+        const entry = settingsHistory.undo();
+        if (!entry) return;
+        applyChanges(entry.map(({ control, before }) => ({ control, value: structuredClone(before) })));
+        refreshControls();
+    };
 
-    if (maxStarsPerClusterInput) {
-        maxStarsPerClusterInput.addEventListener('input', (e) => {
-            // Ensure clusters object exists
-            if (!CONFIG.clusters) {
-                CONFIG.clusters = {
-                    enabled: true,
-                    maxStarsPerCluster: 100,
-                    clusterCount: 5
-                };
-            }
-            CONFIG.clusters.maxStarsPerCluster = parseInt(e.target.value);
-            document.getElementById('maxStarsPerClusterValue').textContent = CONFIG.clusters.maxStarsPerCluster;
-            saveConfig(CONFIG);
-            if (starfield) {
-                starfield.options.maxStarsPerCluster = CONFIG.clusters.maxStarsPerCluster;
-                starfield.createStars();
-            }
-        });
-    }
+    /**
+     * Apply the latest undone settings change again.
+     * @returns {void}
+     */
+    const redoSettings = () => {
+        const entry = settingsHistory.redo();
+        if (!entry) return;
+        applyChanges(entry.map(({ control, after }) => ({ control, value: structuredClone(after) })));
+        refreshControls();
+    };
 
-    if (clusterCountInput) {
-        clusterCountInput.addEventListener('input', (e) => {
-            // Ensure clusters object exists
-            if (!CONFIG.clusters) {
-                CONFIG.clusters = {
-                    enabled: true,
-                    maxStarsPerCluster: 100,
-                    clusterCount: 5
-                };
-            }
-            CONFIG.clusters.clusterCount = parseInt(e.target.value);
-            document.getElementById('clusterCountValue').textContent = CONFIG.clusters.clusterCount;
-            saveConfig(CONFIG);
-            if (starfield) {
-                starfield.options.clusterCount = CONFIG.clusters.clusterCount;
-                starfield.createStars();
-            }
-        });
-    }
+    settingsHistory.on('change', ({ canUndo, canRedo }) => {
+        if (undoBtn) undoBtn.disabled = !canUndo;
+        if (redoBtn) redoBtn.disabled = !canRedo;
+    });
 
-    if (distanceInput) {
-        distanceInput.addEventListener('input', (e) => {
-            // Ensure mouseConnection object exists
-            if (!CONFIG.mouseConnection) {
-                CONFIG.mouseConnection = { enabled: false, distance: 250 };
-            }
-            CONFIG.mouseConnection.distance = parseInt(e.target.value);
-            document.getElementById('distanceValue').textContent = CONFIG.mouseConnection.distance;
-            if (starfield) {
-                starfield.setConnectionDistance(CONFIG.mouseConnection.distance);
-            }
-            saveConfig(CONFIG);
-        });
-    }
+    if (undoBtn) undoBtn.addEventListener('click', undoSettings);
+    if (redoBtn) redoBtn.addEventListener('click', redoSettings);
 
-    if (speedInput) {
-        speedInput.addEventListener('input', (e) => {
-            const newSpeed = parseFloat(e.target.value);
-            document.getElementById('speedValue').textContent = newSpeed.toFixed(1);
-            CONFIG.animationSpeed = newSpeed;
-            if (starfield) {
-                starfield.setAnimationSpeed(newSpeed);
-                // gsap.globalTimeline.timeScale(newSpeed);
-            }
-            saveConfig(CONFIG);
-        });
-    }
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+        if (e.target.matches && e.target.matches('input[type="text"], input[type="number"], input[type="datetime-local"], textarea')) return;
 
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoSettings();
+        } else {
+            undoSettings();
+        }
+    });
 
     // Add event listener for regenerate canvas button
     const regenerateBtn = document.getElementById('regenerateCanvas');
     if (regenerateBtn) {
         regenerateBtn.addEventListener('click', () => {
             if (starfield) {
-                // Recreate stars with current settings
-                starfield.createStars();
+                // Recreate stars with current settings; a locked seed reproduces the same sky
+                if (CONFIG.seed.locked) {
+                    starfield.createStars();
+                } else {
+                    applySeed(randomSeed());
+                }
 
                 // Show a brief visual feedback
                 regenerateBtn.textContent = 'Regenerating...';
@@ -792,14 +842,15 @@ function initUIControls() {
             clearSettingsBtn.style.display = 'block';
 
             clearSettingsBtn.addEventListener('click', () => {
-                // Clear local storage
-                localStorage.clear();
+                // Remove the saved settings and presets, and nothing else on the origin
+                clearStorage();
 
                 // Show feedback
                 clearSettingsBtn.textContent = 'Cleared!';
                 clearSettingsBtn.style.backgroundColor = '#4CAF50';
 
                 // Reload the page to apply default settings
+                clearUrlHash();
                 setTimeout(() => {
                     window.location.reload();
                 }, 1000);
@@ -809,117 +860,6 @@ function initUIControls() {
             clearSettingsBtn.style.display = 'none';
         }
     }
-
-    if (trailFadeSpeedInput) {
-        trailFadeSpeedInput.addEventListener('input', (e) => {
-            const speed = parseFloat(e.target.value);
-            CONFIG.trailFadeSpeed = speed;
-            document.getElementById('trailFadeSpeedValue').textContent = speed.toFixed(2);
-            if (starfield) {
-                starfield.setTrailFadeSpeed(speed);
-                // starfield.createStars();
-            }
-            saveConfig(CONFIG);
-        });
-    }
-
-    if (starMovementSpeedInput) {
-        // Set initial value display
-        const starMovementSpeedValue = document.getElementById('starMovementSpeedValue');
-        if (starMovementSpeedValue) {
-            starMovementSpeedValue.textContent = CONFIG.starMoving.speed.toFixed(2);
-        }
-
-        starMovementSpeedInput.addEventListener('input', (e) => {
-            const speed = parseFloat(e.target.value);
-            if (starMovementSpeedValue) {
-                starMovementSpeedValue.textContent = speed.toFixed(2);
-            }
-            if (starfield) {
-                CONFIG.starMoving.speed = speed;
-                starfield.setStarMovementSpeed(speed);
-                saveConfig(CONFIG);
-                starfield.createStars();
-            }
-        });
-    }
-
-
-    if (CONFIG.parallax) {
-        starfield.setParallaxConfig({
-            enabled: CONFIG.parallax.enabled,
-            intensity: CONFIG.parallax.intensity,
-            maxOffset: CONFIG.parallax.maxOffset
-        });
-    }
-
-    // Parallax controls event listeners
-    const parallaxEnabledInput = document.getElementById('parallaxEnabled');
-    const parallaxIntensityInput = document.getElementById('parallaxIntensity');
-    const parallaxMaxOffsetInput = document.getElementById('parallaxMaxOffset');
-
-    if (parallaxEnabledInput) {
-        // Set initial state
-        if (CONFIG.parallax) {
-            parallaxEnabledInput.checked = CONFIG.parallax.enabled !== false; // Default to true if not set
-        }
-
-        parallaxEnabledInput.addEventListener('change', (e) => {
-            const enabled = e.target.checked;
-            if (!CONFIG.parallax) CONFIG.parallax = {};
-            CONFIG.parallax.enabled = enabled;
-
-            if (starfield) {
-                starfield.setParallaxEnabled(enabled);
-            }
-
-            // Update UI to show/hide parallax controls based on enabled state
-            updateParallaxUI();
-            saveConfig(CONFIG);
-        });
-    }
-
-    if (parallaxIntensityInput) {
-        // Set initial value
-        if (CONFIG.parallax && CONFIG.parallax.intensity !== undefined) {
-            parallaxIntensityInput.value = CONFIG.parallax.intensity;
-            document.getElementById('parallaxIntensityValue').textContent = CONFIG.parallax.intensity.toFixed(2);
-        }
-
-        parallaxIntensityInput.addEventListener('input', (e) => {
-            const intensity = parseFloat(e.target.value);
-            if (!CONFIG.parallax) CONFIG.parallax = {};
-            CONFIG.parallax.intensity = intensity;
-
-            if (starfield) {
-                starfield.setParallaxConfig({ intensity });
-            }
-
-            document.getElementById('parallaxIntensityValue').textContent = intensity.toFixed(2);
-            saveConfig(CONFIG);
-        });
-    }
-
-    if (parallaxMaxOffsetInput) {
-        // Set initial value
-        if (CONFIG.parallax && CONFIG.parallax.maxOffset !== undefined) {
-            parallaxMaxOffsetInput.value = CONFIG.parallax.maxOffset;
-            document.getElementById('parallaxMaxOffsetValue').textContent = CONFIG.parallax.maxOffset;
-        }
-
-        parallaxMaxOffsetInput.addEventListener('input', (e) => {
-            const maxOffset = parseInt(e.target.value);
-            if (!CONFIG.parallax) CONFIG.parallax = {};
-            CONFIG.parallax.maxOffset = maxOffset;
-
-            if (starfield) {
-                starfield.setParallaxConfig({ maxOffset });
-            }
-
-            document.getElementById('parallaxMaxOffsetValue').textContent = maxOffset;
-            saveConfig(CONFIG);
-        });
-    }
 }
 
 
@@ -0,0 +1,546 @@
+import Emitter from './utils/emitter.js';
+
+/** Where meteors may appear: anywhere in the sky, in its upper part heading down, or entering from an edge */
+const SPAWN_REGIONS = ['anywhere', 'top', 'edges'];
+
+/** Meteor speeds (css pixels per second) mapped to the slow and fast end of the colour and brightness range */
+const SLOW_SPEED = 250;
+const FAST_SPEED = 2500;
+
+/** Share of the flight spent fading in, and fading out at the end */
+const FADE_IN = 0.1;
+const FADE_OUT = 0.3;
+
+/** Share of the flight over which the tail grows to full length */
+const TAIL_GROWTH = 0.25;
+
+/** Share of meteors that end in a terminal flare when flares are enabled, and where in the flight it starts */
+const FLARE_CHANCE = 0.3;
+const FLARE_START = 0.75;
+
+/** Speed of a shower meteor far from the radiant at a shower speed of 1, in css pixels per second */
+const SHOWER_SPEED = 900;
+
+/** Most shower meteors in flight at once, however high the rate */
+const MAX_SHOWER_METEORS = 60;
+
+/**
+ * Built-in meteor showers. The radiant is a position on the canvas (0-1 of
+ * its width and height); speed scales SHOWER_SPEED and the colour follows
+ * how fast each shower's meteors really are (Geminids 35 km/s, Perseids
+ * 59 km/s, Leonids 71 km/s).
+ * @type {Object<string, {name: string, radiantX: number, radiantY: number, speed: number, hue: number, saturation: number}>}
+ */
+const METEOR_SHOWERS = {
+    perseids: { name: 'Perseids', radiantX: 0.8, radiantY: 0.15, speed: 1.2, hue: 150, saturation: 50 },
+    geminids: { name: 'Geminids', radiantX: 0.3, radiantY: 0.2, speed: 0.7, hue: 50, saturation: 80 },
+    leonids: { name: 'Leonids', radiantX: 0.55, radiantY: 0.1, speed: 1.5, hue: 190, saturation: 70 }
+};
+
+/**
+ * Shooting stars drawn as meteor particles, separate from the star population.
+ * Each starfield owns its own system, so scheduling state is never shared.
+ * Meteors are kept in a pool and reused; one may start whenever fewer than
+ * the maximum are in flight and a random delay since the previous one has
+ * passed. A meteor decelerates along a straight path with a tapered tail that
+ * grows as it enters and fades with it. Fast meteors are brighter and bluer,
+ * slow ones dimmer and orange, and some end in a short flare.
+ *
+ * A meteor shower adds meteors that fly away from a radiant point, at a rate
+ * that rises to its peak halfway through the shower and falls off again.
+ * Emits `showerchange` with `{ active, name }` when a shower starts or ends.
+ * @class
+ * @extends Emitter
+ */
+class MeteorSystem extends Emitter {
+    /**
+     * Create a new MeteorSystem instance.
+     * @param {Object} [config={}] - Meteor configuration (see setConfig)
+     * @param {Object} [showerConfig={}] - Meteor shower configuration (see setShowerConfig)
+     */
+    constructor(config = {}, showerConfig = {}) {
+        super();
+
+        this.config = {
+            enabled: false,
+            maxStarsAtOnce: 3,
+            maxShootDurationSeconds: 3, // Longest flight
+            maxEventSeconds: 6, // Longest delay between two meteors
+            spawnRegion: 'anywhere',
+            tailLength: 120, // Tail length of a meteor of average speed, in pixels
+            terminalFlare: true
+        };
+        this.setConfig(config);
+
+        this.showerConfig = {
+            shower: 'perseids', // Built-in shower name, or 'custom' for the settings below
+            peakRate: 60, // Meteors per minute at the peak
+            duration: 120, // Seconds from start to end, peaking halfway
+            radiantX: 0.5, // Custom radiant, 0-1 of the canvas width
+            radiantY: 0.2, // Custom radiant, 0-1 of the canvas height
+            speed: 1, // Custom speed multiplier
+            hue: 180 // Custom colour hue
+        };
+        this.setShowerConfig(showerConfig);
+
+        /** @type {number|null} Simulation time the running shower started at, or null when there is none */
+        this.showerStart = null;
+
+        /** @type {Object[]} Meteor particles, reused once their flight is over */
+        this.pool = [];
+
+        /** @type {number} Meteors currently in flight */
+        this.activeCount = 0;
+
+        /** @type {number} Shower meteors currently in flight */
+        this.showerCount = 0;
+
+        /** @type {number} Simulation time the last meteor started at */
+        this.lastSpawnTime = 0;
+
+        /** @type {number} Delay before the next meteor may start, in milliseconds */
+        this.nextDelay = 0;
+    }
+
+    /**
+     * Set meteor configuration
+     * @param {Object} config - Meteor configuration
+     * @param {boolean} [config.enabled] - Whether meteors appear
+     * @param {number} [config.maxStarsAtOnce] - Maximum number of meteors in flight
+     * @param {number} [config.maxShootDurationSeconds] - Longest flight in seconds
+     * @param {number} [config.maxEventSeconds] - Longest delay between two meteors in seconds
+     * @param {string} [config.spawnRegion] - 'anywhere', 'top' or 'edges'
+     * @param {number} [config.tailLength] - Tail length in pixels
+     * @param {boolean} [config.terminalFlare] - Let some meteors end in a flare
+     * @returns {void}
+     */
+    setConfig(config) {
+        const { config: current } = this;
+
+        ['enabled', 'terminalFlare'].forEach(key => {
+            if (config[key] !== undefined) current[key] = !!config[key];
+        });
+        if (config.maxStarsAtOnce !== undefined) {
+            current.maxStarsAtOnce = Math.max(0, Math.floor(config.maxStarsAtOnce));
+        }
+        if (config.maxShootDurationSeconds !== undefined) {
+            current.maxShootDurationSeconds = Math.max(0.1, config.maxShootDurationSeconds);
+        }
+        if (config.maxEventSeconds !== undefined) {
+            current.maxEventSeconds = Math.max(0.1, config.maxEventSeconds);
+        }
+        if (config.spawnRegion !== undefined && SPAWN_REGIONS.includes(config.spawnRegion)) {
+            current.spawnRegion = config.spawnRegion;
+        }
+        if (config.tailLength !== undefined) {
+            current.tailLength = Math.max(0, config.tailLength);
+        }
+    }
+
+    /**
+     * Set meteor shower configuration. A running shower follows the changes.
+     * @param {Object} config - Meteor shower configuration
+     * @param {string} [config.shower] - Built-in shower name (see METEOR_SHOWERS), or 'custom'
+     * @param {number} [config.peakRate] - Meteors per minute at the peak
+     * @param {number} [config.duration] - Shower duration in seconds
+     * @param {number} [config.radiantX] - Custom radiant position, 0-1 of the canvas width
+     * @param {number} [config.radiantY] - Custom radiant position, 0-1 of the canvas height
+     * @param {number} [config.speed] - Custom speed multiplier
+     * @param {number} [config.hue] - Custom colour hue (0-360)
+     * @returns {void}
+     */
+    setShowerConfig(config) {
+        const { showerConfig: current } = this;
+
+        if (config.shower !== undefined && (config.shower === 'custom' || Object.prototype.hasOwnProperty.call(METEOR_SHOWERS, config.shower))) {
+            current.shower = config.shower;
+        }
+        if (config.peakRate !== undefined) {
+            current.peakRate = Math.max(0, config.peakRate);
+        }
+        if (config.duration !== undefined) {
+            current.duration = Math.max(1, config.duration);
+        }
+        ['radiantX', 'radiantY'].forEach(key => {
+            if (config[key] !== undefined) current[key] = Math.max(0, Math.min(1, config[key]));
+        });
+        if (config.speed !== undefined) {
+            current.speed = Math.max(0.1, config.speed);
+        }
+        if (config.hue !== undefined) {
+            current.hue = ((config.hue % 360) + 360) % 360;
+        }
+    }
+
+    /**
+     * The radiant, speed and colour of the configured shower.
+     * @returns {{name: string, radiantX: number, radiantY: number, speed: number, hue: number, saturation: number}} Shower properties
+     */
+    getShower() {
+        const { showerConfig } = this;
+        if (showerConfig.shower !== 'custom') return METEOR_SHOWERS[showerConfig.shower];
+
+        const { radiantX, radiantY, speed, hue } = showerConfig;
+        return { name: 'Custom shower', radiantX, radiantY, speed, hue, saturation: 70 };
+    }
+
+    /**
+     * Whether a meteor shower is running
+     * @type {boolean}
+     */
+    get showerActive() {
+        return this.showerStart !== null;
+    }
+
+    /**
+     * Start the configured meteor shower.
+     * @param {number} time - Simulation time it starts at, in milliseconds
+     * @returns {void}
+     */
+    startShower(time) {
+        this.showerStart = time;
+        this.emit('showerchange', { active: true, name: this.getShower().name });
+    }
+
+    /**
+     * Stop the meteor shower. Meteors in flight finish their paths.
+     * @returns {void}
+     */
+    stopShower() {
+        if (this.showerStart === null) return;
+        this.showerStart = null;
+        this.emit('showerchange', { active: false, name: this.getShower().name });
+    }
+
+    /**
+     * Shower intensity: 0 at the start, 1 at the peak halfway through, 0 again at the end.
+     * @param {number} time - Simulation time in milliseconds
+     * @returns {number} Share of the peak rate (0-1), 0 when no shower is running
+     */
+    showerIntensity(time) {
+        if (this.showerStart === null) return 0;
+
+        const progress = (time - this.showerStart) / (this.showerConfig.duration * 1000);
+        if (progress <= 0 || progress >= 1) return 0;
+
+        const wave = Math.sin(progress * Math.PI);
+        return wave * wave;
+    }
+
+    /**
+     * End every meteor in flight and restart the schedule,
+     * e.g. when the sky is regenerated or simulated time jumps.
+     * A running shower goes on.
+     * @returns {void}
+     */
+    reset() {
+        this.pool.forEach(meteor => {
+            meteor.active = false;
+        });
+        this.activeCount = 0;
+        this.showerCount = 0;
+        this.lastSpawnTime = 0;
+        this.nextDelay = 0;
+    }
+
+    /**
+     * Start new meteors and move the ones in flight.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {number} deltaTime - Time since the previous update in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @returns {void}
+     */
+    update(time, deltaTime, random, width, height) {
+        const { config } = this;
+
+        if (config.enabled && this.activeCount - this.showerCount < config.maxStarsAtOnce &&
+            (!this.lastSpawnTime || time - this.lastSpawnTime >= this.nextDelay)) {
+            this._spawn(time, random, width, height);
+        }
+
+        if (this.showerStart !== null) {
+            this._updateShower(time, deltaTime, random, width, height);
+        }
+
+        if (this.activeCount === 0) return;
+
+        this.pool.forEach(meteor => {
+            if (!meteor.active) return;
+
+            const progress = (time - meteor.start) / meteor.duration;
+            if (progress >= 1 || progress < 0) {
+                meteor.active = false;
+                this.activeCount--;
+                if (meteor.fromShower) this.showerCount--;
+                return;
+            }
+            this._move(meteor, progress);
+        });
+    }
+
+    /**
+     * Start the shower meteors due in a step, and end the shower when it is over.
+     * Meteors arrive at random, on average at the current rate.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {number} deltaTime - Time since the previous update in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @private
+     * @returns {void}
+     */
+    _updateShower(time, deltaTime, random, width, height) {
+        if (time - this.showerStart >= this.showerConfig.duration * 1000) {
+            this.stopShower();
+            return;
+        }
+
+        const expected = this.showerConfig.peakRate / 60000 * this.showerIntensity(time) * deltaTime;
+        let count = Math.floor(expected) + (random() < expected % 1 ? 1 : 0);
+
+        while (count-- > 0 && this.showerCount < MAX_SHOWER_METEORS) {
+            this._spawnShowerMeteor(time, random, width, height);
+        }
+    }
+
+    /**
+     * Start a random meteor.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @private
+     * @returns {void}
+     */
+    _spawn(time, random, width, height) {
+        const { config } = this;
+        const path = this._pickPath(random, width, height);
+        const duration = (0.25 + 0.75 * random()) * config.maxShootDurationSeconds * 1000;
+        const distance = 800 + random() * 1000; // 800-1800px
+
+        this._launch(time, random, { ...path, duration, distance });
+
+        // Schedule the next meteor with some randomness
+        const minDelayMs = 100; // Minimum 0.1 seconds between meteors
+        const maxDelayMs = config.maxEventSeconds * 1000;
+        this.lastSpawnTime = time;
+        this.nextDelay = minDelayMs + random() * Math.max(0, maxDelayMs - minDelayMs);
+    }
+
+    /**
+     * Start a shower meteor heading away from the radiant. Meteors close to
+     * the radiant come almost straight at the viewer, so their paths look
+     * short and slow.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @private
+     * @returns {void}
+     */
+    _spawnShowerMeteor(time, random, width, height) {
+        const shower = this.getShower();
+        const diagonal = Math.hypot(width, height);
+        const angle = random() * Math.PI * 2;
+        const offset = (0.03 + 0.5 * random()) * diagonal;
+        const foreshortening = 0.3 + 0.7 * Math.min(1, offset / (0.3 * diagonal));
+
+        const distance = (300 + 700 * random()) * foreshortening;
+        const speed = SHOWER_SPEED * shower.speed * (0.85 + 0.3 * random()) * foreshortening;
+
+        this._launch(time, random, {
+            x: shower.radiantX * width + Math.cos(angle) * offset,
+            y: shower.radiantY * height + Math.sin(angle) * offset,
+            angle,
+            distance,
+            duration: distance / speed * 1000,
+            hue: shower.hue,
+            saturation: shower.saturation,
+            fromShower: true
+        });
+        this.showerCount++;
+    }
+
+    /**
+     * Start a meteor from a free particle of the pool.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {Object} flight - Path of the meteor
+     * @param {number} flight.x - Start x-coordinate in css pixels
+     * @param {number} flight.y - Start y-coordinate in css pixels
+     * @param {number} flight.angle - Direction in radians
+     * @param {number} flight.distance - Path length in pixels
+     * @param {number} flight.duration - Flight time in milliseconds
+     * @param {number} [flight.hue] - Colour hue; follows the speed when omitted
+     * @param {number} [flight.saturation] - Colour saturation; follows the speed when omitted
+     * @param {boolean} [flight.fromShower=false] - Whether the meteor belongs to the shower
+     * @private
+     * @returns {void}
+     */
+    _launch(time, random, flight) {
+        let meteor = this.pool.find(particle => !particle.active);
+        if (!meteor) {
+            meteor = {};
+            this.pool.push(meteor);
+        }
+
+        const { config } = this;
+        const speed = flight.distance / (flight.duration / 1000);
+        const speedFactor = Math.max(0, Math.min(1, (speed - SLOW_SPEED) / (FAST_SPEED - SLOW_SPEED)));
+
+        Object.assign(meteor, {
+            active: true,
+            fromShower: !!flight.fromShower,
+            start: time,
+            duration: flight.duration,
+            startX: flight.x,
+            startY: flight.y,
+            directionX: Math.cos(flight.angle),
+            directionY: Math.sin(flight.angle),
+            distance: flight.distance,
+            // Fast meteors burn brighter, hotter and leave longer tails
+            brightness: (0.4 + 0.6 * random()) * (0.7 + 0.3 * speedFactor),
+            hue: flight.hue ?? 35 + speedFactor * 165, // Orange to blue-green
+            saturation: flight.saturation ?? 90 - speedFactor * 30,
+            tailLength: config.tailLength * (0.5 + speedFactor),
+            flare: config.terminalFlare && random() < FLARE_CHANCE,
+            // Updated every step
+            x: flight.x,
+            y: flight.y,
+            alpha: 0,
+            tail: 0,
+            flareIntensity: 0
+        });
+        this.activeCount++;
+    }
+
+    /**
+     * Pick where a meteor starts and the direction it flies in.
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     * @param {number} width - Viewport width in css pixels
+     * @param {number} height - Viewport height in css pixels
+     * @returns {{x: number, y: number, angle: number}} Start position and direction in radians
+     * @private
+     */
+    _pickPath(random, width, height) {
+        switch (this.config.spawnRegion) {
+            case 'top':
+                // Upper third of the sky, heading down within 60 degrees of vertical
+                return {
+                    x: random() * width,
+                    y: random() * height / 3,
+                    angle: Math.PI / 2 + (random() * 2 - 1) * Math.PI / 3
+                };
+            case 'edges': {
+                // Just inside an edge, heading inward within 45 degrees of its normal
+                const edge = Math.floor(random() * 4);
+                const position = random();
+                const spread = (random() * 2 - 1) * Math.PI / 4;
+                if (edge === 0) return { x: width * position, y: 0, angle: Math.PI / 2 + spread }; // Top
+                if (edge === 1) return { x: width, y: height * position, angle: Math.PI + spread }; // Right
+                if (edge === 2) return { x: width * position, y: height, angle: -Math.PI / 2 + spread }; // Bottom
+                return { x: 0, y: height * position, angle: spread }; // Left
+            }
+            default:
+                return {
+                    x: random() * width,
+                    y: random() * height,
+                    angle: random() * Math.PI * 2
+                };
+        }
+    }
+
+    /**
+     * Place a meteor at a point of its flight.
+     * @param {Object} meteor - Meteor particle
+     * @param {number} progress - Share of the flight done (0-1)
+     * @private
+     * @returns {void}
+     */
+    _move(meteor, progress) {
+        // Decelerating in the atmosphere
+        const travelled = meteor.distance * progress * (2 - progress);
+        meteor.x = meteor.startX + meteor.directionX * travelled;
+        meteor.y = meteor.startY + meteor.directionY * travelled;
+
+        const fadeIn = Math.min(1, progress / FADE_IN);
+        const fadeOut = Math.min(1, (1 - progress) / FADE_OUT);
+        meteor.alpha = meteor.brightness * fadeIn * fadeOut;
+
+        // The tail grows as the meteor enters and never reaches back past its start
+        meteor.tail = Math.min(travelled, meteor.tailLength * Math.min(1, progress / TAIL_GROWTH));
+
+        meteor.flareIntensity = meteor.flare && progress > FLARE_START
+            ? Math.sin((progress - FLARE_START) / (1 - FLARE_START) * Math.PI)
+            : 0;
+    }
+
+    /**
+     * Draw the meteors in flight.
+     * @param {CanvasRenderingContext2D} ctx - 2D rendering context
+     * @param {boolean} [gradients=true] - Shade the tails with gradients (solid, cheaper tails when false)
+     * @returns {void}
+     */
+    draw(ctx, gradients = true) {
+        if (this.activeCount === 0) return;
+
+        ctx.save();
+
+        this.pool.forEach(meteor => {
+            if (!meteor.active || meteor.alpha <= 0) return;
+
+            const { x, y, directionX, directionY, hue, saturation } = meteor;
+            const alpha = Math.min(1, meteor.alpha + meteor.flareIntensity * 0.5);
+            const headRadius = 0.8 + meteor.brightness * 1.5;
+
+            // Tapered tail: as wide as the head, narrowing to a point behind it
+            if (meteor.tail > 1) {
+                const tailX = x - directionX * meteor.tail;
+                const tailY = y - directionY * meteor.tail;
+                const normalX = -directionY * headRadius;
+                const normalY = directionX * headRadius;
+
+                if (gradients) {
+                    const gradient = ctx.createLinearGradient(x, y, tailX, tailY);
+                    gradient.addColorStop(0, `hsla(${hue}, ${saturation}%, 85%, ${alpha})`);
+                    gradient.addColorStop(0.3, `hsla(${hue}, ${saturation}%, 65%, ${alpha * 0.5})`);
+                    gradient.addColorStop(1, `hsla(${hue}, ${saturation}%, 50%, 0)`);
+                    ctx.fillStyle = gradient;
+                } else {
+                    ctx.fillStyle = `hsla(${hue}, ${saturation}%, 70%, ${alpha * 0.5})`;
+                }
+
+                ctx.beginPath();
+                ctx.moveTo(x + normalX, y + normalY);
+                ctx.lineTo(tailX, tailY);
+                ctx.lineTo(x - normalX, y - normalY);
+                ctx.closePath();
+                ctx.fill();
+            }
+
+            // Terminal flare: a brief burst of light around the head
+            if (meteor.flareIntensity > 0) {
+                const flareRadius = headRadius * (2 + 6 * meteor.flareIntensity);
+                const flare = ctx.createRadialGradient(x, y, 0, x, y, flareRadius);
+                flare.addColorStop(0, `hsla(${hue}, ${saturation}%, 90%, ${meteor.flareIntensity})`);
+                flare.addColorStop(1, `hsla(${hue}, ${saturation}%, 60%, 0)`);
+                ctx.fillStyle = flare;
+                ctx.beginPath();
+                ctx.arc(x, y, flareRadius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            // Head
+            ctx.fillStyle = `hsla(${hue}, 30%, 95%, ${alpha})`;
+            ctx.beginPath();
+            ctx.arc(x, y, headRadius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+}
+
+export { MeteorSystem, METEOR_SHOWERS, SPAWN_REGIONS };
@@ -0,0 +1,282 @@
+/**
+ * Ways the pointer can act on the stars
+ * @type {string[]}
+ */
+const POINTER_MODES = ['attract', 'repel', 'orbit'];
+
+/**
+ * How the pull of the pointer weakens with distance
+ * @type {string[]}
+ */
+const FALLOFF_LAWS = ['linear', 'inverse', 'inverseSquare'];
+
+/** Acceleration at the pointer at strength 1 and mass 1, in pixels per second squared */
+const BASE_ACCELERATION = 3000;
+
+/** Core of the well, as a share of its radius, inside which the pull eases off to zero at the centre */
+const SOFTENING = 0.1;
+
+/** Longest stretch of time simulated per frame in milliseconds; slower frames lose the rest */
+const MAX_FRAME_TIME = 50;
+
+/** Most integration steps per frame */
+const MAX_SUBSTEPS = 12;
+
+/** Fastest a star may move in pixels per second */
+const MAX_SPEED = 3000;
+
+/** Milliseconds of holding the pointer down to reach the full hold mass */
+const HOLD_RAMP_TIME = 2000;
+
+/** Time constant in milliseconds of the mass falling back after a release */
+const RELEASE_TIME = 300;
+
+/** Displacement (pixels) and speed (pixels per second) below which a star is at rest */
+const REST_DISTANCE = 0.05;
+const REST_SPEED = 0.5;
+
+/** Inward pull of the orbit well, relative to its swirl, that keeps stars circling */
+const ORBIT_PULL = 0.4;
+
+/**
+ * Pointer physics: the pointer is a gravity well that attracts, repels or
+ * swirls the stars around it. Each star carries a displacement from the
+ * position its own animation gives it, and a velocity; a damped spring pulls
+ * the displacement back to zero, so stars return home once released.
+ * Holding the pointer down makes the well heavier.
+ *
+ * Each frame is integrated with semi-implicit Euler in as many steps as the
+ * stiffest force (spring or well core) needs, and the pull eases off inside
+ * the core of the well, so it stays stable for any settings and star count.
+ * Nothing is computed while every star is at rest and the well is off.
+ * @class
+ */
+class PointerPhysics {
+    /**
+     * Create a new PointerPhysics instance.
+     * @param {Object} [config={}] - Pointer physics configuration (see setConfig)
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: false,
+            mode: 'repel', // 'attract', 'repel' or 'orbit'
+            strength: 1, // Multiplier of the pull
+            radius: 150, // Reach of the well in pixels
+            falloff: 'linear', // 'linear', 'inverse' or 'inverseSquare'
+            stiffness: 40, // Spring pulling stars home, per second squared
+            damping: 5, // Velocity lost per second, as a decay rate
+            holdMass: 4 // Mass of the well after holding the pointer down
+        };
+        this.setConfig(config);
+
+        /** @type {boolean} Whether the pointer is held down */
+        this.pressed = false;
+
+        /** @type {number} Current mass of the well: 1, growing towards holdMass while held */
+        this.mass = 1;
+
+        /** @type {boolean} Whether every star is at rest at home */
+        this.settled = true;
+    }
+
+    /**
+     * Set pointer physics configuration
+     * @param {Object} config - Pointer physics configuration
+     * @param {boolean} [config.enabled] - Whether the pointer pulls on the stars
+     * @param {string} [config.mode] - 'attract', 'repel' or 'orbit'
+     * @param {number} [config.strength] - Multiplier of the pull
+     * @param {number} [config.radius] - Reach of the well in pixels
+     * @param {string} [config.falloff] - 'linear', 'inverse' or 'inverseSquare'
+     * @param {number} [config.stiffness] - Spring stiffness per second squared
+     * @param {number} [config.damping] - Damping rate per second
+     * @param {number} [config.holdMass] - Mass of the well while held down
+     * @returns {void}
+     */
+    setConfig(config) {
+        const { config: current } = this;
+
+        if (config.enabled !== undefined) {
+            current.enabled = !!config.enabled;
+        }
+        if (config.mode !== undefined && POINTER_MODES.includes(config.mode)) {
+            current.mode = config.mode;
+        }
+        if (config.strength !== undefined) {
+            current.strength = Math.max(0, config.strength);
+        }
+        if (config.radius !== undefined) {
+            current.radius = Math.max(1, config.radius);
+        }
+        if (config.falloff !== undefined && FALLOFF_LAWS.includes(config.falloff)) {
+            current.falloff = config.falloff;
+        }
+        if (config.stiffness !== undefined) {
+            current.stiffness = Math.max(0, config.stiffness);
+        }
+        if (config.damping !== undefined) {
+            current.damping = Math.max(0, config.damping);
+        }
+        if (config.holdMass !== undefined) {
+            current.holdMass = Math.max(1, config.holdMass);
+        }
+    }
+
+    /**
+     * Hold the pointer down or release it.
+     * @param {boolean} pressed - Whether the pointer is held down
+     * @returns {void}
+     */
+    setPressed(pressed) {
+        this.pressed = !!pressed;
+    }
+
+    /**
+     * Forget the well's state, e.g. when the stars are regenerated
+     * (a new population starts at rest).
+     * @returns {void}
+     */
+    reset() {
+        this.pressed = false;
+        this.mass = 1;
+        this.settled = true;
+    }
+
+    /**
+     * Move the stars under the pointer and springs. `x`/`y` of the active
+     * stars hold their animated positions plus their current displacement;
+     * the displacement is advanced and `x`/`y` moved along with it.
+     * @param {StarStore} store - Star data
+     * @param {Int32Array} indices - Store indices of the active stars
+     * @param {number} count - Number of active stars
+     * @param {{x: number, y: number}|null} pointer - Pointer position in css pixels, or null
+     * @param {number} deltaTime - Time since the previous frame in milliseconds
+     * @returns {void}
+     */
+    update(store, indices, count, pointer, deltaTime) {
+        const { config } = this;
+        const frameTime = Math.min(Math.max(deltaTime, 0), MAX_FRAME_TIME);
+
+        // The well grows heavier while held, and lighter again once released
+        if (this.pressed && pointer) {
+            this.mass = Math.min(config.holdMass, this.mass + (config.holdMass - 1) * frameTime / HOLD_RAMP_TIME);
+        } else {
+            this.mass = 1 + (this.mass - 1) * Math.exp(-frameTime / RELEASE_TIME);
+        }
+
+        const pulling = config.enabled && !!pointer && config.strength > 0;
+        if (!pulling && this.settled) return;
+
+        const { x, y, displacementX, displacementY, velocityX, velocityY } = store;
+
+        // Enough steps to keep the stiffest force stable (step * sqrt(stiffness) <= 1)
+        const softening = Math.max(2, config.radius * SOFTENING);
+        const acceleration = pulling ? BASE_ACCELERATION * config.strength * this.mass : 0;
+        const stiffest = config.stiffness + acceleration / softening;
+        const seconds = frameTime / 1000;
+        const steps = Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(seconds * Math.sqrt(stiffest))));
+        const step = seconds / steps;
+        const damping = Math.exp(-config.damping * step);
+        const radiusSq = config.radius * config.radius;
+
+        let moving = false;
+        for (let k = 0; k < count; k++) {
+            const i = indices[k];
+            let dx = displacementX[i];
+            let dy = displacementY[i];
+            let vx = velocityX[i];
+            let vy = velocityY[i];
+
+            if (!pulling && dx === 0 && dy === 0 && vx === 0 && vy === 0) continue;
+
+            const homeX = x[i] - dx;
+            const homeY = y[i] - dy;
+
+            for (let s = 0; s < steps; s++) {
+                // Spring towards home
+                let ax = -config.stiffness * dx;
+                let ay = -config.stiffness * dy;
+
+                if (pulling) {
+                    const toX = pointer.x - (homeX + dx);
+                    const toY = pointer.y - (homeY + dy);
+                    const distSq = toX * toX + toY * toY;
+                    if (distSq < radiusSq && distSq > 0) {
+                        const distance = Math.sqrt(distSq);
+                        const pull = acceleration * this._falloff(distance, softening) *
+                            Math.min(1, distance / softening);
+                        const ux = toX / distance;
+                        const uy = toY / distance;
+
+                        switch (config.mode) {
+                            case 'attract':
+                                ax += ux * pull;
+                                ay += uy * pull;
+                                break;
+                            case 'repel':
+                                ax -= ux * pull;
+                                ay -= uy * pull;
+                                break;
+                            case 'orbit':
+                                ax += (-uy + ux * ORBIT_PULL) * pull;
+                                ay += (ux + uy * ORBIT_PULL) * pull;
+                                break;
+                        }
+                    }
+                }
+
+                vx = (vx + ax * step) * damping;
+                vy = (vy + ay * step) * damping;
+
+                const speedSq = vx * vx + vy * vy;
+                if (speedSq > MAX_SPEED * MAX_SPEED) {
+                    const scale = MAX_SPEED / Math.sqrt(speedSq);
+                    vx *= scale;
+                    vy *= scale;
+                }
+
+                dx += vx * step;
+                dy += vy * step;
+            }
+
+            // Settle stars that are home, so they cost nothing until disturbed again
+            if (Math.abs(dx) < REST_DISTANCE && Math.abs(dy) < REST_DISTANCE &&
+                vx * vx + vy * vy < REST_SPEED * REST_SPEED) {
+                dx = dy = vx = vy = 0;
+            } else {
+                moving = true;
+            }
+
+            displacementX[i] = dx;
+            displacementY[i] = dy;
+            velocityX[i] = vx;
+            velocityY[i] = vy;
+            x[i] = homeX + dx;
+            y[i] = homeY + dy;
+        }
+
+        this.settled = !moving;
+    }
+
+    /**
+     * Strength of the pull at a distance, from 1 at the centre to 0 at the radius.
+     * @param {number} distance - Distance from the pointer in pixels
+     * @param {number} softening - Core radius in pixels
+     * @private
+     * @returns {number} Falloff factor (0-1)
+     */
+    _falloff(distance, softening) {
+        // Fade out towards the edge, so stars don't jolt as they cross it
+        const edge = 1 - distance / this.config.radius;
+
+        switch (this.config.falloff) {
+            case 'inverse':
+                return softening / (distance + softening) * edge;
+            case 'inverseSquare':
+                return softening * softening / (distance * distance + softening * softening) * edge;
+            default:
+                return edge;
+        }
+    }
+}
+
+export { PointerPhysics, POINTER_MODES, FALLOFF_LAWS };
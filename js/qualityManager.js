@@ -0,0 +1,159 @@
+import Emitter from './utils/emitter.js';
+
+/**
+ * Quality levels from best to cheapest. Each level keeps the savings of the
+ * previous one and adds the next: fewer glow layers, solid instead of gradient
+ * connection lines, fewer stars, then a render resolution below devicePixelRatio.
+ * @type {Array<{name: string, glowLayers: number, connectionGradients: boolean, starFraction: number, resolutionScale: number}>}
+ */
+const QUALITY_LEVELS = [
+    { name: 'Ultra', glowLayers: 3, connectionGradients: true, starFraction: 1, resolutionScale: 1 },
+    { name: 'High', glowLayers: 1, connectionGradients: true, starFraction: 1, resolutionScale: 1 },
+    { name: 'Medium', glowLayers: 1, connectionGradients: false, starFraction: 1, resolutionScale: 1 },
+    { name: 'Low', glowLayers: 1, connectionGradients: false, starFraction: 0.5, resolutionScale: 1 },
+    { name: 'Minimum', glowLayers: 1, connectionGradients: false, starFraction: 0.5, resolutionScale: 0.5 }
+];
+
+/**
+ * Adaptive quality governor.
+ * Reads the measured FPS and the time spent rendering each frame, steps the
+ * quality down when the target FPS is missed because frames cost nearly their
+ * whole budget, and back up when there is headroom. A frame rate capped below
+ * the target by the display or browser, with cheap frames, leaves the level
+ * alone. A level can also be pinned, which disables adaptation.
+ *
+ * Emits `levelchange` with `{ level, previous, settings, pinned }` whenever the
+ * active level changes.
+ * @class
+ * @extends Emitter
+ */
+class QualityManager extends Emitter {
+    /**
+     * Create a new QualityManager instance.
+     * @param {Object} [options={}] - Configuration options
+     * @param {number} [options.targetFps=50] - Frame rate to maintain
+     * @param {number|null} [options.pinnedLevel=null] - Fixed quality level, or null for adaptive
+     * @param {number} [options.cooldown=2000] - Minimum time between automatic level changes in milliseconds
+     * @param {number} [options.headroom=0.5] - Step up when frame work takes less than this share of the frame budget
+     * @param {number} [options.load=0.8] - Step down only when frame work takes at least this share of the frame budget
+     */
+    constructor(options = {}) {
+        super();
+
+        this.targetFps = options.targetFps || 50;
+        this.cooldown = options.cooldown !== undefined ? options.cooldown : 2000;
+        this.headroom = options.headroom || 0.5;
+        this.load = options.load || 0.8;
+
+        this.pinnedLevel = null;
+        this.level = 0;
+        this._lastChange = 0;
+
+        /** @type {number} Smoothed time spent updating and drawing a frame, in milliseconds */
+        this.averageWorkTime = 0;
+
+        if (options.pinnedLevel !== undefined && options.pinnedLevel !== null) {
+            this.pin(options.pinnedLevel);
+        }
+    }
+
+    /**
+     * Settings for the active quality level
+     * @type {{name: string, glowLayers: number, connectionGradients: boolean, starFraction: number, resolutionScale: number}}
+     */
+    get settings() {
+        return QUALITY_LEVELS[this.level];
+    }
+
+    /**
+     * Whether the level is adapted automatically
+     * @type {boolean}
+     */
+    get isAdaptive() {
+        return this.pinnedLevel === null;
+    }
+
+    /**
+     * Set the frame rate the governor tries to maintain
+     * @param {number} fps - Target frames per second
+     */
+    setTargetFps(fps) {
+        this.targetFps = Math.max(1, fps);
+    }
+
+    /**
+     * Fix the quality at a given level, disabling adaptation
+     * @param {number} level - Quality level index (0 is best)
+     */
+    pin(level) {
+        this.pinnedLevel = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, Math.round(level)));
+        this._setLevel(this.pinnedLevel);
+    }
+
+    /**
+     * Return to adaptive quality
+     */
+    unpin() {
+        if (this.pinnedLevel === null) return;
+        this.pinnedLevel = null;
+        this.emit('levelchange', this._payload(this.level));
+    }
+
+    /**
+     * Feed the governor with the latest frame measurements.
+     * @param {number} fps - FPS reported by the FPS counter (updated about once per second)
+     * @param {number} workTime - Time spent updating and drawing this frame in milliseconds
+     * @param {number} time - Current timestamp in milliseconds
+     * @returns {void}
+     */
+    update(fps, workTime, time) {
+        this.averageWorkTime = this.averageWorkTime
+            ? this.averageWorkTime * 0.95 + workTime * 0.05
+            : workTime;
+
+        if (!this.isAdaptive || !fps || time - this._lastChange < this.cooldown) return;
+
+        const frameBudget = 1000 / this.targetFps;
+
+        if (fps < this.targetFps && this.averageWorkTime >= frameBudget * this.load &&
+            this.level < QUALITY_LEVELS.length - 1) {
+            // Target missed because frames are too expensive: shed the next most expensive feature
+            this._lastChange = time;
+            this._setLevel(this.level + 1);
+        } else if (this.level > 0 && this.averageWorkTime < frameBudget * this.headroom) {
+            // Plenty of headroom, whatever the display's frame rate: bring the previous feature back
+            this._lastChange = time;
+            this._setLevel(this.level - 1);
+        }
+    }
+
+    /**
+     * Change the active level and notify listeners.
+     * @param {number} level - New level index
+     * @private
+     */
+    _setLevel(level) {
+        const previous = this.level;
+        this.level = level;
+        if (level !== previous || !this.isAdaptive) {
+            this.emit('levelchange', this._payload(previous));
+        }
+    }
+
+    /**
+     * Build the `levelchange` event payload.
+     * @param {number} previous - Previous level index
+     * @returns {Object} Event payload
+     * @private
+     */
+    _payload(previous) {
+        return {
+            level: this.level,
+            previous,
+            settings: this.settings,
+            pinned: !this.isAdaptive
+        };
+    }
+}
+
+export { QualityManager, QUALITY_LEVELS };
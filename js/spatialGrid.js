@@ -0,0 +1,229 @@
+/**
+ * Uniform spatial hash grid for proximity queries over a set of points.
+ * The grid is rebuilt once per frame with a counting sort (no per-frame
+ * allocations once warmed up), after which radius and nearest-neighbour
+ * queries only visit the cells overlapping the query area. This keeps the
+ * cost of pointer and star-to-star lookups proportional to local density
+ * instead of total star count.
+ * @class
+ */
+class SpatialGrid {
+    /**
+     * Create a new SpatialGrid instance.
+     * @param {Object} [options={}] - Configuration options
+     * @param {number} [options.cellSize=64] - Width and height of a grid cell in pixels
+     */
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 64;
+
+        this.cols = 0;
+        this.rows = 0;
+        this.count = 0;
+
+        /** @type {Float32Array} Point x-coordinates captured at rebuild time */
+        this.xs = new Float32Array(0);
+        /** @type {Float32Array} Point y-coordinates captured at rebuild time */
+        this.ys = new Float32Array(0);
+        /** @type {Int32Array} Caller's id for every point */
+        this.ids = new Int32Array(0);
+        /** @type {Int32Array} Cell index of every point */
+        this.pointCells = new Int32Array(0);
+        /** @type {Int32Array} Offset of each cell's first entry in `cellItems` (length cells + 1) */
+        this.cellStart = new Int32Array(1);
+        /** @type {Int32Array} Point slots sorted by cell */
+        this.cellItems = new Int32Array(0);
+    }
+
+    /**
+     * Grow the per-point buffers if needed.
+     * @param {number} count - Number of points
+     * @private
+     */
+    _ensurePointCapacity(count) {
+        if (this.xs.length >= count) return;
+        const capacity = Math.max(count, this.xs.length * 2);
+        this.xs = new Float32Array(capacity);
+        this.ys = new Float32Array(capacity);
+        this.ids = new Int32Array(capacity);
+        this.pointCells = new Int32Array(capacity);
+        this.cellItems = new Int32Array(capacity);
+    }
+
+    /**
+     * Column index for an x-coordinate, clamped to the grid.
+     * @param {number} x - X-coordinate
+     * @returns {number} Column index
+     * @private
+     */
+    _col(x) {
+        const col = Math.floor(x / this.cellSize);
+        return col < 0 ? 0 : (col >= this.cols ? this.cols - 1 : col);
+    }
+
+    /**
+     * Row index for a y-coordinate, clamped to the grid.
+     * @param {number} y - Y-coordinate
+     * @returns {number} Row index
+     * @private
+     */
+    _row(y) {
+        const row = Math.floor(y / this.cellSize);
+        return row < 0 ? 0 : (row >= this.rows ? this.rows - 1 : row);
+    }
+
+    /**
+     * Rebuild the grid from coordinate arrays.
+     * Points outside the bounds are clamped into the edge cells, so they are
+     * still found by queries.
+     * @param {ArrayLike<number>} xs - X-coordinates, indexed by id
+     * @param {ArrayLike<number>} ys - Y-coordinates, indexed by id
+     * @param {ArrayLike<number>|null} ids - Ids of the points to index, or null to index ids 0..count-1
+     * @param {number} count - Number of points to index
+     * @param {number} width - Width of the indexed area in pixels
+     * @param {number} height - Height of the indexed area in pixels
+     * @returns {void}
+     */
+    rebuild(xs, ys, ids, count, width, height) {
+        this._ensurePointCapacity(count);
+        this.count = count;
+
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+        const cellCount = this.cols * this.rows;
+        if (this.cellStart.length !== cellCount + 1) {
+            this.cellStart = new Int32Array(cellCount + 1);
+        } else {
+            this.cellStart.fill(0);
+        }
+
+        const { pointCells, cellStart, cellItems } = this;
+
+        // Count points per cell (shifted by one so the prefix sum yields start offsets)
+        for (let i = 0; i < count; i++) {
+            const id = ids ? ids[i] : i;
+            const x = xs[id];
+            const y = ys[id];
+            this.xs[i] = x;
+            this.ys[i] = y;
+            this.ids[i] = id;
+            const cell = Number.isFinite(x) && Number.isFinite(y)
+                ? this._row(y) * this.cols + this._col(x)
+                : -1;
+            pointCells[i] = cell;
+            if (cell >= 0) cellStart[cell + 1]++;
+        }
+
+        for (let c = 0; c < cellCount; c++) {
+            cellStart[c + 1] += cellStart[c];
+        }
+
+        // Scatter point indices into their cells, using the start offsets as cursors
+        const cursor = this._cursor && this._cursor.length === cellCount
+            ? this._cursor
+            : (this._cursor = new Int32Array(cellCount));
+        cursor.set(cellStart.subarray(0, cellCount));
+        for (let i = 0; i < count; i++) {
+            const cell = pointCells[i];
+            if (cell >= 0) cellItems[cursor[cell]++] = i;
+        }
+    }
+
+    /**
+     * Visit every point within a radius of a position.
+     * @param {number} x - Query center x-coordinate
+     * @param {number} y - Query center y-coordinate
+     * @param {number} radius - Query radius in pixels
+     * @param {function(number, number): void} callback - Called with (id, squared distance)
+     * @returns {void}
+     */
+    forEachInRadius(x, y, radius, callback) {
+        if (!this.count || !(radius > 0)) return;
+
+        const radiusSq = radius * radius;
+        const minCol = this._col(x - radius);
+        const maxCol = this._col(x + radius);
+        const minRow = this._row(y - radius);
+        const maxRow = this._row(y + radius);
+        const { xs, ys, ids, cellStart, cellItems, cols } = this;
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = row * cols + col;
+                for (let k = cellStart[cell], end = cellStart[cell + 1]; k < end; k++) {
+                    const i = cellItems[k];
+                    const dx = xs[i] - x;
+                    const dy = ys[i] - y;
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq <= radiusSq) {
+                        callback(ids[i], distSq);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Collect the ids of all points within a radius of a position.
+     * @param {number} x - Query center x-coordinate
+     * @param {number} y - Query center y-coordinate
+     * @param {number} radius - Query radius in pixels
+     * @param {number[]} [out=[]] - Array to fill (cleared first)
+     * @returns {number[]} Ids of the points found
+     */
+    queryRadius(x, y, radius, out = []) {
+        out.length = 0;
+        this.forEachInRadius(x, y, radius, i => out.push(i));
+        return out;
+    }
+
+    /**
+     * Find the point closest to a position.
+     * Searches outwards ring by ring and stops as soon as no closer point can exist.
+     * @param {number} x - Query x-coordinate
+     * @param {number} y - Query y-coordinate
+     * @param {number} [maxRadius=Infinity] - Ignore points further away than this
+     * @returns {number} Id of the nearest point, or -1 if none was found
+     */
+    nearest(x, y, maxRadius = Infinity) {
+        if (!this.count) return -1;
+
+        const { xs, ys, cellStart, cellItems, cols, rows, cellSize } = this;
+        const centerCol = this._col(x);
+        const centerRow = this._row(y);
+        const maxRing = Math.max(cols, rows);
+        let best = -1;
+        let bestDistSq = maxRadius * maxRadius;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Every point in this ring is at least (ring - 1) cells away
+            const ringDistance = Math.max(0, ring - 1) * cellSize;
+            if (ringDistance * ringDistance > bestDistSq) break;
+
+            for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+                if (row < 0 || row >= rows) continue;
+                const edgeRow = row === centerRow - ring || row === centerRow + ring;
+                for (let col = centerCol - ring; col <= centerCol + ring; col++) {
+                    if (col < 0 || col >= cols) continue;
+                    // Only visit the outline of the ring; the inside was searched already
+                    if (!edgeRow && col !== centerCol - ring && col !== centerCol + ring) continue;
+
+                    const cell = row * cols + col;
+                    for (let k = cellStart[cell], end = cellStart[cell + 1]; k < end; k++) {
+                        const i = cellItems[k];
+                        const dx = xs[i] - x;
+                        const dy = ys[i] - y;
+                        const distSq = dx * dx + dy * dy;
+                        if (distSq <= bestDistSq) {
+                            bestDistSq = distSq;
+                            best = i;
+                        }
+                    }
+                }
+            }
+        }
+
+        return best >= 0 ? this.ids[best] : -1;
+    }
+}
+
+export { SpatialGrid };
@@ -0,0 +1,300 @@
+/**
+ * Pre-rendered star sprite cache.
+ * Star glyphs are rendered once onto a single offscreen canvas (the atlas) and
+ * then blitted with `drawImage`, which is far cheaper than building radial
+ * gradients for every star on every frame.
+ *
+ * Glyphs are bucketed by hue, saturation, lightness and size so that a handful
+ * of sprites can serve thousands of stars. Brightness (alpha) is applied at
+ * blit time through `globalAlpha`.
+ * @class
+ */
+class SpriteAtlas {
+    /**
+     * Create a new SpriteAtlas instance.
+     * @param {Object} [options={}] - Configuration options
+     * @param {number} [options.pixelRatio=1] - Device pixel ratio glyphs are rendered at
+     * @param {number} [options.atlasSize=1024] - Width and height of the atlas canvas in pixels
+     * @param {number} [options.hueStep=10] - Hue bucket size in degrees
+     * @param {number} [options.saturationStep=10] - Saturation bucket size in percent
+     * @param {number} [options.lightnessStep=5] - Lightness bucket size in percent
+     * @param {number[]} [options.sizeBuckets=[1, 2, 4, 8]] - Glyph core radii in CSS pixels
+     * @param {number} [options.glowLayers=3] - Layers rendered per glyph (see Star.drawGlow)
+     * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} [options.createCanvas] - Creates the atlas canvas (e.g. node-canvas outside a browser)
+     */
+    constructor(options = {}) {
+        this.pixelRatio = options.pixelRatio || 1;
+        this.atlasSize = options.atlasSize || 1024;
+        this.hueStep = options.hueStep || 10;
+        this.saturationStep = options.saturationStep || 10;
+        this.lightnessStep = options.lightnessStep || 5;
+        this.sizeBuckets = options.sizeBuckets || [1, 2, 4, 8];
+        this.glowLayers = options.glowLayers || 3;
+        this.createCanvas = options.createCanvas || null;
+
+        this.canvas = this._createCanvas(this.atlasSize, this.atlasSize);
+        this.ctx = this.canvas.getContext('2d');
+
+        /** @type {Map<number, {x: number, y: number, size: number, radius: number}>} Glyph slots by bucket key */
+        this.glyphs = new Map();
+
+        /** @type {string|null} Signature of the colour settings the atlas was built for */
+        this._colorKey = null;
+
+        this._resetPacking();
+    }
+
+    /**
+     * Create the backing canvas with the injected factory, otherwise
+     * preferring OffscreenCanvas when available.
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The created canvas
+     * @private
+     */
+    _createCanvas(width, height) {
+        if (this.createCanvas) {
+            return this.createCanvas(width, height);
+        }
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Reset the shelf packer to the top-left corner of the atlas.
+     * @private
+     */
+    _resetPacking() {
+        this._cursorX = 0;
+        this._cursorY = 0;
+        this._rowHeight = 0;
+    }
+
+    /**
+     * Drop every cached glyph. Glyphs are re-rendered lazily on next use.
+     * @returns {void}
+     */
+    clear() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.glyphs.clear();
+        this._resetPacking();
+    }
+
+    /**
+     * Set the pixel ratio glyphs are rendered at, rebuilding the atlas if it changed.
+     * @param {number} pixelRatio - Device pixel ratio
+     * @returns {void}
+     */
+    setPixelRatio(pixelRatio) {
+        if (!pixelRatio || pixelRatio === this.pixelRatio) return;
+        this.pixelRatio = pixelRatio;
+        this.clear();
+    }
+
+    /**
+     * Set the number of layers rendered per glyph, rebuilding the atlas if it changed.
+     * @param {number} glowLayers - 1: body only, 2: plus bright center, 3: plus outer glow
+     * @returns {void}
+     */
+    setGlowLayers(glowLayers) {
+        if (!glowLayers || glowLayers === this.glowLayers) return;
+        this.glowLayers = glowLayers;
+        this.clear();
+    }
+
+    /**
+     * Keep the atlas in sync with the colour configuration.
+     * Cheap enough to call every frame: the atlas is only rebuilt when one of the
+     * star colour settings differs from the ones it was last built for.
+     * @param {Object} [colors] - Colour settings (CONFIG.colors)
+     * @returns {void}
+     */
+    sync(colors) {
+        if (!colors) return;
+
+        const key = `${colors.model}|${colors.starHueMin}|${colors.starHueMax}|${colors.starSaturation}|${colors.starLightness}|${colors.palette}`;
+        if (key === this._colorKey) return;
+
+        this._colorKey = key;
+        this.build(colors);
+    }
+
+    /**
+     * Rebuild the atlas and pre-render the glyphs for the configured hue range.
+     * Other colour models spread over too many colours to pre-render; their
+     * glyphs are rendered on first use.
+     * @param {Object} colors - Colour settings (CONFIG.colors)
+     * @returns {void}
+     */
+    build(colors) {
+        this.clear();
+        if (colors.model && colors.model !== 'hueRange') return;
+
+        const hueMin = Number(colors.starHueMin) || 0;
+        const hueMax = Number(colors.starHueMax) || hueMin;
+        const saturation = Number(colors.starSaturation) || 0;
+        const lightness = Number(colors.starLightness) || 0;
+
+        for (let hue = hueMin; hue <= hueMax; hue += this.hueStep) {
+            this.sizeBuckets.forEach(radius => {
+                this.getGlyph(hue, saturation, lightness, radius);
+            });
+        }
+    }
+
+    /**
+     * Compute the bucket key for a glyph.
+     * @param {number} hueBucket - Hue bucket index
+     * @param {number} saturationBucket - Saturation bucket index
+     * @param {number} lightnessBucket - Lightness bucket index
+     * @param {number} sizeBucket - Size bucket index
+     * @returns {number} Integer key
+     * @private
+     */
+    _key(hueBucket, saturationBucket, lightnessBucket, sizeBucket) {
+        return ((hueBucket * 32 + saturationBucket) * 32 + lightnessBucket) * 16 + sizeBucket;
+    }
+
+    /**
+     * Pick the smallest size bucket that is at least as large as the given radius.
+     * @param {number} radius - Star radius in CSS pixels
+     * @returns {number} Size bucket index
+     * @private
+     */
+    _sizeBucket(radius) {
+        const buckets = this.sizeBuckets;
+        for (let i = 0; i < buckets.length; i++) {
+            if (radius <= buckets[i]) return i;
+        }
+        return buckets.length - 1;
+    }
+
+    /**
+     * Get (rendering on first use) the glyph for a colour and size.
+     * @param {number} hue - Hue (0-360)
+     * @param {number} saturation - Saturation percentage (0-100)
+     * @param {number} lightness - Lightness percentage (0-100)
+     * @param {number} radius - Star radius in CSS pixels
+     * @returns {{x: number, y: number, size: number, radius: number}} Glyph slot in atlas pixels
+     */
+    getGlyph(hue, saturation, lightness, radius) {
+        const hueBucket = Math.round((((hue % 360) + 360) % 360) / this.hueStep) % Math.round(360 / this.hueStep);
+        const saturationBucket = Math.round(Math.min(100, Math.max(0, saturation)) / this.saturationStep);
+        const lightnessBucket = Math.round(Math.min(100, Math.max(0, lightness)) / this.lightnessStep);
+        const sizeBucket = this._sizeBucket(radius);
+
+        const key = this._key(hueBucket, saturationBucket, lightnessBucket, sizeBucket);
+        let glyph = this.glyphs.get(key);
+        if (!glyph) {
+            glyph = this._renderGlyph(
+                hueBucket * this.hueStep,
+                saturationBucket * this.saturationStep,
+                lightnessBucket * this.lightnessStep,
+                this.sizeBuckets[sizeBucket]
+            );
+            this.glyphs.set(key, glyph);
+        }
+        return glyph;
+    }
+
+    /**
+     * Render a glyph into the next free slot of the atlas.
+     * Mirrors the layers of the high fidelity `Star.drawGlow()` path at full alpha.
+     * @param {number} hue - Bucketed hue
+     * @param {number} saturation - Bucketed saturation
+     * @param {number} lightness - Bucketed lightness
+     * @param {number} radius - Core radius in CSS pixels
+     * @returns {{x: number, y: number, size: number, radius: number}} Glyph slot
+     * @private
+     */
+    _renderGlyph(hue, saturation, lightness, radius) {
+        const r = radius * this.pixelRatio;
+        const extent = r * 1.5; // Outer glow reaches 1.5x the core radius
+        const size = Math.ceil(extent * 2) + 2; // 1px padding on each side against bleeding
+
+        // Advance to the next shelf when the current row is full
+        if (this._cursorX + size > this.atlasSize) {
+            this._cursorX = 0;
+            this._cursorY += this._rowHeight;
+            this._rowHeight = 0;
+        }
+        // Atlas full: start over, glyphs still in use are re-rendered lazily
+        if (this._cursorY + size > this.atlasSize) {
+            this.clear();
+        }
+
+        const x = this._cursorX;
+        const y = this._cursorY;
+        const cx = x + size / 2;
+        const cy = y + size / 2;
+        const ctx = this.ctx;
+
+        // Main star body
+        const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, extent);
+        gradient.addColorStop(0, `hsla(${hue}, ${saturation}%, 95%, 1)`);
+        gradient.addColorStop(0.7, `hsla(${hue}, ${saturation}%, ${lightness}%, 0.5)`);
+        gradient.addColorStop(1, `hsla(${hue}, ${saturation}%, ${lightness}%, 0)`);
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+
+        // Bright center
+        if (this.glowLayers >= 2) {
+            ctx.beginPath();
+            ctx.arc(cx, cy, r * 0.3, 0, Math.PI * 2);
+            ctx.fillStyle = `hsla(${hue}, ${saturation}%, 95%, 1)`;
+            ctx.fill();
+        }
+
+        // Outer glow
+        if (this.glowLayers >= 3) {
+            const glowGradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, extent);
+            glowGradient.addColorStop(0, `hsla(${hue}, ${saturation}%, 95%, 0.2)`);
+            glowGradient.addColorStop(1, `hsla(${hue}, ${saturation}%, 95%, 0)`);
+            ctx.beginPath();
+            ctx.arc(cx, cy, extent, 0, Math.PI * 2);
+            ctx.fillStyle = glowGradient;
+            ctx.fill();
+        }
+
+        this._cursorX += size;
+        this._rowHeight = Math.max(this._rowHeight, size);
+
+        return { x, y, size, radius };
+    }
+
+    /**
+     * Blit a star glyph onto the target context.
+     * @param {CanvasRenderingContext2D} ctx - Target rendering context (in CSS pixels)
+     * @param {number} x - Star center x-coordinate
+     * @param {number} y - Star center y-coordinate
+     * @param {number} radius - Current star radius in CSS pixels
+     * @param {number} hue - Hue (0-360)
+     * @param {number} saturation - Saturation percentage (0-100)
+     * @param {number} lightness - Lightness percentage (0-100)
+     * @param {number} alpha - Star opacity (0-1)
+     * @returns {void}
+     */
+    draw(ctx, x, y, radius, hue, saturation, lightness, alpha) {
+        const glyph = this.getGlyph(hue, saturation, lightness, radius);
+
+        // Scale the glyph so its outer glow matches the star's current size
+        const scale = radius / glyph.radius;
+        const destSize = (glyph.size / this.pixelRatio) * scale;
+
+        ctx.globalAlpha = Math.min(1, Math.max(0, alpha));
+        ctx.drawImage(
+            this.canvas,
+            glyph.x, glyph.y, glyph.size, glyph.size,
+            x - destSize / 2, y - destSize / 2, destSize, destSize
+        );
+    }
+}
+
+export { SpriteAtlas };
@@ -0,0 +1,219 @@
+import Utils from './utils/utils.js';
+
+/**
+ * Per-star fields of a StarStore and the typed array used for each.
+ * Times are kept in Float64Array to stay precise over long sessions.
+ * @type {Array<[string, Function]>}
+ */
+const STAR_FIELDS = [
+    // Position
+    ['x', Float32Array],
+    ['y', Float32Array],
+    ['originX', Float32Array],
+    ['originY', Float32Array],
+
+    // Size and depth
+    ['size', Float32Array],
+    ['currentSize', Float32Array],
+    ['zIndex', Float32Array],
+    ['parallaxDepth', Float32Array],
+    ['lodRank', Float32Array],
+
+    // Colour
+    ['hue', Float32Array],
+    ['saturation', Float32Array],
+    ['lightness', Float32Array],
+    ['alpha', Float32Array],
+    ['baseLightness', Float32Array],
+    ['baseAlpha', Float32Array],
+
+    // Floating motion
+    ['amplitude', Float32Array],
+    ['frequency', Float32Array],
+    ['phase', Float32Array],
+
+    // Pulsing
+    ['pulseAmount', Float32Array],
+    ['pulsePeriod', Float32Array],
+    ['pulsePhase', Float32Array],
+
+    // Random size variation
+    ['sizeMultiplier', Float32Array],
+    ['targetSizeMultiplier', Float32Array],
+    ['lastSizeChange', Float64Array],
+    ['sizeChangeInterval', Float32Array],
+
+    // Elliptical motion
+    ['ellipseSelected', Uint8Array],
+    ['ellipseEnabled', Uint8Array],
+    ['ellipseRadiusX', Float32Array],
+    ['ellipseRadiusY', Float32Array],
+    ['ellipseSpeed', Float32Array],
+    ['baseEllipseSpeed', Float32Array],
+    ['ellipseAngle', Float32Array], // Angle at simulation time 0
+    ['ellipseRotation', Float32Array],
+
+    // Pointer physics: offset from the animated position and its velocity (px/s)
+    ['displacementX', Float32Array],
+    ['displacementY', Float32Array],
+    ['velocityX', Float32Array],
+    ['velocityY', Float32Array],
+
+    // Blinking
+    ['blinking', Uint8Array],
+    ['blinkStart', Float64Array],
+    ['blinkDuration', Float32Array],
+
+    // Catalog stars only: sky position and identity
+    ['catalogId', Int32Array], // -1 when the star has no catalog number
+    ['ra', Float64Array], // Right ascension in radians
+    ['dec', Float64Array], // Declination in radians
+    ['magnitude', Float32Array],
+    ['hidden', Uint8Array] // Outside the projection, skipped when picking active stars
+];
+
+/**
+ * Struct-of-arrays storage for the star population.
+ * Every star property lives in its own typed array indexed by star number,
+ * which keeps the per-frame update loop cache friendly and allocation free.
+ * Regenerating a sky simply replaces the arrays, so nothing from the previous
+ * population (tweens, closures, objects) outlives it.
+ * @class
+ */
+class StarStore {
+    /**
+     * Create a new StarStore instance.
+     * @param {number} [capacity=0] - Number of stars to allocate room for
+     */
+    constructor(capacity = 0) {
+        /** @type {number} Number of stars currently stored */
+        this.count = 0;
+
+        /** @type {number} Number of stars the arrays can hold */
+        this.capacity = 0;
+
+        this.allocate(capacity);
+    }
+
+    /**
+     * Allocate fresh arrays for a new population, dropping the current one.
+     * @param {number} capacity - Number of stars to allocate room for
+     * @returns {void}
+     */
+    allocate(capacity) {
+        this.capacity = Math.max(0, Math.floor(capacity));
+        this.count = 0;
+        STAR_FIELDS.forEach(([name, ArrayType]) => {
+            this[name] = new ArrayType(this.capacity);
+        });
+    }
+
+    /**
+     * Release all star data.
+     * @returns {void}
+     */
+    dispose() {
+        this.allocate(0);
+    }
+
+    /**
+     * Add a star, filling unspecified properties with randomized defaults.
+     * @param {number} x - The initial x-coordinate of the star
+     * @param {number} y - The initial y-coordinate of the star
+     * @param {Object} [options={}] - Configuration options for the star
+     * @param {number} [options.size=random(0.5,3)] - Base size of the star in pixels
+     * @param {number} [options.zIndex=random()] - Z-index for depth sorting (0-1)
+     * @param {number} [options.speed=1] - Animation speed multiplier
+     * @param {boolean} [options.ellipseEnabled=false] - Whether elliptical movement is enabled
+     * @param {number} [options.ellipticalMovementRate=0.1] - Probability (0-1) of elliptical movement
+     * @param {number} [options.ellipseRadiusX=random(50,150)] - Horizontal radius of elliptical path
+     * @param {number} [options.ellipseRadiusY=random(25,100)] - Vertical radius of elliptical path
+     * @param {number} [options.ellipseSpeed=random(0.0005,0.002)] - Speed of elliptical movement
+     * @param {number} [options.ellipseRotation=random(0,2π)] - Rotation of elliptical path in radians
+     * @param {number} [options.amplitude=random(2,15)] - Amplitude of floating motion
+     * @param {number} [options.frequency=random(0.0003,0.001)] - Frequency of floating motion
+     * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1), for reproducible skies
+     * @returns {number} Index of the new star, or -1 if the store is full
+     */
+    add(x, y, options = {}, random = Math.random) {
+        if (this.count >= this.capacity) return -1;
+        const i = this.count++;
+
+        this.x[i] = x;
+        this.y[i] = y;
+        this.originX[i] = x;
+        this.originY[i] = y;
+
+        // Configuration with defaults
+        const speed = options.speed || 1;
+        this.size[i] = options.size || Utils.randomInRange(0.5, 3, random);
+        this.currentSize[i] = this.size[i];
+        this.zIndex[i] = options.zIndex || random();
+        this.parallaxDepth[i] = 0.5 + random() * 0.5; // Depth factor for parallax effect (0.5-1.0)
+        this.lodRank[i] = random(); // Rank used to thin out stars at lower quality levels
+
+        // Visual properties
+        this.hue[i] = Utils.randomInRange(0, 60, random) + 180; // Blues and purples
+        this.saturation[i] = Utils.randomInRange(70, 100, random);
+        this.lightness[i] = Utils.randomInRange(50, 90, random);
+        this.alpha[i] = Utils.randomInRange(0.6, 1, random);
+        this.baseLightness[i] = this.lightness[i];
+        this.baseAlpha[i] = this.alpha[i];
+
+        // Floating motion - set from options or use very subtle defaults
+        this.amplitude[i] = options.amplitude !== undefined ? options.amplitude : Utils.randomInRange(2, 15, random);
+        this.frequency[i] = options.frequency !== undefined ? options.frequency : (Utils.randomInRange(0.0003, 0.001, random) * speed);
+        this.phase[i] = Math.PI * 2 * random();
+
+        // Pulsing: the size swells by pulseAmount and back over one period
+        this.pulseAmount[i] = 0.15 * (0.8 + random() * 0.4);
+        this.pulsePeriod[i] = 2000 * (1.5 + random()) / speed;
+        this.pulsePhase[i] = Math.PI * 2 * random();
+
+        // Random size variation
+        this.sizeMultiplier[i] = 1;
+        this.targetSizeMultiplier[i] = 1;
+        this.lastSizeChange[i] = 0;
+        this.sizeChangeInterval[i] = 3000 + random() * 10000; // 3-13 seconds
+
+        // Elliptical movement: whether this star takes part is decided once, at creation
+        const ellipticalRate = options.ellipticalMovementRate !== undefined ? options.ellipticalMovementRate : 0.1;
+        this.ellipseSelected[i] = random() < ellipticalRate ? 1 : 0;
+        this.ellipseEnabled[i] = options.ellipseEnabled && this.ellipseSelected[i] ? 1 : 0;
+        this.ellipseRadiusX[i] = options.ellipseRadiusX !== undefined ? options.ellipseRadiusX : Utils.randomInRange(50, 150, random);
+        this.ellipseRadiusY[i] = options.ellipseRadiusY !== undefined ? options.ellipseRadiusY : Utils.randomInRange(25, 100, random);
+        this.ellipseSpeed[i] = options.ellipseSpeed !== undefined ? options.ellipseSpeed : Utils.randomInRange(0.0005, 0.002, random) * speed;
+        this.baseEllipseSpeed[i] = this.ellipseSpeed[i];
+        this.ellipseAngle[i] = random() * Math.PI * 2;
+        this.ellipseRotation[i] = options.ellipseRotation !== undefined ? options.ellipseRotation : random() * Math.PI * 2;
+
+        // Blinking starts inactive
+        this.blinking[i] = 0;
+
+        this.catalogId[i] = -1;
+        this.hidden[i] = 0;
+
+        return i;
+    }
+
+    /**
+     * Reorder all stars by z-index so that deeper stars are drawn first.
+     * @returns {void}
+     */
+    sortByDepth() {
+        const { count, zIndex } = this;
+        const order = Array.from({ length: count }, (_, i) => i);
+        order.sort((a, b) => zIndex[a] - zIndex[b]);
+
+        STAR_FIELDS.forEach(([name, ArrayType]) => {
+            const source = this[name];
+            const sorted = new ArrayType(this.capacity);
+            for (let i = 0; i < count; i++) {
+                sorted[i] = source[order[i]];
+            }
+            this[name] = sorted;
+        });
+    }
+}
+
+export { StarStore, STAR_FIELDS };
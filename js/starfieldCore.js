@@ -0,0 +1,2177 @@
+import { Star } from './star.js';
+import { StarStore } from './starStore.js';
+import { SpriteAtlas } from './spriteAtlas.js';
+import { SpatialGrid } from './spatialGrid.js';
+import { QualityManager } from './qualityManager.js';
+import { TimeController } from './timeController.js';
+import Utils from './utils/utils.js';
+import { createRandom, normalizeSeed, randomSeed } from './utils/random.js';
+import { browserClock } from './utils/clock.js';
+import { PROJECTIONS, project, projectedRadius } from './utils/projection.js';
+import { colorIndexToTemperature } from './utils/color.js';
+import { createStarColorModel, temperatureToStarColor } from './utils/starColors.js';
+import { ConstellationOverlay } from './constellationOverlay.js';
+import { MeteorSystem } from './meteorSystem.js';
+import { CometSystem } from './cometSystem.js';
+import { PointerPhysics } from './pointerPhysics.js';
+import { FlowField } from './flowField.js';
+import { equatorialToHorizontal, localSiderealTime } from './utils/astronomy.js';
+
+/** Frame duration (60 FPS) that per-frame rates such as blink chance and easing factors are tuned for, in milliseconds */
+const REFERENCE_FRAME_MS = 1000 / 60;
+
+/** Longest frame the simulation advances in one go, so a backgrounded tab doesn't cause a huge jump */
+const MAX_FRAME_DELTA = 250;
+
+/** Magnitude of the brightest catalog stars (Sirius is -1.46); anything brighter, such as the Sun in HYG, is skipped */
+const BRIGHTEST_MAGNITUDE = -1.5;
+
+/**
+ * Convert a per-frame rate (tuned at 60 FPS) to the equivalent rate over an
+ * arbitrary time span, so compounding effects don't depend on the frame rate.
+ * @param {number} perFrame - Rate per reference frame (0-1)
+ * @param {number} deltaTime - Time span in milliseconds
+ * @returns {number} Rate over the time span (0-1)
+ */
+function rateOver(perFrame, deltaTime) {
+    return 1 - Math.pow(1 - perFrame, deltaTime / REFERENCE_FRAME_MS);
+}
+
+/**
+ * Manages a collection of stars and their connections using Canvas 2D.
+ * Handles star creation, animation, rendering, and user interaction.
+ *
+ * The core never touches `window` or `document`: it draws into an injected
+ * 2D context, is told its viewport size, takes frame timing from an injected
+ * clock and pointer input from an injected event source. {@link Starfield}
+ * wires it to a page; in Node it can be driven with a mock or `node-canvas`
+ * context and a manual clock, or stepped directly with `renderFrame()`.
+ * @class
+ */
+class StarfieldCore {
+    /**
+     * Create a new StarfieldCore instance.
+     * @param {CanvasRenderingContext2D} context - 2D context to render into; its `canvas` is resized to the viewport
+     * @param {Object} [options={}] - Configuration options
+     * @param {number} [options.starCount=500] - Total number of stars to create
+     * @param {number} [options.connectionDistance=150] - Maximum distance to draw connections between stars (in pixels)
+     * @param {number} [options.connectionOpacity=0.2] - Opacity of connection lines (0-1)
+     * @param {Object} [options.starColor=null] - Optional fixed color for all stars, overriding the colour model
+     * @param {string} [options.backgroundColor='#000428'] - Background color of the canvas
+     * @param {number} [options.backgroundOpacity=1] - Background opacity (0-1)
+     * @param {boolean} [options.ellipseEnabled=false] - Whether elliptical movement is enabled
+     * @param {number} [options.ellipticalMovementRate=0.2] - Probability (0-1) of a star having elliptical movement
+     * @param {number} [options.starMovementSpeed=0.5] - Global multiplier for star movement speed
+     * @param {number} [options.maxStarsPerCluster=25] - Maximum stars per cluster
+     * @param {number} [options.clusterCount=5] - Number of star clusters to create
+     * @param {Object} [options.colors] - Colour settings (CONFIG.colors): the star colour model (see utils/starColors.js); the sprite atlas is rebuilt when they change
+     * @param {boolean} [options.highFidelity=false] - Draw stars with per-frame gradients instead of the sprite atlas
+     * @param {Object} [options.starLinks] - Star-to-star constellation web settings (see setStarLinksConfig)
+     * @param {Object} [options.catalog] - Star catalog mode settings (see setCatalogConfig)
+     * @param {CatalogStar[]} [options.catalogStars] - Catalog to show when catalog mode is enabled (see utils/catalog.js)
+     * @param {Object} [options.observer] - Observer sky settings (see setObserverConfig)
+     * @param {Object} [options.constellations] - Constellation overlay settings (see ConstellationOverlay.setConfig)
+     * @param {ConstellationFigure[]} [options.constellationFigures] - Stick figures drawn over catalog stars (see utils/constellations.js)
+     * @param {Object} [options.shootingStar] - Shooting star (meteor) settings (see MeteorSystem.setConfig)
+     * @param {Object} [options.meteorShower] - Meteor shower settings (see MeteorSystem.setShowerConfig)
+     * @param {Object} [options.comets] - Comet settings (see CometSystem.setConfig)
+     * @param {Object} [options.pointerPhysics] - Pointer gravity well settings (see PointerPhysics.setConfig)
+     * @param {Object} [options.flowField] - Flow field motion settings (see FlowField.setConfig)
+     * @param {Object} [options.quality] - Quality governor settings
+     * @param {boolean} [options.quality.adaptive=true] - Adapt the quality level to the measured frame rate
+     * @param {number} [options.quality.level=0] - Fixed quality level used when not adaptive (0 is best)
+     * @param {number} [options.quality.targetFps=50] - Frame rate the adaptive governor tries to maintain
+     * @param {number} [options.animationSpeed=1] - Time scale of the simulation (1 is real time)
+     * @param {boolean} [options.fixedTimestep=false] - Advance the simulation in fixed steps instead of once per frame
+     * @param {number} [options.timestep=1000/60] - Length of a fixed step in milliseconds
+     * @param {Object} [options.viewport] - Initial viewport (the canvas size when omitted)
+     * @param {number} [options.viewport.width] - Viewport width in css pixels
+     * @param {number} [options.viewport.height] - Viewport height in css pixels
+     * @param {number} [options.viewport.pixelRatio=1] - Device pixel ratio
+     * @param {Object} [options.clock] - Frame clock (see utils/clock.js); requestAnimationFrame and performance.now() by default
+     * @param {Object} [options.input] - Pointer event source with `on(event, listener)`, emitting `pointermove` `{ x, y }`, `pointerdown`, `pointerup` and `pointerleave`
+     * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} [options.createCanvas] - Creates the sprite atlas canvas (OffscreenCanvas or a DOM canvas by default)
+     * @param {boolean} [options.autoStart=true] - Start the animation loop right away; when false, call start() or step with renderFrame()
+     * @param {number|string} [options.seed] - Seed for star generation; the same seed and options reproduce the same sky (random when omitted)
+     * @param {function(number): function(): number} [options.createRandom] - Factory returning a generator of numbers in [0, 1) for a seed (mulberry32 by default)
+     */
+    constructor(context, options = {}) {
+        this.ctx = context;
+        this.canvas = context.canvas;
+
+        // Initialize with default options
+        this.options = {
+            starCount: 500,
+            connectionDistance: 150,
+            // connectionOpacity: 0.2,
+            starColor: null, // null for random colors
+            background: {
+                color: '#000428',
+                opacity: 1
+            },
+            ellipseEnabled: false, // Default to original movement
+            highFidelity: false, // Sprite atlas by default, gradients when true
+            autoStart: true,
+            createRandom, // Seeded PRNG factory used for star generation
+            fixedTimestep: false, // Variable steps (one per frame) by default
+            timestep: REFERENCE_FRAME_MS,
+            ellipticalMovementRate: options.ellipticalMovementRate !== undefined ? options.ellipticalMovementRate : 0.1,
+            ...options
+        };
+
+        /** @type {number} Seed the star layout is generated from */
+        this.seed = normalizeSeed(this.options.seed ?? randomSeed());
+
+        /** @type {function(): number} Generator used while creating stars, reseeded on every generation */
+        this.random = this.options.createRandom(this.seed);
+
+        /** @type {function(): number} Generator for runtime events (blinks, meteors), reseeded with the stars */
+        this.eventRandom = this._createEventRandom();
+
+        /** @type {function(function(): number): {hue: number, saturation: number, lightness: number}} Samples a colour for each generated star */
+        this._colorModel = createStarColorModel(this.options.colors);
+
+        /** @type {{now: function(): number, requestFrame: function(Function): number, cancelFrame: function(number): void}} Frame clock */
+        this.clock = this.options.clock || browserClock;
+
+        // Store the parsed color values for performance
+        this._bgColor = this._parseColor(this.options.background.color);
+
+        /** @type {number} Device pixel ratio the canvas is rendered at (before quality scaling) */
+        this.pixelRatio = this._measureViewport().pixelRatio;
+
+        // Pre-rendered star glyphs used by the default (non high fidelity) render path
+        this.spriteAtlas = new SpriteAtlas({
+            pixelRatio: this.pixelRatio,
+            createCanvas: this.options.createCanvas
+        });
+
+        // State
+        /** @type {StarStore} Struct-of-arrays storage for every star */
+        this.store = new StarStore();
+
+        /** @type {Int32Array} Store indices of the stars updated and drawn at the current quality level */
+        this.activeIndices = new Int32Array(0);
+        this.activeCount = 0;
+        /** @type {Uint8Array} Whether each store index is active, rebuilt with the active set */
+        this._activeMask = new Uint8Array(0);
+
+        // Parallax offset of the nearest stars; each star moves by this times its depth
+        this.parallaxOffsetX = 0;
+        this.parallaxOffsetY = 0;
+
+        // Pointer position, null until the pointer is over the canvas
+        this.mouse = null;
+        this.animationId = null;
+        this.lastTime = 0;
+
+        // Simulation clock: time scale, pause, single steps and seeking
+        this.timeController = new TimeController({
+            timeScale: this.options.animationSpeed !== undefined ? this.options.animationSpeed : 1,
+            fixedTimestep: this.options.fixedTimestep,
+            timestep: this.options.timestep
+        });
+        this.timeController.on('seek', ({ time }) => this._handleSeek(time));
+        this._updateStarsStep = this.updateStars.bind(this);
+        this.fps = 0;
+        this.visibleConnections = 0;
+
+        // Spatial index over star positions, rebuilt every frame in updateStars()
+        this.spatialGrid = new SpatialGrid({ cellSize: 64 });
+
+        /** @type {number[]} Store indices of the stars within connection distance of the mouse */
+        this.pointerNeighbors = [];
+
+        /** @type {Star|null} Star currently under the pointer, if any */
+        this.hoveredStar = null;
+        this.hoverRadius = this.options.hoverRadius || 12;
+        // Set mouse connection settings from options or use defaults
+        this.mouseConnectionsEnabled = this.options.mouseConnectionsEnabled !== undefined
+            ? this.options.mouseConnectionsEnabled
+            : true; // Default to true if not specified
+
+        // Parallax configuration with defaults
+        this.parallaxConfig = {
+            enabled: true,
+            intensity: 0.2,
+            maxOffset: 100, // Max movement in pixels
+            ...options.parallax
+        };
+
+        // Star-to-star link configuration with defaults
+        this.starLinksConfig = {
+            enabled: false,
+            maxDistance: 80, // Max link length in pixels
+            maxLinksPerStar: 3,
+            withinPointerRadius: false, // Only link stars near the pointer
+            fadeDuration: 400, // Fade-in/out time in milliseconds
+            ...options.starLinks
+        };
+
+        // Star catalog mode: real stars projected from right ascension and declination
+        this.catalogConfig = {
+            enabled: false,
+            projection: 'stereographic',
+            centerRa: 0, // View centre right ascension in hours
+            centerDec: 0, // View centre declination in degrees
+            fieldOfView: 120, // Angle across the canvas width in degrees
+            magnitudeLimit: 6.5, // Faintest stars shown
+            ...options.catalog
+        };
+
+        /** @type {CatalogStar[]|null} Stars of the loaded catalog */
+        this.catalog = this.options.catalogStars || null;
+        this._projectedPoint = { x: 0, y: 0, visible: true };
+
+        // Observer mode: the sky above a place on Earth, turning with sidereal time
+        this.observerConfig = {
+            enabled: false,
+            latitude: 0, // Degrees, positive north
+            longitude: 0, // Degrees, positive east
+            time: null, // Date-time the sky starts at (ISO string or milliseconds); null for the current time
+            timeLapse: 1, // Sky seconds per simulation second
+            projection: 'stereographic',
+            azimuth: 180, // View direction in degrees from north through east
+            altitude: 45, // View elevation in degrees
+            fieldOfView: 120, // Angle across the canvas width in degrees
+            ...options.observer
+        };
+        this._horizontal = { azimuth: 0, altitude: 0 };
+        /** @type {{date: number, simulationTime: number}} Sky date (ms since the epoch) at a simulation time */
+        this._observerAnchor = { date: this._parseObserverTime(this.observerConfig.time), simulationTime: 0 };
+
+        // Constellation stick figures, anchored to catalog stars by id
+        this.constellations = new ConstellationOverlay(options.constellations);
+        this.constellations.setFigures(this.options.constellationFigures);
+
+        /** @type {Map<number, {a: number, b: number, alpha: number, active: boolean}>} Live links keyed by store index pair */
+        this.starLinks = new Map();
+        this._linkCounts = new Uint8Array(0);
+        this._linkDistSq = new Float32Array(0);
+        this._linkCandidates = [];
+        /** @type {number[]} Stars drawn within the pointer radius, when only they link up */
+        this._linkSources = [];
+
+        this.centerX = this.canvas.width / 2;
+        this.centerY = this.canvas.height / 2;
+
+        // Adaptive quality governor, fed with the FPS counter and frame work time
+        const quality = { adaptive: true, level: 0, targetFps: 50, ...options.quality };
+        this.qualityManager = new QualityManager({
+            targetFps: quality.targetFps,
+            pinnedLevel: quality.adaptive ? null : quality.level
+        });
+        this.qualityManager.on('levelchange', () => this._applyQuality());
+
+        // Shooting stars are meteor particles of their own, scheduled per starfield
+        this.meteors = new MeteorSystem(options.shootingStar, options.meteorShower);
+        this.comets = new CometSystem(options.comets);
+
+        // The pointer can pull stars around; they spring back to where their animation puts them
+        this.pointerPhysics = new PointerPhysics(options.pointerPhysics);
+
+        // Stars can drift along a curl-noise flow field, shaped by the seed in createStars()
+        this.flowField = new FlowField(options.flowField);
+
+        // Pointer input
+        this._inputSubscriptions = [];
+        if (this.options.input) {
+            this._inputSubscriptions.push(
+                this.options.input.on('pointermove', ({ x, y }) => this.setPointer(x, y)),
+                this.options.input.on('pointerdown', () => this.setPointerPressed(true)),
+                this.options.input.on('pointerup', () => this.setPointerPressed(false)),
+                this.options.input.on('pointerleave', () => this.clearPointer())
+            );
+        }
+
+        // Initialize
+        this.init();
+    }
+
+    /**
+     * Initialize the starfield by setting up the canvas, creating stars,
+     * and starting the animation loop.
+     * @returns {void}
+     */
+    init() {
+        // Set canvas size
+        this.resize();
+
+        // Create stars
+        this.createStars();
+
+        // Initialize FPS counter
+        this.fpsCounter = Utils.fpsCounter(this.clock.now());
+
+        /** @type {boolean} Whether the next frame is left out of the quality governor (after a resume or seek) */
+        this._skipQualityUpdate = false;
+
+        // Start animation loop
+        if (this.options.autoStart) {
+            this.start();
+        }
+    }
+
+    /**
+     * Create the generator used for runtime events.
+     * Derived from the seed, so a run driven with the same frame times replays exactly.
+     * @returns {function(): number} Generator returning numbers in [0, 1)
+     * @private
+     */
+    _createEventRandom() {
+        return this.options.createRandom((this.seed ^ 0x9e3779b9) >>> 0);
+    }
+
+    /**
+     * Create the generator star colours are sampled from. It is separate from
+     * the layout generator, so changing the colour model keeps the layout.
+     * @returns {function(): number} Generator returning numbers in [0, 1)
+     * @private
+     */
+    _createColorRandom() {
+        return this.options.createRandom((this.seed ^ 0x85ebca6b) >>> 0);
+    }
+
+    /**
+     * Whether stars drift along the flow field. A real sky (catalog or
+     * observer mode) stays where it is.
+     * @returns {boolean} True when the flow field moves the stars
+     * @private
+     */
+    _isFlowActive() {
+        return this.flowField.config.enabled && !this.observerConfig.enabled && !this.isCatalogActive();
+    }
+
+    /**
+     * Create the generator the flow field's noise is shuffled with, so the
+     * same seed gives the same currents without touching the other sequences.
+     * @returns {function(): number} Generator returning numbers in [0, 1)
+     * @private
+     */
+    _createFlowRandom() {
+        return this.options.createRandom((this.seed ^ 0xc2b2ae35) >>> 0);
+    }
+
+    /**
+     * Merge new values into the generation options.
+     * Options that shape the star population (star count, clusters, movement)
+     * take effect on the next createStars().
+     * @param {Object} options - Options to change (see the constructor)
+     * @returns {void}
+     */
+    setOptions(options) {
+        if (!options) return;
+        Object.assign(this.options, options);
+    }
+
+    /**
+     * Enable or disable the connection lines between the pointer and nearby stars
+     * @param {boolean} enabled - Whether to draw pointer connections
+     */
+    setMouseConnectionsEnabled(enabled) {
+        this.mouseConnectionsEnabled = !!enabled;
+    }
+
+    /**
+     * Set the colours of the connection lines
+     * @param {Object} colors - Colours to change
+     * @param {string} [colors.start] - CSS colour at the star end
+     * @param {string} [colors.end] - CSS colour at the pointer end
+     */
+    setConnectionColor(colors) {
+        this.options.connectionColor = {
+            ...this.options.connectionColor,
+            ...colors
+        };
+    }
+
+    /**
+     * Set the maximum distance for connecting stars
+     * @param {number} distance - The maximum connection distance in pixels
+     */
+    setConnectionDistance(distance) {
+        this.options.connectionDistance = Math.max(0, distance);
+    }
+
+    /**
+     * Enable or disable elliptical movement for stars
+     * @param {boolean} enabled - Whether elliptical movement is enabled globally
+     */
+    setEllipseMovement(enabled) {
+        this.options.ellipseEnabled = enabled;
+
+        // Only stars that were selected at creation move on an ellipse
+        const { ellipseSelected, ellipseEnabled } = this.store;
+        for (let i = 0; i < this.store.count; i++) {
+            ellipseEnabled[i] = enabled && ellipseSelected[i] ? 1 : 0;
+        }
+    }
+
+    /**
+     * Set the global animation speed multiplier
+     * @param {number} speed - Speed multiplier (0.0 to 5.0)
+     */
+    setAnimationSpeed(speed) {
+        // Clamped between 0 and 5 by the time controller
+        this.timeController.setTimeScale(speed);
+    }
+
+    /**
+     * Freeze simulated time. Rendering and pointer interaction keep running.
+     * @returns {void}
+     */
+    pauseSimulation() {
+        this.timeController.pause();
+    }
+
+    /**
+     * Let simulated time run again after pauseSimulation()
+     * @returns {void}
+     */
+    resumeSimulation() {
+        this.timeController.resume();
+    }
+
+    /**
+     * Toggle between paused and running simulated time
+     * @returns {boolean} Whether simulated time is now paused
+     */
+    toggleSimulation() {
+        return this.timeController.togglePause();
+    }
+
+    /**
+     * Advance simulated time by single frames, pausing it first if needed
+     * @param {number} [count=1] - Number of frames to advance
+     * @returns {void}
+     */
+    stepSimulation(count = 1) {
+        this.timeController.step(count);
+    }
+
+    /**
+     * Jump to a point in simulated time
+     * @param {number} time - Target simulation time in milliseconds
+     * @returns {void}
+     */
+    seekSimulation(time) {
+        this.timeController.seek(time);
+    }
+
+    /**
+     * Get the current simulation time
+     * @returns {number} Simulation time in milliseconds
+     */
+    getSimulationTime() {
+        return this.timeController.time;
+    }
+
+    /**
+     * Set the trail fade speed (how quickly trails disappear)
+     * @param {number} speed - Fade speed (0.0 to 1.0, where 1.0 is instant)
+     */
+    setTrailFadeSpeed(speed) {
+        // Clamp speed between 0.01 and 1.0
+        this.options.trailFadeSpeed = Math.max(0.01, Math.min(speed, 1.0));
+    }
+
+    /**
+     * Switch between variable (one per frame) and fixed simulation steps
+     * @param {boolean} enabled - Whether to advance the simulation in fixed steps
+     * @param {number} [timestep] - Length of a fixed step in milliseconds
+     */
+    setFixedTimestep(enabled, timestep) {
+        this.options.fixedTimestep = !!enabled;
+        this.timeController.setFixedTimestep(enabled, timestep);
+    }
+
+    /**
+     * Switch between the sprite atlas and the high fidelity gradient render path
+     * @param {boolean} enabled - Whether to draw stars with per-frame gradients
+     */
+    setHighFidelity(enabled) {
+        this.options.highFidelity = !!enabled;
+    }
+
+    /**
+     * Set the star movement speed multiplier
+     * @param {number} speed - Speed multiplier (0.0 to 2.0)
+     */
+    setStarMovementSpeed(speed) {
+        // Apply speed multiplier to the speed each star was created with
+        const { ellipseSpeed, baseEllipseSpeed } = this.store;
+        for (let i = 0; i < this.store.count; i++) {
+            ellipseSpeed[i] = baseEllipseSpeed[i] * speed;
+        }
+    }
+
+    /**
+     * Set the seed used by the next star generation.
+     * Call createStars() afterwards to regenerate the sky from it.
+     * @param {number|string} seed - New seed (numeric strings are parsed, other strings hashed)
+     * @returns {number} The normalized seed
+     */
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed);
+        return this.seed;
+    }
+
+    /**
+     * Create clusters of stars at random positions on the canvas.
+     * @param {number} count - Number of clusters to create
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {number} starsPerCluster - Number of stars per cluster
+     * @param {number} movementSpeed - Base movement speed multiplier
+     * @private
+     * @returns {void}
+     */
+    createClusters(count, width, height, starsPerCluster, movementSpeed) {
+        const { random } = this;
+        const clusters = [];
+        const padding = Math.min(width, height) * 0.1; // Keep clusters away from edges
+
+        // Create cluster centers
+        for (let i = 0; i < count; i++) {
+            clusters.push({
+                x: Utils.randomInRange(padding, width - padding, random),
+                y: Utils.randomInRange(padding, height - padding, random),
+                radius: Utils.randomInRange(30, 100, random)
+            });
+        }
+
+        // Create stars in clusters
+        clusters.forEach(cluster => {
+            for (let i = 0; i < starsPerCluster; i++) {
+                // Random position within cluster radius
+                const angle = random() * Math.PI * 2;
+                const distance = Math.pow(random(), 1.5) * cluster.radius;
+                const x = cluster.x + Math.cos(angle) * distance;
+                const y = cluster.y + Math.sin(angle) * distance;
+
+                // Create star with configurable movement
+                this.store.add(x, y, {
+                    size: Utils.randomInRange(0.5, 2.5, random),
+                    zIndex: random(),
+                    speed: Utils.randomInRange(0.05, 0.2, random) * movementSpeed, // Configurable movement speed
+                    amplitude: Utils.randomInRange(2, 10, random) * movementSpeed, // Configurable amplitude
+                    frequency: Utils.randomInRange(0.0003, 0.001, random) * movementSpeed, // Configurable frequency
+                    ellipseEnabled: this.options.ellipseEnabled, // Use global setting
+                    ellipticalMovementRate: this.options.ellipticalMovementRate, // Pass the elliptical movement rate
+                    ellipseRadiusX: Utils.randomInRange(10, 50, random) * (0.5 + random() * 1.5), // Random variation
+                    ellipseRadiusY: Utils.randomInRange(5, 30, random) * (0.5 + random() * 1.5), // Random variation
+                    ellipseSpeed: Utils.randomInRange(0.0005, 0.002, random) * movementSpeed * 4, // Speed based on movement speed
+                    ellipseRotation: random() * Math.PI * 2 // Random rotation
+                }, random);
+            }
+        });
+    }
+
+    /**
+     * Give every generated star its colour from the colour model, or the
+     * fixed star colour if one is set. A catalog sky keeps its own colours,
+     * whether or not its stars have ids. Colours are assigned in store order
+     * from a freshly seeded generator, so recolouring gives the same result as
+     * regenerating.
+     * @private
+     * @returns {void}
+     */
+    _colorStars() {
+        if (this.isCatalogActive()) return;
+
+        const { store } = this;
+        const { starColor } = this.options;
+        const { hue, saturation, lightness, baseLightness } = store;
+        const random = this._createColorRandom();
+
+        for (let i = 0; i < store.count; i++) {
+            const color = starColor || this._colorModel(random);
+            hue[i] = color.hue ?? hue[i];
+            saturation[i] = color.saturation ?? saturation[i];
+            lightness[i] = color.lightness ?? lightness[i];
+            baseLightness[i] = lightness[i];
+        }
+    }
+
+    /**
+     * Change the star colour settings and recolour the generated stars.
+     * @param {Object} colors - Colour settings to merge into the current ones (see utils/starColors.js)
+     * @returns {void}
+     */
+    setStarColors(colors) {
+        this.options.colors = { ...this.options.colors, ...colors };
+        this._colorModel = createStarColorModel(this.options.colors);
+        this._colorStars();
+    }
+
+    /**
+     * Create and distribute stars across the canvas.
+     * Creates both clustered and randomly distributed stars based on configuration.
+     * @private
+     * @returns {void}
+     */
+    createStars() {
+        const { starCount } = this.options;
+        const { viewWidth: width, viewHeight: height } = this;
+        const catalogStars = this.isCatalogActive() ? this._selectCatalogStars() : null;
+
+        // Replace the previous population; its arrays are released as a whole
+        this.store.allocate(catalogStars ? catalogStars.length : starCount);
+
+        // Restart the sequence so the same seed always produces the same sky
+        this.random = this.options.createRandom(this.seed);
+        this.eventRandom = this._createEventRandom();
+        const { random } = this;
+
+        // Links reference stars by index, so they can't survive a regeneration
+        this.starLinks.clear();
+
+        // Meteors and comets in flight belong to the previous sky; the new stars start at rest
+        this.meteors.reset();
+        this.comets.reset();
+        this.pointerPhysics.reset();
+        this.flowField.reset();
+        this.flowField.reseed(this._createFlowRandom());
+
+        // Catalog mode replaces the procedural sky
+        if (catalogStars) {
+            this._addCatalogStars(catalogStars);
+            this.store.sortByDepth();
+            this.constellations.indexStars(this.store);
+            this._projectSky();
+            return;
+        }
+
+        // Get configuration values from main.js or use defaults
+        const starMovementSpeed = this.options.starMovementSpeed !== undefined ? this.options.starMovementSpeed : 0.5;
+        const maxStarsPerCluster = this.options.maxStarsPerCluster !== undefined ? this.options.maxStarsPerCluster : 25;
+        const clusterCount = this.options.clusterCount !== undefined ? this.options.clusterCount : 5;
+
+        // Create clustered or distributed stars based on clusterEnabled flag
+        let remainingStars = starCount;
+
+        if (this.options.clustersEnabled !== false) {
+            // Only create clusters if clustering is enabled
+            const clusteredStars = Math.floor(starCount * 0.2);
+            const starsPerCluster = Math.min(Math.floor(clusteredStars / clusterCount), maxStarsPerCluster);
+            this.createClusters(clusterCount, width, height, starsPerCluster, starMovementSpeed);
+            remainingStars = starCount - (clusterCount * starsPerCluster);
+        }
+        for (let i = 0; i < remainingStars; i++) {
+            // Distribute some stars more towards the edges
+            let x, y;
+            if (random() > 0.7) {
+                // Place near edges
+                const edge = Math.floor(random() * 4);
+                const pos = random();
+                if (edge === 0) { // Top
+                    x = width * pos;
+                    y = random() * height * 0.2;
+                } else if (edge === 1) { // Right
+                    x = width - random() * width * 0.2;
+                    y = height * pos;
+                } else if (edge === 2) { // Bottom
+                    x = width * pos;
+                    y = height - random() * height * 0.2;
+                } else { // Left
+                    x = random() * width * 0.2;
+                    y = height * pos;
+                }
+            } else {
+                // Random position in the canvas
+                x = Utils.randomInRange(0, width, random);
+                y = Utils.randomInRange(0, height, random);
+            }
+
+            // Create star with configurable movement speed
+            this.store.add(x, y, {
+                size: Utils.randomInRange(0.3, 2.0, random), // Smaller range for distributed stars
+                zIndex: random(),
+                speed: Utils.randomInRange(0.02, 0.15, random) * starMovementSpeed, // Configurable movement speed
+                amplitude: Utils.randomInRange(1, 6, random) * starMovementSpeed, // Configurable amplitude
+                frequency: Utils.randomInRange(0.0001, 0.0008, random) * starMovementSpeed, // Configurable frequency
+                ellipticalMovementRate: this.options.ellipticalMovementRate, // Pass the elliptical movement rate
+                ellipseEnabled: this.options.ellipseEnabled, // Use global setting
+                ellipseRadiusX: Utils.randomInRange(10, 50, random) * (0.5 + random() * 1.5), // Random variation
+                ellipseRadiusY: Utils.randomInRange(5, 30, random) * (0.5 + random() * 1.5), // Random variation
+                ellipseSpeed: Utils.randomInRange(0.0005, 0.002, random) * starMovementSpeed * 4, // Speed based on movement speed
+                ellipseRotation: random() * Math.PI * 2 // Random rotation
+            }, random);
+        }
+
+        // Observer mode needs sky coordinates for the generated stars too
+        if (this.observerConfig.enabled) {
+            this._scatterOnSphere();
+        }
+
+        // Sort by z-index for proper layering
+        this.store.sortByDepth();
+        this.constellations.indexStars(this.store);
+        this._colorStars();
+
+        if (this.observerConfig.enabled) {
+            this._projectSky();
+        } else {
+            this._updateActiveStars();
+        }
+    }
+
+    /**
+     * Whether the sky is built from the star catalog.
+     * @returns {boolean} True if catalog mode is enabled and a catalog is loaded
+     */
+    isCatalogActive() {
+        return this.catalogConfig.enabled && !!this.catalog && this.catalog.length > 0;
+    }
+
+    /**
+     * Replace the star catalog. Regenerates the sky when catalog mode is enabled.
+     * @param {CatalogStar[]|null} stars - Catalog stars (see utils/catalog.js), or null to unload
+     * @returns {void}
+     */
+    setCatalog(stars) {
+        this.catalog = stars && stars.length ? stars : null;
+        if (this.catalogConfig.enabled) {
+            this.createStars();
+        }
+    }
+
+    /**
+     * Set star catalog configuration
+     * @param {Object} config - Catalog configuration
+     * @param {boolean} [config.enabled] - Build the sky from the catalog instead of procedurally
+     * @param {string} [config.projection] - Projection name (see utils/projection.js PROJECTIONS)
+     * @param {number} [config.centerRa] - Right ascension of the view centre in hours
+     * @param {number} [config.centerDec] - Declination of the view centre in degrees
+     * @param {number} [config.fieldOfView] - Angle across the canvas width in degrees
+     * @param {number} [config.magnitudeLimit] - Faintest magnitude shown
+     */
+    setCatalogConfig(config) {
+        const wasActive = this.isCatalogActive();
+        let regenerate = false;
+
+        if (config.enabled !== undefined) {
+            this.catalogConfig.enabled = !!config.enabled;
+        }
+        if (config.projection !== undefined && PROJECTIONS.includes(config.projection)) {
+            this.catalogConfig.projection = config.projection;
+        }
+        if (config.centerRa !== undefined) {
+            this.catalogConfig.centerRa = ((config.centerRa % 24) + 24) % 24;
+        }
+        if (config.centerDec !== undefined) {
+            this.catalogConfig.centerDec = Math.max(-90, Math.min(90, config.centerDec));
+        }
+        if (config.fieldOfView !== undefined) {
+            this.catalogConfig.fieldOfView = Math.max(1, Math.min(360, config.fieldOfView));
+        }
+        if (config.magnitudeLimit !== undefined && config.magnitudeLimit !== this.catalogConfig.magnitudeLimit) {
+            this.catalogConfig.magnitudeLimit = config.magnitudeLimit;
+            regenerate = true;
+        }
+
+        if (this.isCatalogActive() !== wasActive || (regenerate && wasActive)) {
+            this.createStars();
+        } else if (wasActive && !this.observerConfig.enabled) {
+            this._projectCatalog();
+        }
+    }
+
+    /**
+     * Replace the constellation figures drawn over catalog stars.
+     * @param {ConstellationFigure[]|null} figures - Figures (see utils/constellations.js), or null to remove them
+     * @returns {void}
+     */
+    setConstellations(figures) {
+        this.constellations.setFigures(figures);
+    }
+
+    /**
+     * Set constellation overlay configuration
+     * @param {Object} config - Overlay configuration (see ConstellationOverlay.setConfig)
+     * @returns {void}
+     */
+    setConstellationConfig(config) {
+        this.constellations.setConfig(config);
+    }
+
+    /**
+     * Catalog stars bright enough to be shown.
+     * @private
+     * @returns {CatalogStar[]} Stars within the magnitude limit
+     */
+    _selectCatalogStars() {
+        const { magnitudeLimit } = this.catalogConfig;
+        return this.catalog.filter(star =>
+            star.magnitude >= BRIGHTEST_MAGNITUDE && star.magnitude <= magnitudeLimit);
+    }
+
+    /**
+     * Add catalog stars to the store, sized by magnitude and coloured by B−V index.
+     * Positions are filled in by _projectCatalog().
+     * @param {CatalogStar[]} stars - Stars to add
+     * @private
+     * @returns {void}
+     */
+    _addCatalogStars(stars) {
+        const { store, random } = this;
+        const { magnitudeLimit } = this.catalogConfig;
+        const range = Math.max(0.1, magnitudeLimit - BRIGHTEST_MAGNITUDE);
+
+        stars.forEach(star => {
+            // 1 for the brightest stars in the sky, 0 at the magnitude limit
+            const brightness = Math.max(0, Math.min(1, (magnitudeLimit - star.magnitude) / range));
+
+            const index = store.add(0, 0, {
+                size: 0.4 + Math.pow(brightness, 1.5) * 3,
+                amplitude: 0, // Catalog stars stay at their sky position
+                frequency: 0,
+                ellipticalMovementRate: 0
+            }, random);
+
+            // Draw bright stars on top
+            store.zIndex[index] = brightness;
+
+            // Physical colour from the colour index; white when unknown
+            if (star.colorIndex !== null) {
+                const color = temperatureToStarColor(colorIndexToTemperature(star.colorIndex));
+                store.hue[index] = color.hue;
+                store.saturation[index] = color.saturation;
+                store.lightness[index] = color.lightness;
+            } else {
+                store.hue[index] = 0;
+                store.saturation[index] = 0;
+                store.lightness[index] = 90;
+            }
+            store.baseLightness[index] = store.lightness[index];
+            store.alpha[index] = 0.45 + 0.55 * brightness;
+            store.baseAlpha[index] = store.alpha[index];
+
+            store.catalogId[index] = star.id !== null ? star.id : -1;
+            store.ra[index] = star.ra;
+            store.dec[index] = star.dec;
+            store.magnitude[index] = star.magnitude;
+        });
+    }
+
+    /**
+     * Place catalog stars on the canvas with the configured projection.
+     * Stars the projection can't show, or that fall well outside the canvas,
+     * are hidden.
+     * @private
+     * @returns {void}
+     */
+    _projectCatalog() {
+        const { store, viewWidth: width, viewHeight: height } = this;
+        const { projection, centerRa, centerDec, fieldOfView } = this.catalogConfig;
+        const { x, y, originX, originY, ra, dec, hidden } = store;
+        const point = this._projectedPoint;
+
+        const ra0 = centerRa * Math.PI / 12;
+        const dec0 = Utils.toRadians(centerDec);
+        // Fit the field of view to the canvas width
+        const scale = (width / 2) / projectedRadius(projection, Utils.toRadians(fieldOfView) / 2);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        // Keep stars that parallax can bring into view
+        const margin = this.parallaxConfig.maxOffset;
+
+        for (let i = 0; i < store.count; i++) {
+            project(projection, ra[i], dec[i], ra0, dec0, point);
+
+            // Looking up at the sky, east (increasing right ascension) is on the left
+            const px = centerX - point.x * scale;
+            const py = centerY - point.y * scale;
+
+            originX[i] = x[i] = px;
+            originY[i] = y[i] = py;
+            hidden[i] = point.visible &&
+                px >= -margin && px <= width + margin &&
+                py >= -margin && py <= height + margin ? 0 : 1;
+        }
+
+        this._updateActiveStars();
+    }
+
+    /**
+     * Set observer sky configuration.
+     * The sky date advances with the simulation clock, so pausing, seeking and
+     * the animation speed apply to it as well as the time-lapse factor.
+     * @param {Object} config - Observer configuration
+     * @param {boolean} [config.enabled] - Show the sky above the observer, turning with sidereal time
+     * @param {number} [config.latitude] - Observer latitude in degrees, positive north
+     * @param {number} [config.longitude] - Observer longitude in degrees, positive east
+     * @param {string|number|null} [config.time] - Date-time to show (ISO string or milliseconds since the epoch), or null for now
+     * @param {number} [config.timeLapse] - Sky seconds per simulation second
+     * @param {string} [config.projection] - Projection name (see utils/projection.js PROJECTIONS)
+     * @param {number} [config.azimuth] - View direction in degrees from north through east
+     * @param {number} [config.altitude] - View elevation in degrees
+     * @param {number} [config.fieldOfView] - Angle across the canvas width in degrees
+     * @returns {void}
+     */
+    setObserverConfig(config) {
+        const { observerConfig } = this;
+        const wasEnabled = observerConfig.enabled;
+        const simulationTime = this.timeController.time;
+
+        if (config.enabled !== undefined) {
+            observerConfig.enabled = !!config.enabled;
+        }
+        if (config.latitude !== undefined) {
+            observerConfig.latitude = Math.max(-90, Math.min(90, config.latitude));
+        }
+        if (config.longitude !== undefined) {
+            observerConfig.longitude = ((config.longitude + 180) % 360 + 360) % 360 - 180;
+        }
+        if (config.projection !== undefined && PROJECTIONS.includes(config.projection)) {
+            observerConfig.projection = config.projection;
+        }
+        if (config.azimuth !== undefined) {
+            observerConfig.azimuth = ((config.azimuth % 360) + 360) % 360;
+        }
+        if (config.altitude !== undefined) {
+            observerConfig.altitude = Math.max(-90, Math.min(90, config.altitude));
+        }
+        if (config.fieldOfView !== undefined) {
+            observerConfig.fieldOfView = Math.max(1, Math.min(360, config.fieldOfView));
+        }
+
+        // Restart the sky clock from the new time, or carry on from the current sky date at the new rate
+        if (config.time !== undefined) {
+            observerConfig.time = config.time;
+            this._observerAnchor = { date: this._parseObserverTime(config.time), simulationTime };
+        }
+        if (config.timeLapse !== undefined && config.timeLapse !== observerConfig.timeLapse) {
+            if (config.time === undefined) {
+                this._observerAnchor = { date: this._observerTime(simulationTime), simulationTime };
+            }
+            observerConfig.timeLapse = Math.max(0, config.timeLapse);
+        }
+
+        if (observerConfig.enabled !== wasEnabled) {
+            // Generated stars need sky coordinates, and leaving the mode restores the regular layout
+            this.createStars();
+        } else if (observerConfig.enabled) {
+            this._projectSky();
+        }
+    }
+
+    /**
+     * Get the date and time the observer sky shows.
+     * @returns {Date} Current sky date
+     */
+    getObserverDate() {
+        return new Date(this._observerTime(this.timeController.time));
+    }
+
+    /**
+     * Read an observer start time.
+     * @param {string|number|null} time - ISO date-time or milliseconds since the epoch; null for now
+     * @returns {number} Milliseconds since the epoch (now if the time can't be read)
+     * @private
+     */
+    _parseObserverTime(time) {
+        if (time === null || time === undefined || time === '') return Date.now();
+
+        const ms = typeof time === 'number' ? time : Date.parse(time);
+        if (!Number.isFinite(ms)) {
+            console.error(`Invalid observer time: ${time}`);
+            return Date.now();
+        }
+        return ms;
+    }
+
+    /**
+     * Sky date at a simulation time.
+     * @param {number} time - Simulation time in milliseconds
+     * @returns {number} Milliseconds since the epoch
+     * @private
+     */
+    _observerTime(time) {
+        const { date, simulationTime } = this._observerAnchor;
+        return date + (time - simulationTime) * this.observerConfig.timeLapse;
+    }
+
+    /**
+     * Give the generated stars random positions on the celestial sphere,
+     * spread evenly over its area, for observer mode.
+     * @private
+     * @returns {void}
+     */
+    _scatterOnSphere() {
+        const { store, random } = this;
+        for (let i = 0; i < store.count; i++) {
+            store.ra[i] = random() * Math.PI * 2;
+            store.dec[i] = Math.asin(random() * 2 - 1);
+        }
+    }
+
+    /**
+     * Place stars with sky coordinates on the canvas: the observer's view in
+     * observer mode, the catalog view otherwise.
+     * @private
+     * @returns {void}
+     */
+    _projectSky() {
+        if (this.observerConfig.enabled) {
+            this._projectObserverSky(this.timeController.time);
+            this._updateActiveStars();
+        } else {
+            this._projectCatalog();
+        }
+    }
+
+    /**
+     * Place stars where the observer sees them at a simulation time.
+     * Stars below the horizon, outside the projection or well outside the
+     * canvas are hidden; the active set is only rebuilt when that changes.
+     * @param {number} time - Simulation time in milliseconds
+     * @private
+     * @returns {void}
+     */
+    _projectObserverSky(time) {
+        const { store, viewWidth: width, viewHeight: height } = this;
+        const { latitude, longitude, projection, azimuth, altitude, fieldOfView } = this.observerConfig;
+        const { x, y, originX, originY, ra, dec, hidden } = store;
+        const point = this._projectedPoint;
+        const horizontal = this._horizontal;
+
+        const siderealTime = localSiderealTime(this._observerTime(time), Utils.toRadians(longitude));
+        const latitudeRad = Utils.toRadians(latitude);
+        const azimuth0 = Utils.toRadians(azimuth);
+        const altitude0 = Utils.toRadians(altitude);
+        // Fit the field of view to the canvas width
+        const scale = (width / 2) / projectedRadius(projection, Utils.toRadians(fieldOfView) / 2);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        // Keep stars that parallax can bring into view
+        const margin = this.parallaxConfig.maxOffset;
+        let visibilityChanged = false;
+
+        for (let i = 0; i < store.count; i++) {
+            equatorialToHorizontal(ra[i], dec[i], siderealTime, latitudeRad, horizontal);
+            project(projection, horizontal.azimuth, horizontal.altitude, azimuth0, altitude0, point);
+
+            // Facing the sky from the ground, azimuth increases to the right
+            const px = centerX + point.x * scale;
+            const py = centerY - point.y * scale;
+
+            originX[i] = x[i] = px;
+            originY[i] = y[i] = py;
+
+            const isHidden = horizontal.altitude >= 0 && point.visible &&
+                px >= -margin && px <= width + margin &&
+                py >= -margin && py <= height + margin ? 0 : 1;
+            if (hidden[i] !== isHidden) {
+                hidden[i] = isHidden;
+                visibilityChanged = true;
+            }
+        }
+
+        if (visibilityChanged) {
+            this._updateActiveStars();
+        }
+    }
+
+    /**
+     * Pick the stars that are updated and drawn at the current quality level.
+     * Stars are dropped by their random LOD rank, so thinning stays uniform.
+     * Hidden stars (outside the sky projection or below the horizon) are never active.
+     * @private
+     * @returns {void}
+     */
+    _updateActiveStars() {
+        const { starFraction } = this.qualityManager.settings;
+        const { count, lodRank, hidden } = this.store;
+
+        if (this.activeIndices.length < count) {
+            this.activeIndices = new Int32Array(count);
+        }
+
+        if (this._activeMask.length < count) {
+            this._activeMask = new Uint8Array(count);
+        }
+        const activeMask = this._activeMask;
+
+        let activeCount = 0;
+        for (let i = 0; i < count; i++) {
+            const isActive = !hidden[i] && (starFraction >= 1 || lodRank[i] < starFraction);
+            activeMask[i] = isActive ? 1 : 0;
+            if (isActive) {
+                this.activeIndices[activeCount++] = i;
+            }
+        }
+        this.activeCount = activeCount;
+
+        // Drop the links and pointer neighbours of stars that are no longer active;
+        // the rest keep their fade, so links don't flicker as stars rise and set
+        this.starLinks.forEach((link, key) => {
+            if (!activeMask[link.a] || !activeMask[link.b]) this.starLinks.delete(key);
+        });
+        let neighborCount = 0;
+        this.pointerNeighbors.forEach(index => {
+            if (activeMask[index]) this.pointerNeighbors[neighborCount++] = index;
+        });
+        this.pointerNeighbors.length = neighborCount;
+    }
+
+    /**
+     * Count the stars that are active at a given star fraction.
+     * @param {number} starFraction - Share of stars kept (0-1)
+     * @private
+     * @returns {number} Number of active stars
+     */
+    _countActiveStars(starFraction) {
+        const { count, lodRank, hidden } = this.store;
+
+        let activeCount = 0;
+        for (let i = 0; i < count; i++) {
+            if (!hidden[i] && (starFraction >= 1 || lodRank[i] < starFraction)) activeCount++;
+        }
+        return activeCount;
+    }
+
+    /**
+     * Apply the settings of the active quality level.
+     * @private
+     * @returns {void}
+     */
+    _applyQuality() {
+        const settings = this.qualityManager.settings;
+
+        this.spriteAtlas.setGlowLayers(settings.glowLayers);
+
+        if (this._countActiveStars(settings.starFraction) !== this.activeCount) {
+            this._updateActiveStars();
+        }
+
+        if (settings.resolutionScale !== this._resolutionScale) {
+            this._applyResolution();
+        }
+    }
+
+    /**
+     * Pin the quality to a fixed level, or return to adaptive quality.
+     * @param {number|null} level - Quality level (0 is best), or null for adaptive
+     */
+    setQualityLevel(level) {
+        if (level === null || level === undefined) {
+            this.qualityManager.unpin();
+        } else {
+            this.qualityManager.pin(level);
+        }
+    }
+
+    /**
+     * Set the frame rate the adaptive quality governor tries to maintain
+     * @param {number} fps - Target frames per second
+     */
+    setTargetFps(fps) {
+        this.qualityManager.setTargetFps(fps);
+    }
+
+
+    /**
+     * Update parallax positions based on mouse movement
+     * @private
+     * @returns {void}
+     */
+    updateParallaxPositions() {
+        if (!this.mouse || !this.parallaxConfig.enabled) {
+            // Reset parallax positions when disabled
+            this.parallaxOffsetX = 0;
+            this.parallaxOffsetY = 0;
+            return;
+        }
+
+        // Calculate base movement based on mouse position and intensity.
+        // Each star is offset by this times its depth when drawn (deeper stars move less)
+        this.parallaxOffsetX = this.mouse.normX * this.parallaxConfig.intensity * this.parallaxConfig.maxOffset;
+        this.parallaxOffsetY = this.mouse.normY * this.parallaxConfig.intensity * this.parallaxConfig.maxOffset;
+    }
+
+    /**
+     * Set parallax effect configuration
+     * @param {Object} config - Parallax configuration
+     * @param {boolean} [config.enabled] - Whether parallax effect is enabled
+     * @param {number} [config.intensity] - Intensity of the parallax effect (0-1)
+     * @param {number} [config.maxOffset] - Maximum movement in pixels
+     */
+    setParallaxConfig(config) {
+        if (config.enabled !== undefined) {
+            this.parallaxConfig.enabled = config.enabled;
+        }
+        if (config.intensity !== undefined) {
+            this.parallaxConfig.intensity = Math.max(0, Math.min(1, config.intensity));
+        }
+        if (config.maxOffset !== undefined) {
+            this.parallaxConfig.maxOffset = Math.max(0, config.maxOffset);
+        }
+    }
+
+    /**
+     * Enable or disable the parallax effect
+     * @param {boolean} enabled - Whether to enable the parallax effect
+     */
+    setParallaxEnabled(enabled) {
+        this.parallaxConfig.enabled = enabled;
+        if (!enabled) {
+            // Reset parallax positions when disabling
+            this.parallaxOffsetX = 0;
+            this.parallaxOffsetY = 0;
+        }
+    }
+
+    /**
+     * Set star-to-star link configuration
+     * @param {Object} config - Star link configuration
+     * @param {boolean} [config.enabled] - Whether stars link to each other
+     * @param {number} [config.maxDistance] - Maximum link length in pixels
+     * @param {number} [config.maxLinksPerStar] - Maximum number of links per star
+     * @param {boolean} [config.withinPointerRadius] - Only link stars within the pointer connection radius
+     * @param {number} [config.fadeDuration] - Fade-in/out time of a link in milliseconds
+     */
+    setStarLinksConfig(config) {
+        if (config.enabled !== undefined) {
+            this.starLinksConfig.enabled = config.enabled;
+            if (!config.enabled) {
+                this.starLinks.clear();
+            }
+        }
+        if (config.maxDistance !== undefined) {
+            this.starLinksConfig.maxDistance = Math.max(0, config.maxDistance);
+        }
+        if (config.maxLinksPerStar !== undefined) {
+            this.starLinksConfig.maxLinksPerStar = Math.max(1, Math.min(255, Math.round(config.maxLinksPerStar)));
+        }
+        if (config.withinPointerRadius !== undefined) {
+            this.starLinksConfig.withinPointerRadius = config.withinPointerRadius;
+        }
+        if (config.fadeDuration !== undefined) {
+            this.starLinksConfig.fadeDuration = Math.max(0, config.fadeDuration);
+        }
+    }
+
+    /**
+     * Work out which stars should be linked this frame and advance link fades.
+     * Each star links to its nearest neighbours (found through the spatial grid)
+     * until either end of a link runs out of link slots. Links that are no longer
+     * wanted fade out instead of disappearing.
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @private
+     * @returns {void}
+     */
+    updateStarLinks(deltaTime) {
+        const { maxDistance, maxLinksPerStar, withinPointerRadius, fadeDuration } = this.starLinksConfig;
+        const { store, starLinks } = this;
+        const { x: xs, y: ys } = store;
+        const count = store.count;
+
+        if (this._linkCounts.length < count) {
+            this._linkCounts = new Uint8Array(count);
+            this._linkDistSq = new Float32Array(count);
+        } else {
+            this._linkCounts.fill(0);
+        }
+        const linkCounts = this._linkCounts;
+        const candidateDistSq = this._linkDistSq;
+        const byDistance = (p, q) => candidateDistSq[p] - candidateDistSq[q];
+
+        starLinks.forEach(link => {
+            link.active = false;
+        });
+
+        // Restricted to the pointer radius: only stars drawn near the mouse link up.
+        // Stars are drawn shifted by parallax, so they are tested where they appear
+        const { parallaxDepth } = store;
+        const { parallaxOffsetX, parallaxOffsetY } = this;
+        const { connectionDistance } = this.options;
+        const pointerRadiusSq = connectionDistance * connectionDistance;
+        const isNearPointer = (j) => {
+            const dx = xs[j] + parallaxOffsetX * parallaxDepth[j] - this.mouse.x;
+            const dy = ys[j] + parallaxOffsetY * parallaxDepth[j] - this.mouse.y;
+            return dx * dx + dy * dy <= pointerRadiusSq;
+        };
+
+        let sources = null;
+        if (withinPointerRadius) {
+            sources = this._linkSources;
+            sources.length = 0;
+            if (this.mouse) {
+                // Search the unshifted grid around the pointer less the offset of a mid-depth
+                // star (depths run 0.5-1), wide enough for the nearest and farthest ones
+                const offset = Math.hypot(parallaxOffsetX, parallaxOffsetY);
+                this.spatialGrid.forEachInRadius(
+                    this.mouse.x - parallaxOffsetX * 0.75,
+                    this.mouse.y - parallaxOffsetY * 0.75,
+                    connectionDistance + offset * 0.25,
+                    (j) => {
+                        if (isNearPointer(j)) sources.push(j);
+                    }
+                );
+            }
+        }
+
+        const candidates = this._linkCandidates;
+        const sourceCount = sources ? sources.length : this.activeCount;
+
+        for (let s = 0; s < sourceCount; s++) {
+            const i = sources ? sources[s] : this.activeIndices[s];
+            if (linkCounts[i] >= maxLinksPerStar) continue;
+
+            // Nearest neighbours first
+            candidates.length = 0;
+            this.spatialGrid.forEachInRadius(xs[i], ys[i], maxDistance, (j, distSq) => {
+                if (j === i) return;
+                candidateDistSq[j] = distSq;
+                candidates.push(j);
+            });
+            candidates.sort(byDistance);
+
+            for (let k = 0; k < candidates.length && linkCounts[i] < maxLinksPerStar; k++) {
+                const j = candidates[k];
+                if (linkCounts[j] >= maxLinksPerStar) continue;
+                if (sources && !isNearPointer(j)) continue;
+
+                const a = Math.min(i, j);
+                const b = Math.max(i, j);
+                const key = a * count + b;
+                let link = starLinks.get(key);
+                if (link && link.active) continue;
+                if (!link) {
+                    link = { a, b, alpha: 0, active: false };
+                    starLinks.set(key, link);
+                }
+                link.active = true;
+                linkCounts[i]++;
+                linkCounts[j]++;
+            }
+        }
+
+        // Fade links towards their target visibility
+        const fadeStep = fadeDuration > 0 ? deltaTime / fadeDuration : 1;
+        starLinks.forEach((link, key) => {
+            if (link.active) {
+                link.alpha = Math.min(1, link.alpha + fadeStep);
+            } else {
+                link.alpha -= fadeStep;
+                if (link.alpha <= 0) starLinks.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Draw the star-to-star links using the connection colours and opacity.
+     * @private
+     * @returns {void}
+     */
+    drawStarLinks() {
+        if (!this.starLinks.size) return;
+
+        const ctx = this.ctx;
+        const { maxDistance } = this.starLinksConfig;
+        const { connectionGradients } = this.qualityManager.settings;
+        const startColor = this.options.connectionColor?.start || '#e0ebee';
+        const endColor = this.options.connectionColor?.end || '#044b16';
+        const connectionOpacity = this.options.connectionColor?.opacity || 0.2;
+
+        const { x: xs, y: ys, parallaxDepth } = this.store;
+        const { parallaxOffsetX, parallaxOffsetY } = this;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        this.starLinks.forEach(link => {
+            // Join the stars where they are drawn, parallax included
+            const ax = xs[link.a] + parallaxOffsetX * parallaxDepth[link.a];
+            const ay = ys[link.a] + parallaxOffsetY * parallaxDepth[link.a];
+            const bx = xs[link.b] + parallaxOffsetX * parallaxDepth[link.b];
+            const by = ys[link.b] + parallaxOffsetY * parallaxDepth[link.b];
+
+            // Links thin out as their stars drift apart, on top of the fade
+            const dist = Utils.distance(ax, ay, bx, by);
+            const distanceRatio = Math.max(0, 1 - dist / maxDistance);
+            const opacity = distanceRatio * link.alpha * connectionOpacity;
+            if (opacity <= 0.001) return;
+
+            if (connectionGradients) {
+                const gradient = ctx.createLinearGradient(ax, ay, bx, by);
+                gradient.addColorStop(0, this._applyOpacityToColor(startColor, opacity));
+                gradient.addColorStop(1, this._applyOpacityToColor(endColor, opacity));
+                ctx.strokeStyle = gradient;
+            } else {
+                ctx.strokeStyle = this._applyOpacityToColor(startColor, opacity);
+            }
+
+            ctx.beginPath();
+            ctx.moveTo(ax, ay);
+            ctx.lineTo(bx, by);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Advance the simulation by a frame's worth of real time.
+     * The time controller scales the time, holds it back while paused and
+     * decides whether the stars advance once or in fixed steps.
+     * @param {number} deltaTime - Real time since last frame in milliseconds
+     * @private
+     * @returns {void}
+     */
+    advanceSimulation(deltaTime) {
+        this.timeController.tick(deltaTime, this._updateStarsStep);
+    }
+
+    /**
+     * Bring transient star state in line with a jump in simulated time.
+     * Floating, pulsing and elliptical motion follow the clock on their own;
+     * meteors, comets, stirred-up swirls, blinks and size changes in progress
+     * are ended. Drift along the flow field is integrated, so it stays where it is.
+     * @param {number} time - New simulation time in milliseconds
+     * @private
+     * @returns {void}
+     */
+    _handleSeek(time) {
+        const { store } = this;
+        for (let i = 0; i < store.count; i++) {
+            store.blinking[i] = 0;
+            store.lightness[i] = store.baseLightness[i];
+            store.alpha[i] = store.baseAlpha[i];
+            store.lastSizeChange[i] = time;
+        }
+
+        this.meteors.reset();
+        this.comets.reset();
+        this.flowField.reset();
+
+        // Show the new moment right away, even while paused
+        this.updateStars(time, 0);
+
+        // The jump makes the next frame unusually expensive
+        this._skipQualityUpdate = true;
+    }
+
+    /**
+     * Update all stars' positions and states based on the simulation time.
+     * Floating, pulsing, elliptical and sidereal motion are closed-form functions of time,
+     * so seeking to any moment is exact. Blinking and size variation keep
+     * per-star state in the store and are integrated over the elapsed
+     * time, so motion doesn't depend on the frame rate. Meteors move on the
+     * same clock.
+     * @param {number} time - Simulation time in milliseconds
+     * @param {number} deltaTime - Time since the previous update in milliseconds
+     * @private
+     * @returns {void}
+     */
+    updateStars(time, deltaTime) {
+        // The observer sky turns with sidereal time; this may change which stars are active
+        const fixedToSky = this.observerConfig.enabled;
+        if (fixedToSky) {
+            this._projectObserverSky(time);
+        }
+
+        const { store, activeIndices, activeCount, eventRandom } = this;
+        const {
+            x, y, originX, originY, size, currentSize,
+            lightness, alpha, baseLightness, baseAlpha,
+            amplitude, frequency, phase,
+            pulseAmount, pulsePeriod, pulsePhase,
+            sizeMultiplier, targetSizeMultiplier, lastSizeChange, sizeChangeInterval,
+            ellipseEnabled, ellipseRadiusX, ellipseRadiusY, ellipseSpeed, ellipseAngle, ellipseRotation,
+            blinking, blinkStart, blinkDuration,
+            displacementX, displacementY
+        } = store;
+
+        // Drift along the flow field
+        if (this._isFlowActive()) {
+            this.flowField.update(time, this.viewWidth, this.viewHeight, this.mouse);
+            this.flowField.advect(store, activeIndices, activeCount, deltaTime, this.viewWidth, this.viewHeight);
+        }
+
+        // Terms shared by every star this frame
+        const floatTime = time * 0.0005;
+        // Integral of the ellipse speed variation (1 + 0.2 * sin(0.001 * t)), in reference frames
+        const ellipseTime = (time - 200 * Math.cos(time * 0.001)) / REFERENCE_FRAME_MS;
+        const radiusVariationX = 1 + Math.sin(time * 0.0007) * 0.15;
+        const radiusVariationY = 1 + Math.sin(time * 0.0005) * 0.1;
+        const pulseTime = time * Math.PI * 2;
+
+        // Rates tuned per 60 FPS frame, scaled to the elapsed time
+        const blinkChance = rateOver(0.00015, deltaTime);
+        const sizeEasing = rateOver(0.02, deltaTime);
+
+        for (let k = 0; k < activeCount; k++) {
+            const i = activeIndices[k];
+
+            // Random chance to start blinking (about once every 10-30 seconds per star on average)
+            if (!blinking[i] && eventRandom() < blinkChance) {
+                blinking[i] = 1;
+                blinkStart[i] = time;
+                blinkDuration[i] = 500 + eventRandom() * 1000; // 0.5-1.5 seconds
+            }
+            if (blinking[i]) {
+                const blinkProgress = (time - blinkStart[i]) / blinkDuration[i];
+                if (blinkProgress >= 1) {
+                    // Blinking complete - reset to original values
+                    blinking[i] = 0;
+                    lightness[i] = baseLightness[i];
+                    alpha[i] = baseAlpha[i];
+                } else {
+                    // Smooth sine pulse of both lightness and alpha
+                    const blinkIntensity = Math.sin(blinkProgress * Math.PI) * 0.8 + 1.2;
+                    lightness[i] = baseLightness[i] * blinkIntensity;
+                    alpha[i] = baseAlpha[i] * (blinkIntensity * 0.5 + 0.8);
+                }
+            }
+
+            // Random size variations (smoother transitions)
+            if (time - lastSizeChange[i] > sizeChangeInterval[i]) {
+                targetSizeMultiplier[i] = 0.8 + eventRandom() * 0.6; // Between 0.8x and 1.4x
+                lastSizeChange[i] = time;
+                sizeChangeInterval[i] = 3000 + eventRandom() * 10000; // Next change in 3-13 seconds
+            }
+            sizeMultiplier[i] += (targetSizeMultiplier[i] - sizeMultiplier[i]) * sizeEasing;
+
+            // Pulsing: swell by pulseAmount and back once per period
+            const pulse = (1 - Math.cos(pulseTime / pulsePeriod[i] + pulsePhase[i])) * 0.5;
+            currentSize[i] = size[i] * (1 + pulseAmount[i] * pulse) * sizeMultiplier[i];
+
+            let xOffset = 0;
+            let yOffset = 0;
+            if (fixedToSky) {
+                // Observer mode: stars stay where the sky puts them
+            } else if (ellipseEnabled[i]) {
+                // Dynamic ellipse movement with slight variations
+                const angle = ellipseAngle[i] + ellipseSpeed[i] * ellipseTime;
+
+                const effectiveRadiusX = ellipseRadiusX[i] * radiusVariationX;
+                const effectiveRadiusY = ellipseRadiusY[i] * radiusVariationY;
+                const cosA = Math.cos(angle);
+                const sinA = Math.sin(angle);
+                const cosR = Math.cos(ellipseRotation[i]);
+                const sinR = Math.sin(ellipseRotation[i]);
+
+                xOffset = effectiveRadiusX * cosA * cosR - effectiveRadiusY * sinA * sinR;
+                yOffset = effectiveRadiusX * cosA * sinR + effectiveRadiusY * sinA * cosR;
+            } else {
+                // Gentle floating motion
+                xOffset = Math.sin(floatTime * frequency[i] + phase[i]) * amplitude[i];
+                yOffset = Math.cos(floatTime * frequency[i] * 0.5 + phase[i] * 1.5) * amplitude[i] * 0.6;
+            }
+
+            // Stars pulled by the pointer keep their displacement (see PointerPhysics)
+            x[i] = originX[i] + xOffset + displacementX[i];
+            y[i] = originY[i] + yOffset + displacementY[i];
+        }
+
+        this.meteors.update(time, deltaTime, eventRandom, this.viewWidth, this.viewHeight);
+        this.comets.update(time, deltaTime, eventRandom, this.viewWidth, this.viewHeight);
+    }
+
+    /**
+     * Index the star positions and react to the pointer.
+     * The spatial grid is rebuilt and a single radius query around the mouse
+     * drives hover picking and connection counting.
+     * @private
+     * @returns {void}
+     */
+    updatePointer() {
+        const { connectionDistance } = this.options;
+        const { activeIndices, activeCount } = this;
+        const { x, y } = this.store;
+
+        // Index the new positions (in css pixels, like the star coordinates)
+        this.spatialGrid.rebuild(x, y, activeIndices, activeCount, this.viewWidth, this.viewHeight);
+
+        this.pointerNeighbors.length = 0;
+        this.hoveredStar = null;
+
+        if (this.mouse) {
+            const { x: mouseX, y: mouseY } = this.mouse;
+
+            this.spatialGrid.forEachInRadius(mouseX, mouseY, connectionDistance, (index) => {
+                this.pointerNeighbors.push(index);
+            });
+
+            this.hoveredStar = this.pickStar(mouseX, mouseY);
+        }
+
+        // Count connections to mouse
+        this.visibleConnections = this.pointerNeighbors.length;
+    }
+
+    /**
+     * Find the star closest to a position.
+     * @param {number} x - X-coordinate in css pixels
+     * @param {number} y - Y-coordinate in css pixels
+     * @param {number} [radius=this.hoverRadius] - Maximum pick distance in pixels
+     * @returns {Star|null} The nearest star within the radius, or null
+     */
+    pickStar(x, y, radius = this.hoverRadius) {
+        const index = this.spatialGrid.nearest(x, y, radius);
+        return index >= 0 ? new Star(this.store, index) : null;
+    }
+
+    /**
+     * Find all stars within a radius of a position.
+     * @param {number} x - X-coordinate in css pixels
+     * @param {number} y - Y-coordinate in css pixels
+     * @param {number} radius - Search radius in pixels
+     * @returns {Star[]} Stars within the radius (as of the last frame)
+     */
+    getStarsNear(x, y, radius) {
+        return this.spatialGrid.queryRadius(x, y, radius).map(index => new Star(this.store, index));
+    }
+
+    /**
+     * Parse a CSS color string to an RGB object.
+     * @param {string} color - Color string (hex, rgb, or rgba)
+     * @returns {Object} Object with r, g, b values (0-255)
+     * @private
+     * @throws {Error} If the color string is invalid
+     */
+    _parseColor(color) {
+        // If it's already an object with r,g,b, return it
+        if (color && typeof color === 'object' && 'r' in color) return color;
+
+        // Default to black if invalid
+        if (!color) return { r: 0, g: 0, b: 0 };
+
+        // Handle hex colors
+        if (color.startsWith('#')) {
+            const hex = color.substring(1);
+            const r = parseInt(hex.length === 3 ? hex[0] + hex[0] : hex.substring(0, 2), 16);
+            const g = parseInt(hex.length === 3 ? hex[1] + hex[1] : hex.substring(2, 4), 16);
+            const b = parseInt(hex.length === 3 ? hex[2] + hex[2] : hex.substring(4, 6), 16);
+            return { r, g, b };
+        }
+
+        // Handle rgb/rgba colors
+        if (color.startsWith('rgb')) {
+            const [r, g, b] = color.match(/\d+/g).map(Number);
+            return { r, g, b };
+        }
+
+        // Default to black if invalid
+        return { r: 0, g: 0, b: 0 };
+    }
+
+    /**
+     * Set the background color
+     * @param {string} color - CSS color string (hex, rgb, or rgba)
+     */
+    setBackgroundColor(color) {
+        if (!this.options.background) {
+            this.options.background = { color, opacity: 1 };
+        } else {
+            this.options.background.color = color;
+        }
+        this._bgColor = this._parseColor(color);
+    }
+
+    /**
+     * Set the background opacity
+     * @param {number} opacity - Opacity value (0-1)
+     */
+    setBackgroundOpacity(opacity) {
+        if (!this.options.background) {
+            this.options.background = { color: '#000428', opacity: 1 };
+        } else {
+            this.options.background.opacity = opacity;
+        }
+        // This will trigger a redraw with the new colors
+        if (this.animationId) {
+            this.clock.cancelFrame(this.animationId);
+            this.animate(this.clock.now());
+        }
+    }
+
+    /**
+     * Set the connection line opacity
+     * @param {number} opacity - Opacity value (0-1)
+     */
+    setConnectionOpacity(opacity) {
+        this.options.connectionColor.opacity = Math.max(0, Math.min(1, opacity));
+
+        // Force a redraw to show the updated opacity immediately
+        if (this.animationId) {
+            this.clock.cancelFrame(this.animationId);
+            this.animate(this.clock.now());
+        }
+    }
+
+
+
+    /**
+     * Update shooting star settings
+     * @param {Object} settings - New settings for shooting stars (see MeteorSystem.setConfig)
+     * @returns {void}
+     */
+    updateShootingStarSettings(settings) {
+        if (settings) {
+            this.meteors.setConfig(settings);
+        }
+    }
+
+    /**
+     * Update meteor shower settings; a running shower follows them
+     * @param {Object} settings - New meteor shower settings (see MeteorSystem.setShowerConfig)
+     * @returns {void}
+     */
+    setMeteorShowerConfig(settings) {
+        if (settings) {
+            this.meteors.setShowerConfig(settings);
+        }
+    }
+
+    /**
+     * Start the configured meteor shower at the current simulation time.
+     * `meteors` emits `showerchange` when it starts and when it is over.
+     * @returns {void}
+     */
+    startMeteorShower() {
+        this.meteors.startShower(this.timeController.time);
+    }
+
+    /**
+     * Stop the running meteor shower
+     * @returns {void}
+     */
+    stopMeteorShower() {
+        this.meteors.stopShower();
+    }
+
+    /**
+     * Update comet settings; comets in the sky follow them
+     * @param {Object} settings - New comet settings (see CometSystem.setConfig)
+     * @returns {void}
+     */
+    setCometConfig(settings) {
+        if (settings) {
+            this.comets.setConfig(settings);
+        }
+    }
+
+    /**
+     * Update pointer physics settings
+     * @param {Object} settings - New pointer physics settings (see PointerPhysics.setConfig)
+     * @returns {void}
+     */
+    setPointerPhysicsConfig(settings) {
+        if (settings) {
+            this.pointerPhysics.setConfig(settings);
+        }
+    }
+
+    /**
+     * Update flow field settings
+     * @param {Object} settings - New flow field settings (see FlowField.setConfig)
+     * @returns {void}
+     */
+    setFlowFieldConfig(settings) {
+        if (settings) {
+            this.flowField.setConfig(settings);
+        }
+    }
+
+
+    /**
+     * Start the animation loop on the injected clock.
+     * @returns {void}
+     */
+    start() {
+        if (this.animationId) return;
+        this._isPaused = false;
+        this.animate(this.clock.now());
+    }
+
+    /**
+     * Main animation loop that updates and renders the starfield.
+     * @param {number} [time=0] - Current timestamp in milliseconds
+     * @private
+     * @returns {void}
+     */
+    animate(time = 0) {
+        this.animationId = this.clock.requestFrame(this._animate || (this._animate = this.animate.bind(this)));
+        this.renderFrame(time);
+    }
+
+    /**
+     * Advance and draw a single frame.
+     * Driving this with fixed timestamps steps the starfield deterministically.
+     * @param {number} time - Frame timestamp in milliseconds
+     * @returns {void}
+     */
+    renderFrame(time) {
+        const frameStart = this.clock.now();
+
+        // Calculate delta time
+        if (!this.lastTime) this.lastTime = time;
+        const deltaTime = Math.max(0, Math.min(time - this.lastTime, MAX_FRAME_DELTA));
+        this.lastTime = time;
+
+        // Update FPS counter
+        this.fps = this.fpsCounter ? this.fpsCounter.tick(time) : 0;
+
+        // Clear canvas with configurable background color and trail fade effect.
+        // The fade is tuned per 60 FPS frame and scaled so trails last as long at any frame rate
+        const trailFadeSpeed = this.options.trailFadeSpeed !== undefined ? this.options.trailFadeSpeed : 0.05;
+        const opacity = (this.options.background.opacity || 1) * rateOver(trailFadeSpeed, deltaTime || REFERENCE_FRAME_MS);
+        this.ctx.fillStyle = `rgba(${this._bgColor.r}, ${this._bgColor.g}, ${this._bgColor.b}, ${opacity})`;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Update parallax positions based on mouse movement
+        this.updateParallaxPositions();
+
+        // Move the stars, then index them and apply pointer interaction
+        this.advanceSimulation(deltaTime);
+
+        // The pointer pulls on the stars in real time, so it keeps working while paused
+        this.pointerPhysics.update(this.store, this.activeIndices, this.activeCount, this.mouse, deltaTime);
+        this.updatePointer();
+
+        // Link stars to each other if enabled
+        if (this.starLinksConfig.enabled) {
+            this.updateStarLinks(deltaTime);
+            this.drawStarLinks();
+        }
+
+        // Draw connections if enabled
+        if (this.mouseConnectionsEnabled) {
+            this.drawConnections();
+        }
+
+        // Constellation figures sit under the stars they join
+        if (this.constellations.config.enabled) {
+            this.constellations.update(this.store, this.parallaxOffsetX, this.parallaxOffsetY, this.mouse, deltaTime);
+            this.constellations.draw(this.ctx, this.store, this.parallaxOffsetX, this.parallaxOffsetY);
+        }
+
+        // Draw stars (on top of connections), then comets and the meteors in front of them;
+        // comets shift with the same parallax as the stars
+        this.drawStars();
+        this.comets.draw(this.ctx, this.parallaxOffsetX, this.parallaxOffsetY);
+        this.meteors.draw(this.ctx, this.qualityManager.settings.connectionGradients);
+
+        // Debug overlay: the flow field as arrows, over everything
+        if (this.flowField.config.showField && this._isFlowActive()) {
+            this.flowField.draw(this.ctx);
+        }
+
+        // Let the quality governor react to the measured frame rate and frame cost
+        if (this._skipQualityUpdate) {
+            this._skipQualityUpdate = false;
+        } else {
+            this.qualityManager.update(this.fps, this.clock.now() - frameStart, time);
+        }
+    }
+
+    /**
+     * Draw all stars on the canvas.
+     * @private
+     * @returns {void}
+     */
+    drawStars() {
+        const { ctx, store, activeIndices, activeCount, parallaxOffsetX, parallaxOffsetY } = this;
+        const { x, y, parallaxDepth, currentSize, hue, saturation, lightness, alpha } = store;
+        const highFidelity = this.options.highFidelity;
+        const { glowLayers } = this.qualityManager.settings;
+
+        // Sprite path: rebuild the glyphs first if the colours changed
+        if (!highFidelity) this.spriteAtlas.sync(this.options.colors);
+
+        ctx.save();
+
+        for (let k = 0; k < activeCount; k++) {
+            const i = activeIndices[k];
+
+            // Deeper stars move less with the parallax offset
+            const drawX = x[i] + parallaxOffsetX * parallaxDepth[i];
+            const drawY = y[i] + parallaxOffsetY * parallaxDepth[i];
+
+            if (highFidelity) {
+                // Gradient path: builds gradients for every star, every frame
+                Star.drawGlow(ctx, drawX, drawY, currentSize[i], hue[i], saturation[i], lightness[i], alpha[i], glowLayers);
+            } else if (Number.isFinite(drawX) && Number.isFinite(drawY)) {
+                // Sprite path: blit pre-rendered glyphs
+                this.spriteAtlas.draw(ctx, drawX, drawY, currentSize[i], hue[i], saturation[i], lightness[i], alpha[i]);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw connections between nearby stars and mouse
+     * @private
+     * @returns {void}
+     */
+    drawConnections() {
+        if (this.options.connectionDistance > 0 && this.mouseConnectionsEnabled) {
+            const connectionDistance = this.options.connectionDistance || 150;
+
+            const { width, height } = this.canvas;
+            const ctx = this.ctx;
+
+            // Only draw connections if mouse is present
+            if (!this.mouse) {
+                return;
+            }
+
+            ctx.save();
+
+            // Reset visible connections counter
+            this.visibleConnections = 0;
+
+            // Get connection colors from options with fallbacks
+            const startColor = this.options.connectionColor?.start || '#e0ebee';
+            const endColor = this.options.connectionColor?.end || '#044b16';
+            const connectionOpacity = this.options.connectionColor?.opacity || 0.2;
+            const { connectionGradients } = this.qualityManager.settings;
+
+            const { x: xs, y: ys } = this.store;
+
+            // Draw connections to the stars the spatial grid found near the mouse
+            this.pointerNeighbors.forEach(index => {
+                const starX = xs[index];
+                const starY = ys[index];
+                const dist = Utils.distance(starX, starY, this.mouse.x, this.mouse.y);
+
+                if (dist < connectionDistance) {
+                    const distanceRatio = 1 - (dist / connectionDistance);
+                    const opacity = distanceRatio * connectionOpacity;
+
+                    // Apply opacity to the colors in the gradient
+                    const startColorWithOpacity = this._applyOpacityToColor(startColor, opacity);
+
+                    if (connectionGradients) {
+                        // Create gradient for this connection
+                        const gradient = ctx.createLinearGradient(starX, starY, this.mouse.x, this.mouse.y);
+                        const endColorWithOpacity = this._applyOpacityToColor(endColor, opacity * 0.8);
+
+                        gradient.addColorStop(0, startColorWithOpacity);
+                        gradient.addColorStop(1, endColorWithOpacity);
+                        ctx.strokeStyle = gradient;
+                    } else {
+                        // Solid lines are much cheaper at lower quality levels
+                        ctx.strokeStyle = startColorWithOpacity;
+                    }
+
+                    // Draw connection line
+                    ctx.beginPath();
+                    ctx.moveTo(starX, starY);
+                    ctx.lineTo(this.mouse.x, this.mouse.y);
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+
+                    this.visibleConnections++;
+                }
+            });
+
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Apply opacity to a CSS color string
+     * @param {string} color - CSS color string (hex, rgb, or rgba)
+     * @param {number} opacity - Opacity value (0-1)
+     * @returns {string} Color string with applied opacity
+     * @private
+     */
+    _applyOpacityToColor(color, opacity) {
+        // If the color is already rgba, update the alpha channel
+        if (color.startsWith('rgba')) {
+            return color.replace(/[\d.]+(?=\s*\)$)/, opacity);
+        }
+        // If the color is rgb, convert to rgba with the new opacity
+        else if (color.startsWith('rgb')) {
+            return color.replace('rgb', 'rgba').replace(')', `, ${opacity})`);
+        }
+        // If it's a hex color, convert to rgba
+        else if (color.startsWith('#')) {
+            // Convert hex to RGB
+            const hex = color.replace('#', '');
+            const r = parseInt(hex.substring(0, 2), 16);
+            const g = parseInt(hex.substring(2, 4), 16);
+            const b = parseInt(hex.substring(4, 6), 16);
+            return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+        }
+        // Return as is if format is not recognized
+        return color;
+    }
+
+    /**
+     * Move the pointer to a position on the canvas.
+     * Called by the pointer listeners, or directly when input comes from elsewhere.
+     * @param {number} x - X-coordinate in css pixels, relative to the canvas
+     * @param {number} y - Y-coordinate in css pixels, relative to the canvas
+     * @returns {void}
+     */
+    setPointer(x, y) {
+        // Calculate normalized mouse position (-1 to 1)
+        this.mouse = {
+            x: x,
+            y: y,
+            normX: (x / this.viewWidth - 0.5) * 2,
+            normY: (y / this.viewHeight - 0.5) * 2
+        };
+
+        // Parallax positions will be updated in the next animation frame
+    }
+
+    /**
+     * Remove the pointer, e.g. when it leaves the canvas.
+     * @returns {void}
+     */
+    clearPointer() {
+        // Return stars to their original position
+        this.parallaxOffsetX = 0;
+        this.parallaxOffsetY = 0;
+        this.mouse = null;
+        this.pointerPhysics.setPressed(false);
+    }
+
+    /**
+     * Hold the pointer down or release it; holding makes the pointer's gravity well heavier.
+     * Called by the pointer listeners, or directly when input comes from elsewhere.
+     * @param {boolean} pressed - Whether the pointer is held down
+     * @returns {void}
+     */
+    setPointerPressed(pressed) {
+        this.pointerPhysics.setPressed(pressed);
+    }
+
+    /**
+     * Measure the viewport: the configured viewport, or the canvas itself.
+     * Adapters override this to measure their host (e.g. the browser window).
+     * @returns {{width: number, height: number, pixelRatio: number}} Viewport in css pixels
+     * @protected
+     */
+    _measureViewport() {
+        const viewport = this.options.viewport || {};
+        return {
+            width: viewport.width || this.canvas.width,
+            height: viewport.height || this.canvas.height,
+            pixelRatio: viewport.pixelRatio || 1
+        };
+    }
+
+    /**
+     * Resize the canvas to a new viewport.
+     * @param {Object} [viewport] - New viewport; measured with _measureViewport() when omitted
+     * @param {number} viewport.width - Viewport width in css pixels
+     * @param {number} viewport.height - Viewport height in css pixels
+     * @param {number} [viewport.pixelRatio] - Device pixel ratio
+     * @returns {void}
+     */
+    resize(viewport = this._measureViewport()) {
+        const { width, height } = viewport;
+        const previousWidth = this.viewWidth;
+        const previousHeight = this.viewHeight;
+
+        // Viewport size in css pixels; all star coordinates use this space
+        this.viewWidth = width;
+        this.viewHeight = height;
+        this.pixelRatio = viewport.pixelRatio || this.pixelRatio;
+
+        this._applyResolution();
+
+        // Update star positions if needed
+        const { store } = this;
+        if ((this.isCatalogActive() || this.observerConfig.enabled) && store.count > 0) {
+            this._projectSky();
+        } else if (store.count > 0 && previousWidth && previousHeight) {
+            const scaleX = width / previousWidth;
+            const scaleY = height / previousHeight;
+
+            for (let i = 0; i < store.count; i++) {
+                store.originX[i] *= scaleX;
+                store.originY[i] *= scaleY;
+                store.x[i] = store.originX[i] + (this.eventRandom() * 2 - 1) * 20; // Slight random offset
+                store.y[i] = store.originY[i] + (this.eventRandom() * 2 - 1) * 20;
+            }
+        }
+    }
+
+    /**
+     * Size the canvas backing store for the device pixel ratio, scaled down
+     * by the resolution factor of the current quality level.
+     * @private
+     * @returns {void}
+     */
+    _applyResolution() {
+        const { canvas } = this;
+        this._resolutionScale = this.qualityManager.settings.resolutionScale;
+
+        // Set actual size in memory (scaled to account for extra pixel density)
+        const scale = this.pixelRatio * this._resolutionScale;
+        canvas.width = Math.floor(this.viewWidth * scale);
+        canvas.height = Math.floor(this.viewHeight * scale);
+
+        // Normalize coordinate system to use css pixels
+        this.ctx.scale(scale, scale);
+
+        // Keep sprite glyphs crisp at the new pixel density
+        this.spriteAtlas.setPixelRatio(scale);
+    }
+
+    /**
+     * Pause the animation loop while maintaining the current state.
+     * @returns {void}
+     */
+    pause() {
+        if (this.animationId) {
+            this.clock.cancelFrame(this.animationId);
+            this.animationId = null;
+            this._isPaused = true;
+        }
+    }
+
+    /**
+     * Resume the animation loop if it was paused.
+     * @returns {void}
+     */
+    resume() {
+        if (this._isPaused) {
+            this._isPaused = false;
+            this.lastTime = this.clock.now(); // Reset last time to prevent large delta on resume
+            // Count frames afresh, so the time spent hidden doesn't read as a slow frame rate
+            this.fpsCounter = Utils.fpsCounter(this.lastTime);
+            this._skipQualityUpdate = true;
+            this.animate(this.lastTime);
+        }
+    }
+
+    /**
+     * Clean up resources and stop animations.
+     * Should be called when the starfield is no longer needed.
+     * @returns {void}
+     */
+    dispose() {
+        // Pause the animation first
+        this.pause();
+
+        // Stop listening to pointer input
+        this._inputSubscriptions.forEach(unsubscribe => unsubscribe());
+        this._inputSubscriptions = [];
+
+        // Clear the canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Release star data
+        this.store.dispose();
+        this.activeIndices = new Int32Array(0);
+        this.activeCount = 0;
+        this._activeMask = new Uint8Array(0);
+        this.starLinks.clear();
+        this.meteors.reset();
+        this.comets.reset();
+        this.mouse = null;
+        this.animationId = null;
+    }
+}
+
+export { StarfieldCore };
@@ -0,0 +1,379 @@
+import Emitter from './utils/emitter.js';
+import { QUALITY_LEVELS } from './qualityManager.js';
+import { Starfield } from './starfield.js';
+
+/**
+ * Starfield methods that are forwarded to the worker unchanged.
+ * Return values are not passed back; state the UI needs to read is mirrored
+ * through events instead (see `qualityManager`, `timeController` and `meteors`).
+ * @type {string[]}
+ */
+const FORWARDED_METHODS = [
+    'setOptions',
+    'setMouseConnectionsEnabled',
+    'setConnectionColor',
+    'setConnectionDistance',
+    'setConnectionOpacity',
+    'setBackgroundColor',
+    'setBackgroundOpacity',
+    'setTrailFadeSpeed',
+    'setAnimationSpeed',
+    'setStarMovementSpeed',
+    'setEllipseMovement',
+    'setHighFidelity',
+    'setFixedTimestep',
+    'setQualityLevel',
+    'setTargetFps',
+    'setParallaxConfig',
+    'setParallaxEnabled',
+    'setStarLinksConfig',
+    'setStarColors',
+    'setCatalog',
+    'setCatalogConfig',
+    'setConstellations',
+    'setConstellationConfig',
+    'setObserverConfig',
+    'setSeed',
+    'updateShootingStarSettings',
+    'setMeteorShowerConfig',
+    'startMeteorShower',
+    'stopMeteorShower',
+    'setCometConfig',
+    'setPointerPhysicsConfig',
+    'setFlowFieldConfig',
+    'createStars',
+    'pauseSimulation',
+    'resumeSimulation',
+    'toggleSimulation',
+    'stepSimulation',
+    'seekSimulation',
+    'pause',
+    'resume'
+];
+
+/** @type {boolean|null} Whether workers can be module scripts; null until checked */
+let moduleWorkersSupported = null;
+
+/**
+ * Check once whether this browser runs module workers.
+ * Browsers without them never read the `type` option, so the getter only
+ * runs where it is understood. The invalid URL keeps any worker from starting.
+ * @returns {boolean} True if module workers are available
+ */
+function supportsModuleWorkers() {
+    if (moduleWorkersSupported === null) {
+        moduleWorkersSupported = false;
+        try {
+            new Worker('blob://', {
+                get type() {
+                    moduleWorkersSupported = true;
+                    return 'module';
+                }
+            }).terminate();
+        } catch (error) {
+            // Expected: the URL is invalid; the option has been read by then
+        }
+    }
+    return moduleWorkersSupported;
+}
+
+/**
+ * Drop-in stand-in for {@link Starfield} that runs the real starfield in a
+ * Web Worker on an OffscreenCanvas, keeping the main thread free for the
+ * control panel. Pointer and resize events are captured here and posted to
+ * the worker, as are the setter calls listed in {@link FORWARDED_METHODS}.
+ *
+ * `qualityManager`, `timeController` and `meteors` are local mirrors that
+ * re-emit the worker's `levelchange`, `change` and `showerchange` events, so
+ * UI code can subscribe to them exactly as it does on a main thread Starfield.
+ *
+ * If the worker fails to start, a main thread Starfield takes over on a fresh
+ * canvas (the original one has been transferred) and the calls made so far
+ * are replayed on it; the mirrors then follow its events instead.
+ * @class
+ */
+class StarfieldProxy {
+    /**
+     * Whether a canvas can be rendered from a worker in this browser.
+     * @param {HTMLCanvasElement} canvas - Canvas to check
+     * @returns {boolean} True if OffscreenCanvas transfer and module workers are available
+     */
+    static isSupported(canvas) {
+        return typeof Worker !== 'undefined' &&
+            !!canvas && typeof canvas.transferControlToOffscreen === 'function' &&
+            supportsModuleWorkers();
+    }
+
+    /**
+     * Create a new StarfieldProxy instance.
+     * Control of the canvas is transferred to the worker; afterwards the
+     * canvas can no longer be drawn to from the main thread.
+     * @param {HTMLCanvasElement} canvas - The canvas element to render to
+     * @param {Object} [options={}] - Starfield options (see {@link Starfield})
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = options;
+
+        const quality = { adaptive: true, level: 0, ...options.quality };
+
+        /** @type {Emitter} Mirror of the worker's quality governor */
+        this.qualityManager = Object.assign(new Emitter(), {
+            settings: QUALITY_LEVELS[quality.adaptive ? 0 : quality.level] || QUALITY_LEVELS[0],
+            isAdaptive: quality.adaptive
+        });
+
+        /** @type {Emitter} Mirror of the worker's simulation clock */
+        this.timeController = Object.assign(new Emitter(), {
+            time: 0,
+            timeScale: options.animationSpeed !== undefined ? options.animationSpeed : 1,
+            paused: false
+        });
+
+        /** @type {Emitter} Mirror of the worker's meteor system */
+        this.meteors = Object.assign(new Emitter(), {
+            showerActive: false
+        });
+
+        /** @type {Starfield|null} Main thread starfield that took over after the worker failed to start */
+        this.fallback = null;
+
+        /** @type {Array<{method: string, args: Array}>|null} Calls made before the worker started; null once it has */
+        this._pendingCalls = [];
+
+        this.worker = new Worker(new URL('./starfieldWorker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (e) => this._handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+            console.error('Starfield worker error:', e.message || e);
+            // A worker that can't load its script never starts
+            if (this._pendingCalls) {
+                this._fallBack();
+            }
+        });
+
+        const viewport = this._measureViewport();
+        this._applyDisplaySize(viewport);
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker.postMessage({ type: 'init', canvas: offscreen, options, viewport }, [offscreen]);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Handle an event posted by the worker.
+     * @param {Object} data - Message payload
+     * @private
+     * @returns {void}
+     */
+    _handleMessage(data) {
+        switch (data.type) {
+            case 'ready':
+                this._pendingCalls = null;
+                break;
+            case 'initerror':
+                console.error('Starfield worker failed to start:', data.message);
+                this._fallBack();
+                break;
+            case 'levelchange':
+                this.qualityManager.settings = data.payload.settings;
+                this.qualityManager.isAdaptive = !data.payload.pinned;
+                this.qualityManager.emit('levelchange', data.payload);
+                break;
+            case 'timechange':
+                Object.assign(this.timeController, data.payload);
+                this.timeController.emit('change', data.payload);
+                break;
+            case 'time':
+                this.timeController.time = data.time;
+                break;
+            case 'showerchange':
+                this.meteors.showerActive = data.payload.active;
+                this.meteors.emit('showerchange', data.payload);
+                break;
+        }
+    }
+
+    /**
+     * Post a method call to the worker.
+     * @param {string} method - Starfield method name
+     * @param {Array} args - Arguments (must be structured-cloneable)
+     * @private
+     * @returns {void}
+     */
+    _call(method, args) {
+        if (this.fallback) {
+            this.fallback[method](...args);
+            return;
+        }
+        if (this._pendingCalls) {
+            this._pendingCalls.push({ method, args });
+        }
+        this.worker.postMessage({ type: 'call', method, args });
+    }
+
+    /**
+     * Render on the main thread instead of the worker, which failed to start.
+     * @private
+     * @returns {void}
+     */
+    _fallBack() {
+        if (this.fallback) return;
+
+        console.warn('Rendering the starfield on the main thread instead');
+        this.worker.terminate();
+        this._removeEventListeners();
+
+        // The transferred canvas can't be drawn to from here, so a fresh one takes its place
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+
+        this.fallback = new Starfield(canvas, this.options);
+        this.fallback.qualityManager.on('levelchange', (payload) => {
+            this._handleMessage({ type: 'levelchange', payload });
+        });
+        this.fallback.timeController.on('change', (payload) => {
+            this._handleMessage({ type: 'timechange', payload });
+        });
+        this.fallback.meteors.on('showerchange', (payload) => {
+            this._handleMessage({ type: 'showerchange', payload });
+        });
+
+        const calls = this._pendingCalls || [];
+        this._pendingCalls = null;
+        calls.forEach(({ method, args }) => this.fallback[method](...args));
+    }
+
+    /**
+     * Get the simulation time last reported by the worker
+     * @returns {number} Simulation time in milliseconds
+     */
+    getSimulationTime() {
+        if (this.fallback) return this.fallback.getSimulationTime();
+        return this.timeController.time;
+    }
+
+    /**
+     * Measure the window.
+     * @returns {{width: number, height: number, pixelRatio: number}} Viewport in css pixels
+     * @private
+     */
+    _measureViewport() {
+        return {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            pixelRatio: window.devicePixelRatio || 1
+        };
+    }
+
+    /**
+     * Size the canvas element on the page; the worker sizes the backing store.
+     * @param {{width: number, height: number}} viewport - Viewport in css pixels
+     * @private
+     * @returns {void}
+     */
+    _applyDisplaySize({ width, height }) {
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+    }
+
+    /**
+     * Set up pointer listeners that forward input to the worker.
+     * @private
+     * @returns {void}
+     */
+    setupEventListeners() {
+        let lastMove = 0;
+        const throttleDelay = 16; // ~60fps
+
+        const handleMove = (clientX, clientY) => {
+            const now = performance.now();
+            if (now - lastMove < throttleDelay) return;
+            lastMove = now;
+
+            const rect = this.canvas.getBoundingClientRect();
+            this.worker.postMessage({ type: 'pointer', x: clientX - rect.left, y: clientY - rect.top });
+        };
+
+        this._handleMouseMove = (e) => handleMove(e.clientX, e.clientY);
+        this._handleTouchMove = (e) => {
+            e.preventDefault();
+            if (e.touches.length > 0) {
+                handleMove(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        };
+        this._handleMouseDown = () => this.worker.postMessage({ type: 'pointerdown' });
+        this._handleMouseUp = () => this.worker.postMessage({ type: 'pointerup' });
+        this._handleTouchStart = (e) => {
+            if (e.touches.length > 0) {
+                const rect = this.canvas.getBoundingClientRect();
+                this.worker.postMessage({ type: 'pointer', x: e.touches[0].clientX - rect.left, y: e.touches[0].clientY - rect.top });
+            }
+            this.worker.postMessage({ type: 'pointerdown' });
+        };
+        this._handleLeave = () => this.worker.postMessage({ type: 'pointerleave' });
+
+        this.canvas.addEventListener('mousemove', this._handleMouseMove);
+        this.canvas.addEventListener('touchmove', this._handleTouchMove, { passive: false });
+        this.canvas.addEventListener('mousedown', this._handleMouseDown);
+        this.canvas.addEventListener('mouseup', this._handleMouseUp);
+        this.canvas.addEventListener('touchstart', this._handleTouchStart);
+        this.canvas.addEventListener('mouseleave', this._handleLeave);
+        this.canvas.addEventListener('touchend', this._handleLeave);
+        this.canvas.addEventListener('touchcancel', this._handleLeave);
+    }
+
+    /**
+     * Resize the canvas to the window.
+     * @returns {void}
+     */
+    resize() {
+        if (this.fallback) {
+            this.fallback.resize();
+            return;
+        }
+        const viewport = this._measureViewport();
+        this._applyDisplaySize(viewport);
+        this.worker.postMessage({ type: 'resize', ...viewport });
+    }
+
+    /**
+     * Stop the worker and remove listeners.
+     * @returns {void}
+     */
+    dispose() {
+        this._removeEventListeners();
+
+        if (this.fallback) {
+            this.fallback.dispose();
+            return;
+        }
+        this.worker.postMessage({ type: 'dispose' });
+    }
+
+    /**
+     * Remove the pointer listeners added by setupEventListeners.
+     * @private
+     * @returns {void}
+     */
+    _removeEventListeners() {
+        this.canvas.removeEventListener('mousemove', this._handleMouseMove);
+        this.canvas.removeEventListener('touchmove', this._handleTouchMove);
+        this.canvas.removeEventListener('mousedown', this._handleMouseDown);
+        this.canvas.removeEventListener('mouseup', this._handleMouseUp);
+        this.canvas.removeEventListener('touchstart', this._handleTouchStart);
+        this.canvas.removeEventListener('mouseleave', this._handleLeave);
+        this.canvas.removeEventListener('touchend', this._handleLeave);
+        this.canvas.removeEventListener('touchcancel', this._handleLeave);
+    }
+}
+
+// Forwarded methods are generated rather than written out one by one
+FORWARDED_METHODS.forEach(method => {
+    StarfieldProxy.prototype[method] = function (...args) {
+        this._call(method, args);
+    };
+});
+
+export { StarfieldProxy };
@@ -0,0 +1,132 @@
+/**
+ * Worker entry point for off-main-thread rendering.
+ * Receives the page's canvas as an OffscreenCanvas and runs a
+ * {@link StarfieldCore} on it, so simulation and drawing no longer compete
+ * with the control panel for main thread time. Driven by
+ * {@link StarfieldProxy}, which forwards pointer input, resizes and setter
+ * calls as messages:
+ *
+ * - `init` `{ canvas, options, viewport }` creates the starfield
+ * - `call` `{ method, args }` invokes a public StarfieldCore method
+ * - `pointer` `{ x, y }` / `pointerleave` move or remove the pointer
+ * - `resize` `{ width, height, pixelRatio }` resizes the canvas
+ * - `dispose` stops the starfield and closes the worker
+ *
+ * Posts `ready` once the starfield runs (or `initerror` `{ message }` if it
+ * can't be created), `levelchange`, `timechange` and `showerchange` events,
+ * and the simulation time every {@link TIME_REPORT_INTERVAL} milliseconds.
+ */
+import { StarfieldCore } from './starfieldCore.js';
+import Emitter from './utils/emitter.js';
+
+/** How often the simulation time is reported back, in milliseconds */
+const TIME_REPORT_INTERVAL = 250;
+
+/** @type {StarfieldCore|null} */
+let starfield = null;
+let timeReportId = null;
+
+/** Pointer events forwarded from the page */
+const input = new Emitter();
+
+/**
+ * Create the starfield and start reporting its state to the page.
+ * @param {Object} data - Message payload
+ * @param {OffscreenCanvas} data.canvas - Transferred canvas
+ * @param {Object} data.options - Starfield options
+ * @param {Object} data.viewport - Viewport size and pixel ratio
+ * @returns {void}
+ */
+function init({ canvas, options, viewport }) {
+    starfield = new StarfieldCore(canvas.getContext('2d'), {
+        ...options,
+        viewport,
+        input
+    });
+
+    starfield.qualityManager.on('levelchange', (payload) => {
+        self.postMessage({ type: 'levelchange', payload });
+    });
+    starfield.timeController.on('change', (payload) => {
+        self.postMessage({ type: 'timechange', payload });
+    });
+    starfield.meteors.on('showerchange', (payload) => {
+        self.postMessage({ type: 'showerchange', payload });
+    });
+
+    timeReportId = setInterval(() => {
+        self.postMessage({ type: 'time', time: starfield.getSimulationTime() });
+    }, TIME_REPORT_INTERVAL);
+}
+
+/**
+ * Call a public StarfieldCore method by name.
+ * @param {string} method - Method name
+ * @param {Array} [args=[]] - Arguments
+ * @returns {void}
+ */
+function call(method, args = []) {
+    if (method.startsWith('_') || typeof starfield[method] !== 'function') {
+        console.error(`Unknown starfield method: ${method}`);
+        return;
+    }
+    starfield[method](...args);
+}
+
+/**
+ * Stop the starfield and close the worker.
+ * @returns {void}
+ */
+function dispose() {
+    clearInterval(timeReportId);
+    if (starfield) {
+        starfield.dispose();
+        starfield = null;
+    }
+    self.close();
+}
+
+self.addEventListener('message', (e) => {
+    const data = e.data;
+
+    try {
+        if (data.type === 'init') {
+            init(data);
+            self.postMessage({ type: 'ready' });
+            return;
+        }
+        if (!starfield) return;
+
+        switch (data.type) {
+            case 'call':
+                call(data.method, data.args);
+                break;
+            case 'pointer':
+                input.emit('pointermove', { x: data.x, y: data.y });
+                break;
+            case 'pointerdown':
+                input.emit('pointerdown');
+                break;
+            case 'pointerup':
+                input.emit('pointerup');
+                break;
+            case 'pointerleave':
+                input.emit('pointerleave');
+                break;
+            case 'resize':
+                starfield.resize(data);
+                break;
+            case 'dispose':
+                dispose();
+                break;
+            default:
+                console.error(`Unknown starfield worker message: ${data.type}`);
+        }
+    } catch (error) {
+        console.error(`Error handling starfield worker message '${data.type}':`, error);
+        // The page renders on the main thread instead if the starfield can't be created
+        if (data.type === 'init') {
+            self.postMessage({ type: 'initerror', message: String(error && error.message || error) });
+        }
+    }
+});
@@ -0,0 +1,196 @@
+import Emitter from './utils/emitter.js';
+
+/**
+ * Owns the simulation clock.
+ * Every frame the Starfield hands it the real time that passed; the controller
+ * scales it, holds it back while paused, and runs the simulation updates either
+ * once per frame or in fixed steps. Pausing is independent of rendering and of
+ * tab visibility: the scene keeps drawing (and reacting to the pointer) while
+ * simulated time stands still, and can be advanced frame by frame or moved to
+ * any point in time.
+ *
+ * Emits `change` with `{ time, timeScale, paused }` when the time scale or the
+ * paused state changes, and `seek` with `{ time, previous }` after a jump.
+ * @class
+ * @extends Emitter
+ */
+class TimeController extends Emitter {
+    /**
+     * Create a new TimeController instance.
+     * @param {Object} [options={}] - Configuration options
+     * @param {number} [options.timeScale=1] - Simulated milliseconds per real millisecond
+     * @param {boolean} [options.fixedTimestep=false] - Run updates in fixed steps instead of once per frame
+     * @param {number} [options.timestep=1000/60] - Length of a fixed step, and of a single step while paused, in milliseconds
+     * @param {number} [options.maxSteps=8] - Most fixed steps run per frame; time beyond that is dropped
+     * @param {number} [options.maxScale=5] - Highest allowed time scale
+     */
+    constructor(options = {}) {
+        super();
+
+        this.maxScale = options.maxScale || 5;
+        this.timeScale = this._clampScale(options.timeScale !== undefined ? options.timeScale : 1);
+        this.fixedTimestep = !!options.fixedTimestep;
+        this.timestep = Math.max(1, options.timestep || 1000 / 60);
+        this.maxSteps = options.maxSteps || 8;
+
+        /** @type {number} Simulation time in milliseconds */
+        this.time = 0;
+
+        /** @type {boolean} Whether simulated time is frozen */
+        this.paused = false;
+
+        /** @type {number} Single steps requested while paused, run on the next tick */
+        this._pendingSteps = 0;
+
+        /** @type {number} Simulated time not yet consumed by fixed steps, in milliseconds */
+        this._accumulator = 0;
+    }
+
+    /**
+     * Clamp a time scale to the allowed range.
+     * @param {number} scale - Requested time scale
+     * @returns {number} Clamped time scale
+     * @private
+     */
+    _clampScale(scale) {
+        return Math.max(0, Math.min(Number(scale) || 0, this.maxScale));
+    }
+
+    /**
+     * Set how fast simulated time runs relative to real time
+     * @param {number} scale - Time scale (1 is real time, below 1 is slow motion)
+     */
+    setTimeScale(scale) {
+        const timeScale = this._clampScale(scale);
+        if (timeScale === this.timeScale) return;
+        this.timeScale = timeScale;
+        this.emit('change', this._payload());
+    }
+
+    /**
+     * Switch between once-per-frame and fixed-step updates
+     * @param {boolean} enabled - Whether to run updates in fixed steps
+     * @param {number} [timestep] - Length of a fixed step in milliseconds
+     */
+    setFixedTimestep(enabled, timestep) {
+        this.fixedTimestep = !!enabled;
+        if (timestep !== undefined) {
+            this.timestep = Math.max(1, timestep);
+        }
+        this._accumulator = 0;
+    }
+
+    /**
+     * Freeze simulated time
+     */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this._accumulator = 0;
+        this.emit('change', this._payload());
+    }
+
+    /**
+     * Let simulated time run again
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this._pendingSteps = 0;
+        this.emit('change', this._payload());
+    }
+
+    /**
+     * Toggle between paused and running
+     * @returns {boolean} Whether simulated time is now paused
+     */
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.paused;
+    }
+
+    /**
+     * Advance simulated time by single steps on the next tick, pausing first if needed
+     * @param {number} [count=1] - Number of steps
+     */
+    step(count = 1) {
+        this.pause();
+        this._pendingSteps += Math.max(1, Math.floor(count));
+    }
+
+    /**
+     * Jump to a point in simulated time
+     * @param {number} time - Target simulation time in milliseconds
+     */
+    seek(time) {
+        const previous = this.time;
+        this.time = Math.max(0, Number(time) || 0);
+        this._accumulator = 0;
+        this.emit('seek', { time: this.time, previous });
+    }
+
+    /**
+     * Advance the clock by a frame's worth of real time, running the
+     * simulation update for each step taken.
+     * @param {number} realDelta - Real time since the previous frame in milliseconds
+     * @param {function(number, number): void} update - Called with (simulation time, step length)
+     * @returns {number} Simulated time that passed this frame, in milliseconds
+     */
+    tick(realDelta, update) {
+        const start = this.time;
+
+        if (this.paused) {
+            // Frame-by-frame stepping
+            for (; this._pendingSteps > 0; this._pendingSteps--) {
+                this.time += this.timestep;
+                update(this.time, this.timestep);
+            }
+            return this.time - start;
+        }
+
+        const delta = realDelta * this.timeScale;
+
+        if (!this.fixedTimestep) {
+            this.time += delta;
+            update(this.time, delta);
+            return delta;
+        }
+
+        const step = this.timestep;
+        this._accumulator += delta;
+
+        let steps = 0;
+        while (this._accumulator >= step && steps < this.maxSteps) {
+            this.time += step;
+            update(this.time, step);
+            this._accumulator -= step;
+            steps++;
+        }
+
+        // Too far behind: drop the backlog rather than trying to catch up
+        if (steps === this.maxSteps) {
+            this._accumulator = Math.min(this._accumulator, step);
+        }
+
+        return this.time - start;
+    }
+
+    /**
+     * Build the `change` event payload.
+     * @returns {Object} Event payload
+     * @private
+     */
+    _payload() {
+        return {
+            time: this.time,
+            timeScale: this.timeScale,
+            paused: this.paused
+        };
+    }
+}
+
+export { TimeController };
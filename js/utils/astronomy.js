@@ -0,0 +1,67 @@
+/**
+ * Positional astronomy for the observer sky.
+ * Sidereal time from a date and the conversion of equatorial coordinates
+ * (right ascension/declination) to horizontal ones (azimuth/altitude) for an
+ * observer on Earth. Accurate to a fraction of a degree, plenty for drawing.
+ */
+
+const MS_PER_DAY = 86400000;
+/** Julian date of the Unix epoch (1970-01-01T00:00Z) */
+const UNIX_EPOCH_JD = 2440587.5;
+/** Julian date of the J2000.0 epoch (2000-01-01T12:00Z) */
+const J2000_JD = 2451545.0;
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Julian date of a moment.
+ * @param {number} ms - Milliseconds since the Unix epoch
+ * @returns {number} Julian date
+ */
+export function julianDate(ms) {
+    return ms / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+/**
+ * Greenwich mean sidereal time.
+ * @param {number} ms - Milliseconds since the Unix epoch
+ * @returns {number} Sidereal time as an angle in radians (0 to 2π)
+ */
+export function greenwichSiderealTime(ms) {
+    const days = julianDate(ms) - J2000_JD;
+    const hours = 18.697374558 + 24.06570982441908 * days;
+    const angle = (hours % 24) * Math.PI / 12;
+    return angle < 0 ? angle + TWO_PI : angle;
+}
+
+/**
+ * Local mean sidereal time: the right ascension on the observer's meridian.
+ * @param {number} ms - Milliseconds since the Unix epoch
+ * @param {number} longitude - Observer longitude in radians, positive east
+ * @returns {number} Sidereal time as an angle in radians (0 to 2π)
+ */
+export function localSiderealTime(ms, longitude) {
+    const angle = (greenwichSiderealTime(ms) + longitude) % TWO_PI;
+    return angle < 0 ? angle + TWO_PI : angle;
+}
+
+/**
+ * Convert equatorial coordinates to horizontal coordinates.
+ * @param {number} ra - Right ascension in radians
+ * @param {number} dec - Declination in radians
+ * @param {number} siderealTime - Local sidereal time in radians
+ * @param {number} latitude - Observer latitude in radians
+ * @param {{azimuth: number, altitude: number}} [out={}] - Object to write the result to
+ * @returns {{azimuth: number, altitude: number}} Azimuth (from north through east) and altitude, in radians
+ */
+export function equatorialToHorizontal(ra, dec, siderealTime, latitude, out = {}) {
+    const hourAngle = siderealTime - ra;
+    const sinDec = Math.sin(dec);
+    const cosDec = Math.cos(dec);
+    const sinLat = Math.sin(latitude);
+    const cosLat = Math.cos(latitude);
+    const cosHourAngle = Math.cos(hourAngle);
+
+    out.altitude = Math.asin(Math.max(-1, Math.min(1, sinLat * sinDec + cosLat * cosDec * cosHourAngle)));
+    out.azimuth = Math.atan2(-cosDec * Math.sin(hourAngle), cosLat * sinDec - sinLat * cosDec * cosHourAngle);
+    return out;
+}
@@ -56,3 +56,21 @@ export function showError(message) {
         }
     }, 5000);
 }
+
+/**
+ * Offer text to the user as a file download.
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} [type='application/json'] - MIME type
+ * @returns {void}
+ */
+export function downloadFile(filename, text, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,232 @@
+/**
+ * Star catalog loading.
+ * Reads bright-star catalogs such as the Yale Bright Star Catalog or the HYG
+ * database from CSV or JSON and normalizes them to plain records with
+ * positions in radians.
+ *
+ * Columns are matched by name, case-insensitively:
+ * - id: `hip`, `hr` or `id` (the first column the file has; Hipparcos numbers match Stellarium constellation files)
+ * - right ascension: `ra` in hours (decimal or sexagesimal, e.g. `05h 14m 32.3s`), `radeg` in degrees or `rarad` in radians
+ * - declination: `dec` in degrees (decimal or sexagesimal, e.g. `-08° 12′ 06″`), `decdeg` in degrees or `decrad` in radians
+ * - magnitude: `mag`, `vmag` or `v`
+ * - B−V colour index (optional): `ci`, `bv`, `b-v` or `b_v`
+ * - name (optional): `proper` or `name`
+ */
+
+/**
+ * A catalog star.
+ * @typedef {Object} CatalogStar
+ * @property {number|null} id - Catalog number (Hipparcos, HR or the file's own id), or null if the star has none
+ * @property {number} ra - Right ascension in radians
+ * @property {number} dec - Declination in radians
+ * @property {number} magnitude - Apparent visual magnitude
+ * @property {number|null} colorIndex - B−V colour index, or null if unknown
+ * @property {string} name - Proper name, or an empty string
+ */
+
+const ID_KEYS = ['hip', 'hr', 'id'];
+const MAGNITUDE_KEYS = ['mag', 'vmag', 'v'];
+const COLOR_INDEX_KEYS = ['ci', 'bv', 'b-v', 'b_v'];
+const NAME_KEYS = ['proper', 'name'];
+
+/**
+ * Parse a sexagesimal value such as `05h 14m 32.3s` or `-08:12:06`.
+ * Plain decimal numbers are returned as they are.
+ * @param {string|number} value - Value to parse
+ * @returns {number} Value in the unit of its first component (NaN if unreadable)
+ */
+export function parseSexagesimal(value) {
+    if (typeof value === 'number') return value;
+
+    const text = String(value).trim();
+    const parts = text.match(/\d+(?:\.\d*)?|\.\d+/g);
+    if (!parts) return NaN;
+
+    const sign = /^[-−]/.test(text) ? -1 : 1;
+    const [units = 0, minutes = 0, seconds = 0] = parts.map(Number);
+    return sign * (units + minutes / 60 + seconds / 3600);
+}
+
+/**
+ * Read the first non-empty value among several keys of a record.
+ * @param {Object} record - Record with lower-case keys
+ * @param {string[]} keys - Keys to try, in order
+ * @returns {*} The value, or undefined
+ * @private
+ */
+function pick(record, keys) {
+    for (const key of keys) {
+        const value = record[key];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+}
+
+/**
+ * Read a numeric field.
+ * @param {*} value - Raw value
+ * @returns {number|null} Parsed number, or null if missing or not a number
+ * @private
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Right ascension of a record in radians.
+ * @param {Object} record - Record with lower-case keys
+ * @returns {number} Right ascension (NaN if missing)
+ * @private
+ */
+function readRightAscension(record) {
+    if (record.rarad !== undefined && record.rarad !== '') return Number(record.rarad);
+    if (record.radeg !== undefined && record.radeg !== '') return Number(record.radeg) * Math.PI / 180;
+    if (record.ra === undefined || record.ra === '') return NaN;
+    return parseSexagesimal(record.ra) * Math.PI / 12;
+}
+
+/**
+ * Declination of a record in radians.
+ * @param {Object} record - Record with lower-case keys
+ * @returns {number} Declination (NaN if missing)
+ * @private
+ */
+function readDeclination(record) {
+    if (record.decrad !== undefined && record.decrad !== '') return Number(record.decrad);
+    const degrees = pick(record, ['decdeg', 'dec', 'de']);
+    if (degrees === undefined) return NaN;
+    return parseSexagesimal(degrees) * Math.PI / 180;
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields.
+ * @param {string} line - One line of CSV
+ * @returns {string[]} Field values
+ * @private
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Parse CSV text into records keyed by lower-case column name.
+ * @param {string} text - CSV with a header row
+ * @returns {Object[]} Records
+ * @private
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const header = splitCsvLine(lines[0]).map(name => name.trim().toLowerCase());
+    return lines.slice(1).map(line => {
+        const values = splitCsvLine(line);
+        const record = {};
+        header.forEach((name, i) => {
+            record[name] = values[i] !== undefined ? values[i].trim() : '';
+        });
+        return record;
+    });
+}
+
+/**
+ * Parse JSON text into records keyed by lower-case property name.
+ * Accepts an array of stars or an object with a `stars` array.
+ * @param {string} text - JSON text
+ * @returns {Object[]} Records
+ * @private
+ */
+function parseJson(text) {
+    const data = JSON.parse(text);
+    const stars = Array.isArray(data) ? data : data.stars;
+    if (!Array.isArray(stars)) {
+        throw new Error('Catalog JSON must be an array of stars or an object with a "stars" array');
+    }
+
+    return stars.map(star => {
+        const record = {};
+        Object.keys(star).forEach(key => {
+            record[key.toLowerCase()] = star[key];
+        });
+        return record;
+    });
+}
+
+/**
+ * Parse a star catalog from CSV or JSON text.
+ * Rows without a usable position or magnitude are skipped.
+ * @param {string} text - Catalog file contents
+ * @returns {CatalogStar[]} Catalog stars
+ * @throws {Error} If the file cannot be read or has no position or magnitude columns
+ */
+export function parseCatalog(text) {
+    const trimmed = text.trim();
+    const records = trimmed.startsWith('[') || trimmed.startsWith('{')
+        ? parseJson(trimmed)
+        : parseCsv(trimmed);
+
+    // One id column for the whole file, so numbers from different catalogs never mix
+    const idKey = records.length > 0 ? ID_KEYS.find(key => key in records[0]) : undefined;
+
+    const stars = [];
+    records.forEach(record => {
+        const ra = readRightAscension(record);
+        const dec = readDeclination(record);
+        const magnitude = toNumber(pick(record, MAGNITUDE_KEYS));
+        if (!Number.isFinite(ra) || !Number.isFinite(dec) || magnitude === null) return;
+
+        stars.push({
+            id: idKey ? toNumber(record[idKey]) : null,
+            ra,
+            dec,
+            magnitude,
+            colorIndex: toNumber(pick(record, COLOR_INDEX_KEYS)),
+            name: String(pick(record, NAME_KEYS) || '')
+        });
+    });
+
+    if (records.length > 0 && stars.length === 0) {
+        throw new Error('No stars with right ascension, declination and magnitude found in catalog');
+    }
+    return stars;
+}
+
+/**
+ * Fetch and parse a star catalog.
+ * @param {string} url - Catalog file URL
+ * @returns {Promise<CatalogStar[]>} Catalog stars
+ */
+export async function loadCatalog(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load catalog ${url}: ${response.status}`);
+    }
+    return parseCatalog(await response.text());
+}
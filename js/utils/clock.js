@@ -0,0 +1,72 @@
+/**
+ * Frame clocks for the starfield core.
+ * A clock tells the time and schedules frame callbacks; swapping it lets the
+ * same core run from requestAnimationFrame in a page, from a timer in a
+ * worker, or frame by frame under a test's control.
+ */
+
+/**
+ * Clock driven by the host's frame scheduler.
+ * Uses requestAnimationFrame where available (pages and most workers) and a
+ * 60fps timer otherwise.
+ * @type {{now: function(): number, requestFrame: function(Function): number, cancelFrame: function(number): void}}
+ */
+export const browserClock = typeof requestAnimationFrame === 'function'
+    ? {
+        now: () => performance.now(),
+        requestFrame: (callback) => requestAnimationFrame(callback),
+        cancelFrame: (id) => cancelAnimationFrame(id)
+    }
+    : {
+        now: () => performance.now(),
+        requestFrame: (callback) => setTimeout(() => callback(performance.now()), 1000 / 60),
+        cancelFrame: (id) => clearTimeout(id)
+    };
+
+/**
+ * Create a clock that only moves when told to.
+ * Frames requested from it run on the next `advance()`, with the advanced
+ * time as their timestamp, which makes a run fully reproducible.
+ * @param {number} [start=0] - Initial time in milliseconds
+ * @returns {{now: function(): number, requestFrame: function(Function): number, cancelFrame: function(number): void, advance: function(number, number=): number}} Manual clock
+ *
+ * @example
+ * const clock = createManualClock();
+ * const core = new StarfieldCore(ctx, { clock, viewport: { width: 800, height: 600 } });
+ * clock.advance(1000 / 60, 60); // Run one second at 60fps
+ */
+export function createManualClock(start = 0) {
+    let time = start;
+    let nextId = 1;
+    let pending = new Map();
+
+    return {
+        now: () => time,
+
+        requestFrame(callback) {
+            const id = nextId++;
+            pending.set(id, callback);
+            return id;
+        },
+
+        cancelFrame(id) {
+            pending.delete(id);
+        },
+
+        /**
+         * Move time forward and run the frames requested so far, once per step.
+         * @param {number} delta - Time per step in milliseconds
+         * @param {number} [steps=1] - Number of steps
+         * @returns {number} The new time
+         */
+        advance(delta, steps = 1) {
+            for (let i = 0; i < steps; i++) {
+                time += delta;
+                const callbacks = pending;
+                pending = new Map();
+                callbacks.forEach(callback => callback(time));
+            }
+            return time;
+        }
+    };
+}
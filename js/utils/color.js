@@ -0,0 +1,107 @@
+/**
+ * Colour conversions for star rendering.
+ * Stars are stored as HSL, so physical colour sources (temperature, colour
+ * index) are converted to HSL here.
+ */
+
+/**
+ * Parse a hex colour such as `#ffcc6f` or `#fc6`.
+ * @param {string} hex - Hex colour, with or without the leading `#`
+ * @returns {{r: number, g: number, b: number}|null} Colour channels (0-255), or null if unreadable
+ */
+export function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+
+    const digits = match[1].length === 3
+        ? match[1].split('').map(digit => digit + digit).join('')
+        : match[1];
+    return {
+        r: parseInt(digits.substring(0, 2), 16),
+        g: parseInt(digits.substring(2, 4), 16),
+        b: parseInt(digits.substring(4, 6), 16)
+    };
+}
+
+/**
+ * Convert an RGB colour to HSL.
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{hue: number, saturation: number, lightness: number}} Hue (0-360), saturation and lightness (0-100)
+ */
+export function rgbToHsl(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+
+    if (max === min) {
+        return { hue: 0, saturation: 0, lightness: lightness * 100 };
+    }
+
+    const d = max - min;
+    const saturation = lightness > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let hue;
+    if (max === r) {
+        hue = (g - b) / d + (g < b ? 6 : 0);
+    } else if (max === g) {
+        hue = (b - r) / d + 2;
+    } else {
+        hue = (r - g) / d + 4;
+    }
+
+    return { hue: hue * 60, saturation: saturation * 100, lightness: lightness * 100 };
+}
+
+/**
+ * Approximate the colour of a blackbody at a given temperature.
+ * Uses Tanner Helland's fit of the CIE colour matching data, valid from
+ * about 1000K to 40000K.
+ * @param {number} kelvin - Temperature in kelvin
+ * @returns {{r: number, g: number, b: number}} Colour channels (0-255)
+ */
+export function temperatureToRgb(kelvin) {
+    const t = Math.max(1000, Math.min(40000, kelvin)) / 100;
+    const clamp = (value) => Math.max(0, Math.min(255, value));
+
+    const r = t <= 66 ? 255 : clamp(329.698727446 * Math.pow(t - 60, -0.1332047592));
+    const g = t <= 66
+        ? clamp(99.4708025861 * Math.log(t) - 161.1195681661)
+        : clamp(288.1221695283 * Math.pow(t - 60, -0.0755148492));
+    let b;
+    if (t >= 66) {
+        b = 255;
+    } else if (t <= 19) {
+        b = 0;
+    } else {
+        b = clamp(138.5177312231 * Math.log(t - 10) - 305.0447927307);
+    }
+
+    return { r, g, b };
+}
+
+/**
+ * Star colour for a temperature, as HSL.
+ * @param {number} kelvin - Temperature in kelvin
+ * @returns {{hue: number, saturation: number, lightness: number}} Hue (0-360), saturation and lightness (0-100)
+ */
+export function temperatureToHsl(kelvin) {
+    const { r, g, b } = temperatureToRgb(kelvin);
+    return rgbToHsl(r, g, b);
+}
+
+/**
+ * Estimate the effective temperature of a star from its B−V colour index
+ * (Ballesteros 2012).
+ * @param {number} bv - B−V colour index
+ * @returns {number} Temperature in kelvin
+ */
+export function colorIndexToTemperature(bv) {
+    // The fit diverges for very blue indices; real stars stay within this range
+    const index = Math.max(-0.4, Math.min(2, bv));
+    return 4600 * (1 / (0.92 * index + 1.7) + 1 / (0.92 * index + 0.62));
+}
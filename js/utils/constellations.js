@@ -0,0 +1,110 @@
+/**
+ * Constellation figure loading.
+ * Reads Stellarium sky culture files: `constellationship.fab` (stick figures
+ * as pairs of Hipparcos star numbers) and `constellation_names.*.fab`
+ * (display names), and combines them into figures for the overlay.
+ */
+
+/**
+ * A constellation stick figure.
+ * @typedef {Object} ConstellationFigure
+ * @property {string} abbreviation - Constellation abbreviation, e.g. `Ori`
+ * @property {string} name - Display name (the abbreviation when no name is known)
+ * @property {number[]} segments - Catalog star ids, two per line segment
+ */
+
+/**
+ * Split a .fab file into meaningful lines, dropping blanks and comments.
+ * @param {string} text - File contents
+ * @returns {string[]} Trimmed lines
+ * @private
+ */
+function fabLines(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '' && !line.startsWith('#'));
+}
+
+/**
+ * Parse a `constellationship.fab` file.
+ * Each line holds an abbreviation, the number of segments and then two star
+ * ids per segment: `Ori 16 26727 26207 26207 25930 ...`.
+ * @param {string} text - File contents
+ * @returns {ConstellationFigure[]} Figures, named by abbreviation
+ * @throws {Error} If no figure could be read
+ */
+export function parseConstellationLines(text) {
+    const figures = [];
+
+    fabLines(text).forEach(line => {
+        const [abbreviation, countText, ...ids] = line.split(/\s+/);
+        const count = parseInt(countText, 10);
+        const segments = ids.slice(0, count * 2).map(Number);
+        if (!abbreviation || !(count > 0) || segments.length !== count * 2 || segments.some(id => !Number.isFinite(id))) {
+            console.error(`Skipping malformed constellation line: ${line}`);
+            return;
+        }
+        figures.push({ abbreviation, name: abbreviation, segments });
+    });
+
+    if (figures.length === 0) {
+        throw new Error('No constellation figures found');
+    }
+    return figures;
+}
+
+/**
+ * Parse a `constellation_names.*.fab` file.
+ * Lines look like `Ori  "Orion"  _("Orion")`; the translatable `_("…")`
+ * name is preferred over the native one.
+ * @param {string} text - File contents
+ * @returns {Map<string, string>} Display names by abbreviation
+ */
+export function parseConstellationNames(text) {
+    const names = new Map();
+
+    fabLines(text).forEach(line => {
+        const abbreviation = line.split(/\s+/)[0];
+        const translated = line.match(/_\("([^"]*)"\)/);
+        const native = line.match(/"([^"]*)"/);
+        const name = translated ? translated[1] : (native ? native[1] : '');
+        if (abbreviation && name) {
+            names.set(abbreviation, name);
+        }
+    });
+
+    return names;
+}
+
+/**
+ * Give figures their display names.
+ * @param {ConstellationFigure[]} figures - Figures from parseConstellationLines()
+ * @param {Map<string, string>} [names] - Names from parseConstellationNames()
+ * @returns {ConstellationFigure[]} New figures with names applied
+ */
+export function nameConstellations(figures, names) {
+    return figures.map(figure => ({
+        ...figure,
+        name: (names && names.get(figure.abbreviation)) || figure.abbreviation
+    }));
+}
+
+/**
+ * Fetch and parse constellation figures and, optionally, their names.
+ * @param {string} linesUrl - URL of a constellationship.fab file
+ * @param {string} [namesUrl] - URL of a constellation_names.*.fab file
+ * @returns {Promise<ConstellationFigure[]>} Named figures
+ */
+export async function loadConstellations(linesUrl, namesUrl) {
+    const fetchText = async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status}`);
+        }
+        return response.text();
+    };
+
+    const figures = parseConstellationLines(await fetchText(linesUrl));
+    const names = namesUrl ? parseConstellationNames(await fetchText(namesUrl)) : null;
+    return nameConstellations(figures, names);
+}
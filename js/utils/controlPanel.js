@@ -1,9 +1,11 @@
 /**
  * Control Panel Manager
- * Handles dragging, resizing, and minimizing the control panel
+ * Handles dragging, resizing, and minimizing the control panel, and builds
+ * the settings controls from their descriptors
  */
 import { saveConfig, loadConfig, STORAGE_KEYS } from '../config/index.js';
 import { showError } from './browser.js';
+import Utils from './utils.js';
 
 class ControlPanelManager {
     constructor() {
@@ -266,6 +268,262 @@ class ControlPanelManager {
         showError('Control panel hidden. Please refresh the page to restore it.');
     }
 
+    /**
+     * Build the settings controls from their descriptors (see config/controls.js).
+     * Consecutive controls of a section share a group; controls that depend on
+     * a setting are grouped in an indented block shown only while it applies.
+     * @param {Array<Object>} controls - Control descriptors, in panel order
+     * @param {Object} config - Configuration the controls show
+     * @param {function(Object, *): void} onChange - Called with the descriptor and the new value when a control is changed
+     * @param {function(string): void} [onReset] - Called with the section name when its reset button is pressed;
+     *   sections get no reset button without it
+     * @returns {void}
+     */
+    renderControls(controls, config, onChange, onReset) {
+        const container = this.panel && this.panel.querySelector('#controlSections');
+        if (!container) {
+            console.error('Control sections container not found');
+            return;
+        }
+
+        this.config = config;
+        this.fields = new Map();
+        this.dependentBlocks = [];
+
+        let sectionElement = null;
+        let block = null;
+        controls.forEach(control => {
+            if (!sectionElement || sectionElement.dataset.section !== control.section) {
+                sectionElement = document.createElement('div');
+                sectionElement.className = 'control-section';
+                sectionElement.dataset.section = control.section;
+                container.appendChild(sectionElement);
+                block = null;
+
+                if (onReset) {
+                    const resetButton = document.createElement('button');
+                    resetButton.className = 'section-reset';
+                    resetButton.textContent = '↺';
+                    resetButton.title = 'Reset to defaults';
+                    resetButton.setAttribute('aria-label', `Reset ${control.section} settings to defaults`);
+                    resetButton.addEventListener('click', () => onReset(control.section));
+                    sectionElement.appendChild(resetButton);
+                }
+            }
+
+            // Independent controls get a group each; dependent ones share a block
+            let parent;
+            if (!control.dependsOn) {
+                parent = document.createElement('div');
+                parent.className = 'control-group';
+                sectionElement.appendChild(parent);
+                block = null;
+            } else {
+                if (!block || JSON.stringify(block.dependsOn) !== JSON.stringify(control.dependsOn)) {
+                    block = { dependsOn: control.dependsOn, element: document.createElement('div') };
+                    block.element.className = 'control-group-block';
+                    sectionElement.appendChild(block.element);
+                    this.dependentBlocks.push(block);
+                }
+                parent = block.element;
+            }
+
+            const field = this._createField(control, (value) => {
+                onChange(control, value);
+                this.updateDependencies();
+            });
+            if (field) parent.appendChild(field);
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Show the current configuration in all generated controls.
+     * @param {Object} [config=this.config] - Configuration to show
+     * @returns {void}
+     */
+    refresh(config = this.config) {
+        if (!this.fields) return;
+        this.config = config;
+
+        this.fields.forEach(({ control, inputs, valueElement }) => {
+            const value = Utils.getPath(config, control.path);
+
+            if (control.type === 'toggle') {
+                inputs[0].checked = !!value;
+            } else if (control.type === 'palette') {
+                inputs.forEach((input, i) => {
+                    if (value && value[i]) input.value = value[i];
+                });
+            } else if (control.type === 'range' || control.type === 'number') {
+                inputs[0].value = value * (control.scale || 1);
+            } else {
+                inputs[0].value = String(value);
+            }
+
+            if (valueElement) valueElement.textContent = this._formatValue(control, value);
+        });
+
+        this.updateDependencies();
+    }
+
+    /**
+     * Show or hide the dependent blocks for the current configuration.
+     * @returns {void}
+     */
+    updateDependencies() {
+        if (!this.dependentBlocks) return;
+
+        this.dependentBlocks.forEach(({ dependsOn, element }) => {
+            const { path, equals } = typeof dependsOn === 'string' ? { path: dependsOn } : dependsOn;
+            const value = Utils.getPath(this.config, path);
+            element.style.display = (equals === undefined ? !!value : value === equals) ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Get the input element of a generated control.
+     * @param {string} path - Config path of the setting
+     * @returns {HTMLElement|null} The (first) input, or null if the setting has no control
+     */
+    getInput(path) {
+        const field = this.fields && this.fields.get(path);
+        return field ? field.inputs[0] : null;
+    }
+
+    /**
+     * Create the markup of one control and bind its input events.
+     * @param {Object} control - Control descriptor
+     * @param {function(*): void} change - Called with the new value
+     * @returns {HTMLElement|null} The control element, or null if it cannot be built
+     * @private
+     */
+    _createField(control, change) {
+        if (control.type === 'element') {
+            const element = document.getElementById(control.id);
+            if (!element) {
+                console.error(`Control element '${control.id}' not found`);
+                return null;
+            }
+            element.classList.add('control-field');
+            return element;
+        }
+
+        const id = control.id || control.path.replace(/\.(\w)/g, (match, letter) => letter.toUpperCase());
+        const field = document.createElement('div');
+        field.className = 'control-field';
+        let inputs = [];
+        let valueElement = null;
+
+        switch (control.type) {
+            case 'toggle': {
+                field.innerHTML = `
+                    <label class="toggle-container">
+                        <input type="checkbox" id="${id}">
+                        <span class="toggle-slider"></span>
+                        <span class="toggle-label">${control.label}</span>
+                    </label>`;
+                inputs = [field.querySelector('input')];
+                inputs[0].addEventListener('change', (e) => change(e.target.checked));
+                break;
+            }
+
+            case 'range': {
+                field.innerHTML = `
+                    <label for="${id}">${control.label}: <span id="${id}Value"></span>${control.unit || ''}</label>
+                    <input type="range" id="${id}" min="${control.min}" max="${control.max}" step="${control.step}">`;
+                inputs = [field.querySelector('input')];
+                valueElement = field.querySelector('span');
+                inputs[0].addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value) / (control.scale || 1);
+                    valueElement.textContent = this._formatValue(control, value);
+                    change(value);
+                });
+                break;
+            }
+
+            case 'number': {
+                field.innerHTML = `
+                    <label for="${id}">${control.label}</label>
+                    <input type="number" id="${id}" class="control-input" min="${control.min}" max="${control.max}" step="${control.step}">`;
+                inputs = [field.querySelector('input')];
+                inputs[0].addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (Number.isFinite(value)) {
+                        change(Utils.clamp(value, control.min, control.max) / (control.scale || 1));
+                    }
+                });
+                break;
+            }
+
+            case 'select': {
+                field.innerHTML = `
+                    <label for="${id}">${control.label}</label>
+                    <select id="${id}" class="control-select"></select>`;
+                inputs = [field.querySelector('select')];
+                control.options.forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.value = String(value);
+                    option.textContent = label;
+                    inputs[0].appendChild(option);
+                });
+                // Option values are strings; hand back the typed value
+                inputs[0].addEventListener('change', (e) => {
+                    const option = control.options.find(([value]) => String(value) === e.target.value);
+                    if (option) change(option[0]);
+                });
+                break;
+            }
+
+            case 'color': {
+                field.innerHTML = `
+                    <label for="${id}">${control.label}</label>
+                    <input type="color" id="${id}" class="color-input">`;
+                inputs = [field.querySelector('input')];
+                inputs[0].addEventListener('input', (e) => change(e.target.value));
+                break;
+            }
+
+            case 'palette': {
+                field.innerHTML = `<label>${control.label}</label><div class="color-row"></div>`;
+                const row = field.querySelector('.color-row');
+                for (let i = 0; i < control.count; i++) {
+                    const input = document.createElement('input');
+                    input.type = 'color';
+                    input.id = `${id}${i}`;
+                    input.className = 'color-input';
+                    row.appendChild(input);
+                    inputs.push(input);
+                }
+                // The palette is replaced as a whole so it is saved as one array
+                inputs.forEach(input => {
+                    input.addEventListener('input', () => change(inputs.map(colorInput => colorInput.value)));
+                });
+                break;
+            }
+
+            default:
+                console.error(`Unknown control type '${control.type}' for '${control.path}'`);
+                return null;
+        }
+
+        this.fields.set(control.path, { control, inputs, valueElement });
+        return field;
+    }
+
+    /**
+     * Format a value for the label of a range.
+     * @param {Object} control - Control descriptor
+     * @param {number} value - Stored value
+     * @returns {string} Displayed value
+     * @private
+     */
+    _formatValue(control, value) {
+        const shown = Number(value) * (control.scale || 1);
+        return control.digits !== undefined ? shown.toFixed(control.digits) : String(Math.round(shown * 1000) / 1000);
+    }
+
 }
 
 // Export the ControlPanelManager class as default
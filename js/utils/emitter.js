@@ -0,0 +1,60 @@
+/**
+ * Minimal event emitter used by the visualization subsystems
+ * to notify the UI of state changes.
+ */
+
+class Emitter {
+    constructor() {
+        /** @type {Map<string, Set<Function>>} Listeners by event name */
+        this._listeners = new Map();
+    }
+
+    /**
+     * Register a listener for an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} A function that removes the listener
+     */
+    on(event, listener) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Remove a previously registered listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     * @returns {void}
+     */
+    off(event, listener) {
+        const listeners = this._listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {*} [payload] - Value passed to every listener
+     * @returns {void}
+     */
+    emit(event, payload) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+
+        listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in '${event}' listener:`, error);
+            }
+        });
+    }
+}
+
+// Export the Emitter class as default
+export default Emitter;
@@ -0,0 +1,95 @@
+/**
+ * Gradient noise for smoothly varying fields (Ken Perlin's improved noise).
+ * The permutation is shuffled with a seeded generator, so the same seed
+ * always gives the same field.
+ */
+
+/**
+ * Gradient directions: the midpoints of the edges of a cube
+ * @type {number[][]}
+ */
+const GRADIENTS = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+/**
+ * Quintic ease curve (6t^5 - 15t^4 + 10t^3), smooth to the second derivative.
+ * @param {number} t - Position in the cell (0-1)
+ * @returns {number} Eased position
+ */
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Linear interpolation.
+ * @param {number} a - Value at t = 0
+ * @param {number} b - Value at t = 1
+ * @param {number} t - Position between them
+ * @returns {number} Interpolated value
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Create a 3D noise function.
+ * @param {function(): number} [random=Math.random] - Generator returning numbers in [0, 1), used to shuffle the permutation
+ * @returns {function(number, number, number): number} Noise at a point, roughly in [-1, 1] and 0 at whole coordinates
+ */
+export function createNoise3D(random = Math.random) {
+    // Shuffled 0-255, repeated so lookups never need to wrap
+    const permutation = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) permutation[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = permutation[i & 255];
+
+    const dot = (hash, x, y, z) => {
+        const g = GRADIENTS[hash % 12];
+        return g[0] * x + g[1] * y + g[2] * z;
+    };
+
+    return function noise3D(x, y, z) {
+        const floorX = Math.floor(x);
+        const floorY = Math.floor(y);
+        const floorZ = Math.floor(z);
+        const X = floorX & 255;
+        const Y = floorY & 255;
+        const Z = floorZ & 255;
+        x -= floorX;
+        y -= floorY;
+        z -= floorZ;
+
+        const u = fade(x);
+        const v = fade(y);
+        const w = fade(z);
+
+        // Hash the eight corners of the cell
+        const A = perm[X] + Y;
+        const AA = perm[A] + Z;
+        const AB = perm[A + 1] + Z;
+        const B = perm[X + 1] + Y;
+        const BA = perm[B] + Z;
+        const BB = perm[B + 1] + Z;
+
+        return lerp(
+            lerp(
+                lerp(dot(perm[AA], x, y, z), dot(perm[BA], x - 1, y, z), u),
+                lerp(dot(perm[AB], x, y - 1, z), dot(perm[BB], x - 1, y - 1, z), u),
+                v
+            ),
+            lerp(
+                lerp(dot(perm[AA + 1], x, y, z - 1), dot(perm[BA + 1], x - 1, y, z - 1), u),
+                lerp(dot(perm[AB + 1], x, y - 1, z - 1), dot(perm[BB + 1], x - 1, y - 1, z - 1), u),
+                v
+            ),
+            w
+        );
+    };
+}
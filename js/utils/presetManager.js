@@ -0,0 +1,248 @@
+/**
+ * Preset Manager
+ * Keeps named configuration profiles in storage next to the main config,
+ * alongside the built-in presets, and moves them in and out of .json files.
+ */
+import { saveConfig, loadConfig, upgradeConfig, STORAGE_KEYS } from '../config/index.js';
+import { CONFIG_VERSION } from '../config/defaults.js';
+import { BUILT_IN_PRESETS } from '../config/presets.js';
+
+/** Format marker written to exported preset files */
+const EXPORT_FORMAT = 'cosmic-sky-presets';
+const EXPORT_VERSION = 1;
+
+class PresetManager {
+    /**
+     * Create a new PresetManager instance and load the saved presets.
+     * @param {Object} [options={}] - Configuration options
+     * @param {Object<string, Object>} [options.builtIns=BUILT_IN_PRESETS] - Read-only presets
+     * @param {string} [options.storageKey=STORAGE_KEYS.PRESETS] - Storage key of the user presets
+     */
+    constructor(options = {}) {
+        this.builtIns = options.builtIns || BUILT_IN_PRESETS;
+        this.storageKey = options.storageKey || STORAGE_KEYS.PRESETS;
+
+        const saved = loadConfig(this.storageKey) || {};
+
+        /** @type {Object<string, Object>} User presets by name */
+        this.presets = saved.presets && typeof saved.presets === 'object' ? saved.presets : {};
+
+        /** @type {string|null} Name of the preset applied last */
+        this.active = typeof saved.active === 'string' ? saved.active : null;
+    }
+
+    /**
+     * List all presets, built-in ones first.
+     * @returns {Array<{name: string, builtIn: boolean}>} Preset names
+     */
+    list() {
+        const builtIn = Object.keys(this.builtIns).map(name => ({ name, builtIn: true }));
+        const user = Object.keys(this.presets)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ name, builtIn: false }));
+        return [...builtIn, ...user];
+    }
+
+    /**
+     * Whether a preset exists.
+     * @param {string} name - Preset name
+     * @returns {boolean} True if a built-in or user preset has this name
+     */
+    has(name) {
+        return this.isBuiltIn(name) || Object.prototype.hasOwnProperty.call(this.presets, name);
+    }
+
+    /**
+     * Whether a preset is built in (and therefore read-only).
+     * @param {string} name - Preset name
+     * @returns {boolean} True for built-in presets
+     */
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(this.builtIns, name);
+    }
+
+    /**
+     * Get the full configuration of a preset.
+     * @param {string} name - Preset name
+     * @returns {Object|null} A copy of the preset, upgraded, validated and merged with the defaults, or null if there is none
+     */
+    get(name) {
+        if (!this.has(name)) return null;
+
+        // Built-in presets always match the current version
+        const builtIn = this.isBuiltIn(name);
+        const preset = builtIn ? this.builtIns[name] : this.presets[name];
+        return upgradeConfig(preset, {
+            fromVersion: builtIn ? CONFIG_VERSION : undefined,
+            source: `preset '${name}'`
+        }).config;
+    }
+
+    /**
+     * Save a configuration as a user preset, replacing one with the same name.
+     * @param {string} name - Preset name
+     * @param {Object} config - Configuration to save (copied)
+     * @returns {boolean} True if saved to storage
+     * @throws {Error} If the name is empty or belongs to a built-in preset
+     */
+    save(name, config) {
+        const trimmed = this._validateName(name);
+        this.presets[trimmed] = clone(config);
+        this.active = trimmed;
+        return this._persist();
+    }
+
+    /**
+     * Rename a user preset.
+     * @param {string} from - Current name
+     * @param {string} to - New name
+     * @returns {boolean} True if saved to storage
+     * @throws {Error} If the preset is missing or built in, or the new name is taken
+     */
+    rename(from, to) {
+        if (this.isBuiltIn(from)) {
+            throw new Error(`Built-in preset '${from}' cannot be renamed`);
+        }
+        if (!this.has(from)) {
+            throw new Error(`Preset '${from}' does not exist`);
+        }
+        const trimmed = this._validateName(to);
+        if (trimmed === from) return true;
+        if (this.has(trimmed)) {
+            throw new Error(`A preset named '${trimmed}' already exists`);
+        }
+
+        this.presets[trimmed] = this.presets[from];
+        delete this.presets[from];
+        if (this.active === from) this.active = trimmed;
+        return this._persist();
+    }
+
+    /**
+     * Delete a user preset.
+     * @param {string} name - Preset name
+     * @returns {boolean} True if the preset existed and storage was updated
+     * @throws {Error} If the preset is built in
+     */
+    delete(name) {
+        if (this.isBuiltIn(name)) {
+            throw new Error(`Built-in preset '${name}' cannot be deleted`);
+        }
+        if (!this.has(name)) return false;
+
+        delete this.presets[name];
+        if (this.active === name) this.active = null;
+        return this._persist();
+    }
+
+    /**
+     * Remember which preset is applied, so the panel can show it after a reload.
+     * @param {string|null} name - Preset name, or null for none
+     * @returns {boolean} True if saved to storage
+     */
+    setActive(name) {
+        this.active = name && this.has(name) ? name : null;
+        return this._persist();
+    }
+
+    /**
+     * Serialize presets for a .json file.
+     * @param {string[]} [names] - Presets to export (all user presets when omitted)
+     * @returns {string} JSON text
+     */
+    export(names = Object.keys(this.presets)) {
+        const presets = names
+            .filter(name => this.has(name))
+            .map(name => ({
+                name,
+                config: clone(this.isBuiltIn(name) ? this.builtIns[name] : this.presets[name])
+            }));
+
+        return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, presets }, null, 2);
+    }
+
+    /**
+     * Add the presets of an exported .json file.
+     * Names that are already taken get a numbered suffix.
+     * @param {string} text - File contents
+     * @returns {string[]} Names the presets were saved under
+     * @throws {Error} If the file is not a preset export
+     */
+    import(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.presets)) {
+            throw new Error('Not a preset file');
+        }
+
+        const imported = [];
+        data.presets.forEach(preset => {
+            if (!preset || typeof preset.name !== 'string' || !preset.name.trim() ||
+                !preset.config || typeof preset.config !== 'object' || Array.isArray(preset.config)) {
+                console.error('Skipping invalid preset:', preset);
+                return;
+            }
+
+            const name = this._uniqueName(preset.name.trim());
+            this.presets[name] = preset.config;
+            imported.push(name);
+        });
+
+        if (imported.length === 0) {
+            throw new Error('No valid presets found in file');
+        }
+        this._persist();
+        return imported;
+    }
+
+    /**
+     * Check a name for a user preset.
+     * @param {string} name - Proposed name
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty or belongs to a built-in preset
+     * @private
+     */
+    _validateName(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Preset name cannot be empty');
+        }
+        if (this.isBuiltIn(trimmed)) {
+            throw new Error(`'${trimmed}' is a built-in preset name`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Find a free name, adding " (2)", " (3)"... if needed.
+     * @param {string} name - Preferred name
+     * @returns {string} Name no preset uses yet
+     * @private
+     */
+    _uniqueName(name) {
+        if (!this.has(name)) return name;
+        let suffix = 2;
+        while (this.has(`${name} (${suffix})`)) suffix++;
+        return `${name} (${suffix})`;
+    }
+
+    /**
+     * Write the user presets to storage.
+     * @returns {boolean} True if saved successfully
+     * @private
+     */
+    _persist() {
+        return saveConfig({ presets: this.presets, active: this.active }, this.storageKey);
+    }
+}
+
+/**
+ * Deep copy a plain configuration object.
+ * @param {Object} value - Object to copy
+ * @returns {Object} Copy
+ * @private
+ */
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+export default PresetManager;
@@ -0,0 +1,87 @@
+/**
+ * Sky projections: map spherical coordinates (longitude/latitude, e.g. right
+ * ascension/declination or azimuth/altitude, in radians) around a view centre
+ * onto a plane. Projected coordinates are in radians-like units with x towards
+ * increasing longitude and y towards increasing latitude; callers scale and
+ * flip them onto the canvas.
+ */
+
+/**
+ * Supported projection names.
+ * - `stereographic` - conformal, keeps constellation shapes; the usual planisphere look
+ * - `equirectangular` - longitude and latitude as straight x/y, whole sky at once
+ * - `orthographic` - the celestial sphere as seen from outside, one hemisphere
+ * @type {string[]}
+ */
+export const PROJECTIONS = ['stereographic', 'equirectangular', 'orthographic'];
+
+/** Stereographic points further than this from the centre are dropped (their scale blows up) */
+const STEREOGRAPHIC_LIMIT = Math.cos(Math.PI * 0.9);
+
+/**
+ * Wrap an angle to the range -π to π.
+ * @param {number} angle - Angle in radians
+ * @returns {number} Wrapped angle
+ */
+export function wrapAngle(angle) {
+    return angle - Math.PI * 2 * Math.floor((angle + Math.PI) / (Math.PI * 2));
+}
+
+/**
+ * Project a point of the sphere around a view centre.
+ * @param {string} projection - One of {@link PROJECTIONS}
+ * @param {number} lon - Longitude of the point in radians
+ * @param {number} lat - Latitude of the point in radians
+ * @param {number} lon0 - Longitude of the view centre in radians
+ * @param {number} lat0 - Latitude of the view centre in radians
+ * @param {{x: number, y: number, visible: boolean}} [out={}] - Object to write the result to
+ * @returns {{x: number, y: number, visible: boolean}} Projected point; `visible` is false where the projection is undefined
+ */
+export function project(projection, lon, lat, lon0, lat0, out = {}) {
+    const dLon = lon - lon0;
+
+    if (projection === 'equirectangular') {
+        out.x = wrapAngle(dLon);
+        out.y = lat - lat0;
+        out.visible = true;
+        return out;
+    }
+
+    const sinLat = Math.sin(lat);
+    const cosLat = Math.cos(lat);
+    const sinLat0 = Math.sin(lat0);
+    const cosLat0 = Math.cos(lat0);
+    const cosDLon = Math.cos(dLon);
+
+    // Cosine of the angular distance from the view centre
+    const cosC = sinLat0 * sinLat + cosLat0 * cosLat * cosDLon;
+    const x = cosLat * Math.sin(dLon);
+    const y = cosLat0 * sinLat - sinLat0 * cosLat * cosDLon;
+
+    if (projection === 'orthographic') {
+        out.x = x;
+        out.y = y;
+        out.visible = cosC >= 0; // Far hemisphere is hidden
+        return out;
+    }
+
+    // Stereographic
+    const k = 2 / (1 + cosC);
+    out.x = x * k;
+    out.y = y * k;
+    out.visible = cosC > STEREOGRAPHIC_LIMIT;
+    return out;
+}
+
+/**
+ * Projected distance from the centre of a point at a given angular distance,
+ * used to fit a field of view to the canvas.
+ * @param {string} projection - One of {@link PROJECTIONS}
+ * @param {number} angle - Angular distance from the view centre in radians
+ * @returns {number} Distance in projected units
+ */
+export function projectedRadius(projection, angle) {
+    if (projection === 'equirectangular') return angle;
+    if (projection === 'orthographic') return Math.sin(Math.min(angle, Math.PI / 2));
+    return 2 * Math.tan(Math.min(angle, Math.PI * 0.9) / 2);
+}
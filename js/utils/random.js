@@ -0,0 +1,52 @@
+/**
+ * Seedable pseudo-random number generation for reproducible skies.
+ * A generator is a plain function returning numbers in [0, 1), so it can be
+ * passed anywhere `Math.random` is expected.
+ */
+
+/**
+ * Normalize any value to an unsigned 32-bit seed.
+ * Numeric strings are parsed, other strings are hashed.
+ * @param {number|string} value - Seed value
+ * @returns {number} Seed in the range 0 to 2^32 - 1
+ */
+export function normalizeSeed(value) {
+    const number = Number(value);
+    if (value !== '' && Number.isFinite(number)) {
+        return Math.abs(Math.floor(number)) >>> 0;
+    }
+
+    // FNV-1a hash for non-numeric seeds
+    let hash = 0x811c9dc5;
+    const text = String(value);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Pick a fresh random seed.
+ * @returns {number} Seed in the range 0 to 2^32 - 1
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32).
+ * The same seed always yields the same sequence.
+ * @param {number|string} seed - Seed value
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,140 @@
+/**
+ * Settings History
+ * Undo and redo stacks of the settings changed from the control panel.
+ * Each entry is a list of changes `{ control, before, after }` made together
+ * (one control, or every control of a section reset at once). Repeated changes
+ * of the same setting are merged into one entry until the history is sealed,
+ * so a whole slider drag is undone in one step.
+ */
+import Emitter from './emitter.js';
+
+/**
+ * @typedef {Object} SettingChange
+ * @property {Object} control - Control descriptor (see config/controls.js)
+ * @property {*} before - Value before the change
+ * @property {*} after - Value after the change
+ */
+
+/**
+ * @extends Emitter
+ */
+class SettingsHistory extends Emitter {
+    /**
+     * Create a new SettingsHistory instance.
+     * @param {Object} [options={}] - Configuration options
+     * @param {number} [options.limit=100] - Entries kept for undo
+     */
+    constructor(options = {}) {
+        super();
+
+        this.limit = options.limit || 100;
+
+        /** @type {Array<SettingChange[]>} */
+        this.undoStack = [];
+
+        /** @type {Array<SettingChange[]>} */
+        this.redoStack = [];
+
+        /** @type {boolean} Whether the next change starts a new entry */
+        this.sealed = true;
+    }
+
+    /**
+     * Whether there is a change to undo.
+     * @returns {boolean} True if undo() has something to return
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone change to redo.
+     * @returns {boolean} True if redo() has something to return
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Record changes that were just applied.
+     * A single change of the same setting as the open entry is merged into it.
+     * @param {SettingChange[]} changes - Changes made together
+     * @returns {void}
+     */
+    record(changes) {
+        if (changes.length === 0) return;
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (!this.sealed && last && changes.length === 1 && last.length === 1 &&
+            last[0].control.path === changes[0].control.path) {
+            last[0].after = changes[0].after;
+        } else {
+            this.undoStack.push(changes);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.sealed = changes.length > 1;
+        this.emit('change', this._payload());
+    }
+
+    /**
+     * Close the open entry, so the next change starts a new one.
+     * @returns {void}
+     */
+    seal() {
+        this.sealed = true;
+    }
+
+    /**
+     * Take the latest entry off the undo stack.
+     * @returns {SettingChange[]|null} Changes to revert (apply each `before`), or null if there are none
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.redoStack.push(entry);
+        this.sealed = true;
+        this.emit('change', this._payload());
+        return entry;
+    }
+
+    /**
+     * Take the latest undone entry off the redo stack.
+     * @returns {SettingChange[]|null} Changes to apply again (apply each `after`), or null if there are none
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.undoStack.push(entry);
+        this.sealed = true;
+        this.emit('change', this._payload());
+        return entry;
+    }
+
+    /**
+     * Forget all entries.
+     * @returns {void}
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sealed = true;
+        this.emit('change', this._payload());
+    }
+
+    /**
+     * Build the payload of 'change' events.
+     * @returns {{canUndo: boolean, canRedo: boolean}} Stack state
+     * @private
+     */
+    _payload() {
+        return { canUndo: this.canUndo, canRedo: this.canRedo };
+    }
+}
+
+export default SettingsHistory;
@@ -0,0 +1,123 @@
+/**
+ * Star colour models.
+ * Each generated star gets its own colour, drawn from one of several
+ * distributions:
+ * - `temperature` - blackbody colour of a temperature sampled from the
+ *   main-sequence population, so most stars are cool orange-red dwarfs and
+ *   hot blue-white stars are rare
+ * - `hueRange` - a random hue between `starHueMin` and `starHueMax` with the
+ *   configured saturation and lightness
+ * - `palette` - a random point on a gradient through the `palette` colours
+ */
+
+import { hexToRgb, rgbToHsl, temperatureToHsl } from './color.js';
+
+/** @type {string[]} Supported colour model names */
+export const STAR_COLOR_MODELS = ['temperature', 'hueRange', 'palette'];
+
+/**
+ * Main-sequence spectral classes with their temperature ranges in kelvin and
+ * their share of the stellar population.
+ * @type {Array<{type: string, minTemperature: number, maxTemperature: number, weight: number}>}
+ */
+export const SPECTRAL_CLASSES = [
+    { type: 'O', minTemperature: 30000, maxTemperature: 50000, weight: 0.0000003 },
+    { type: 'B', minTemperature: 10000, maxTemperature: 30000, weight: 0.0013 },
+    { type: 'A', minTemperature: 7500, maxTemperature: 10000, weight: 0.006 },
+    { type: 'F', minTemperature: 6000, maxTemperature: 7500, weight: 0.03 },
+    { type: 'G', minTemperature: 5200, maxTemperature: 6000, weight: 0.076 },
+    { type: 'K', minTemperature: 3700, maxTemperature: 5200, weight: 0.121 },
+    { type: 'M', minTemperature: 2400, maxTemperature: 3700, weight: 0.7645 }
+];
+
+const TOTAL_WEIGHT = SPECTRAL_CLASSES.reduce((sum, spectralClass) => sum + spectralClass.weight, 0);
+
+/** Blackbody white is 100% lightness; capped so the glow still shows a core */
+const MAX_LIGHTNESS = 92;
+
+/** Palette used when the configured one has no readable colours */
+const DEFAULT_PALETTE = ['#9bb0ff', '#fff4ea', '#ffb56c'];
+
+/**
+ * Sample a stellar temperature from the main-sequence population.
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ * @returns {number} Temperature in kelvin
+ */
+export function sampleTemperature(random) {
+    let pick = random() * TOTAL_WEIGHT;
+    let spectralClass = SPECTRAL_CLASSES[SPECTRAL_CLASSES.length - 1];
+    for (const candidate of SPECTRAL_CLASSES) {
+        if (pick < candidate.weight) {
+            spectralClass = candidate;
+            break;
+        }
+        pick -= candidate.weight;
+    }
+
+    const { minTemperature, maxTemperature } = spectralClass;
+    return minTemperature + random() * (maxTemperature - minTemperature);
+}
+
+/**
+ * Star colour of a blackbody, as HSL, with the lightness capped for drawing.
+ * @param {number} kelvin - Temperature in kelvin
+ * @returns {{hue: number, saturation: number, lightness: number}} Hue (0-360), saturation and lightness (0-100)
+ */
+export function temperatureToStarColor(kelvin) {
+    const color = temperatureToHsl(kelvin);
+    color.lightness = Math.min(color.lightness, MAX_LIGHTNESS);
+    return color;
+}
+
+/**
+ * Create a colour sampler for the configured model.
+ * @param {Object} [colors={}] - Colour settings (CONFIG.colors)
+ * @param {string} [colors.model='temperature'] - One of {@link STAR_COLOR_MODELS}
+ * @param {number} [colors.starHueMin] - Lowest hue of the `hueRange` model
+ * @param {number} [colors.starHueMax] - Highest hue of the `hueRange` model
+ * @param {number} [colors.starSaturation] - Saturation of the `hueRange` model (0-100)
+ * @param {number} [colors.starLightness] - Lightness of the `hueRange` model (0-100)
+ * @param {string[]} [colors.palette] - Hex colours of the `palette` gradient, evenly spaced
+ * @returns {function(function(): number): {hue: number, saturation: number, lightness: number}} Sampler taking a random generator
+ */
+export function createStarColorModel(colors = {}) {
+    const model = STAR_COLOR_MODELS.includes(colors.model) ? colors.model : 'temperature';
+
+    if (model === 'hueRange') {
+        const hueMin = Number(colors.starHueMin) || 0;
+        const hueMax = Number(colors.starHueMax) || hueMin;
+        const saturation = colors.starSaturation !== undefined ? Number(colors.starSaturation) : 80;
+        const lightness = colors.starLightness !== undefined ? Number(colors.starLightness) : 80;
+        return (random) => ({
+            hue: hueMin + random() * (hueMax - hueMin),
+            saturation,
+            lightness
+        });
+    }
+
+    if (model === 'palette') {
+        let stops = (colors.palette || []).map(hexToRgb).filter(Boolean);
+        if (stops.length === 0) {
+            console.error('Star colour palette has no readable colours, using the default palette');
+            stops = DEFAULT_PALETTE.map(hexToRgb);
+        }
+        // A single colour is a gradient from itself to itself
+        if (stops.length === 1) stops.push(stops[0]);
+
+        return (random) => {
+            // Interpolate between the two stops around a random point of the gradient
+            const position = random() * (stops.length - 1);
+            const index = Math.min(Math.floor(position), stops.length - 2);
+            const from = stops[index];
+            const to = stops[index + 1];
+            const t = position - index;
+            return rgbToHsl(
+                from.r + (to.r - from.r) * t,
+                from.g + (to.g - from.g) * t,
+                from.b + (to.b - from.b) * t
+            );
+        };
+    }
+
+    return (random) => temperatureToStarColor(sampleTemperature(random));
+}
@@ -1,19 +1,179 @@
 /**
- * Storage module for handling configuration persistence in localStorage.
- * Provides methods to save, load, and merge configurations.
+ * Storage module for handling configuration persistence.
+ * Provides methods to save and load configurations; validation and
+ * defaults are handled by the config schema. Items are kept in a pluggable
+ * backend (see storageBackends.js) under a key prefix, so clearing removes
+ * only this app's keys. When the backend can't be opened or refuses a write
+ * (quota, private mode), settings are kept in memory for the session.
  */
 
-import { STORAGE_KEYS } from '../config/index.js';
+import { STORAGE_KEYS, STORAGE_OPTIONS } from '../config/defaults.js';
+import { MemoryStorageBackend, WebStorageBackend, IndexedDBStorageBackend } from './storageBackends.js';
 
 /**
- * Save configuration to localStorage.
+ * Keys the settings were stored under in localStorage before they were prefixed.
+ * @type {Object<string, string>}
+ */
+const LEGACY_KEYS = {
+    [STORAGE_KEYS.MAIN_CONFIG]: 'cosmicGalaxyConfig',
+    [STORAGE_KEYS.CONTROL_PANEL]: 'controlPanelState',
+    [STORAGE_KEYS.PRESETS]: 'cosmicGalaxyPresets'
+};
+
+/** @type {Object|null} - Backend in use; opened by initStorage() */
+let backend = null;
+
+/** @type {Object|null} - Backend opened by initStorage(), kept after a fallback to memory so it can still be cleared */
+let openedBackend = null;
+
+/** @type {string} - Prefix of every key */
+let prefix = STORAGE_OPTIONS.prefix;
+
+/**
+ * Create a backend by name.
+ * @param {string} name - 'localStorage', 'sessionStorage', 'indexedDB' or 'memory'
+ * @returns {Object} The backend (not opened yet)
+ */
+function createBackend(name) {
+    switch (name) {
+        case 'localStorage':
+        case 'sessionStorage':
+            return new WebStorageBackend(name);
+        case 'indexedDB':
+            return new IndexedDBStorageBackend();
+        case 'memory':
+            return new MemoryStorageBackend();
+        default:
+            console.warn(`Unknown storage backend '${name}', using localStorage`);
+            return new WebStorageBackend('localStorage');
+    }
+}
+
+/**
+ * Open the storage backend. Call it once before reading any settings; the
+ * IndexedDB backend loads its items asynchronously.
+ * @param {Object} [options=STORAGE_OPTIONS] - Storage options
+ * @param {string} [options.backend] - Backend name
+ * @param {string} [options.prefix] - Prefix of every key
+ * @returns {Promise<string>} Name of the backend in use (memory if the chosen one failed)
+ */
+async function initStorage(options = STORAGE_OPTIONS) {
+    // An empty prefix would let clearStorage() remove other apps' keys
+    prefix = options.prefix || STORAGE_OPTIONS.prefix;
+
+    const chosen = createBackend(options.backend || STORAGE_OPTIONS.backend);
+    try {
+        await chosen.open();
+        backend = chosen;
+        openedBackend = chosen;
+    } catch (error) {
+        console.warn(`Storage '${chosen.name}' is unavailable, keeping settings in memory for this session:`, error);
+        backend = new MemoryStorageBackend();
+    }
+
+    await moveLegacyItems();
+    return backend.name;
+}
+
+/**
+ * Get the backend, falling back to memory if storage wasn't initialized.
+ * @returns {Object} The backend in use
+ */
+function getBackend() {
+    if (!backend) {
+        console.warn('Storage used before initStorage(); keeping settings in memory');
+        backend = new MemoryStorageBackend();
+    }
+    return backend;
+}
+
+/**
+ * Move settings saved under the old, unprefixed localStorage keys into the
+ * current backend, unless it already has them. The old keys are only removed
+ * once the backend has stored them for good.
+ * @returns {Promise<void>} Resolves when the move is done or given up
+ */
+async function moveLegacyItems() {
+    // Keep them where they are if they can't be saved anywhere lasting
+    if (!backend.persistent) return;
+
+    let legacy;
+    const moved = [];
+    try {
+        legacy = globalThis.localStorage;
+        if (!legacy) return;
+
+        Object.entries(LEGACY_KEYS).forEach(([name, legacyKey]) => {
+            const value = legacy.getItem(legacyKey);
+            if (value === null) return;
+
+            if (backend.getItem(prefix + name) === null) {
+                writeItem(name, value);
+            }
+            moved.push(legacyKey);
+        });
+    } catch (error) {
+        // localStorage is blocked; there is nothing to move
+        return;
+    }
+    if (moved.length === 0) return;
+
+    // A refused write switched to memory for the session
+    const target = backend;
+    if (!target.persistent) return;
+
+    try {
+        await target.flush();
+    } catch (error) {
+        console.warn('Keeping the settings under their old keys, as they could not be moved:', error);
+        return;
+    }
+
+    try {
+        moved.forEach(legacyKey => legacy.removeItem(legacyKey));
+    } catch (error) {
+        // localStorage became blocked; the old keys are harmless, as the backend has the settings
+    }
+}
+
+/**
+ * Write an item, switching to memory if the backend refuses it.
+ * @param {string} name - Item name (without prefix)
+ * @param {string} value - Value to store
+ * @returns {void}
+ */
+function writeItem(name, value) {
+    const current = getBackend();
+    try {
+        current.setItem(prefix + name, value);
+    } catch (error) {
+        if (current instanceof MemoryStorageBackend) throw error;
+
+        console.warn(`Storage '${current.name}' refused to save '${name}', keeping settings in memory for this session:`, error);
+        backend = new MemoryStorageBackend();
+        ownKeys(current).forEach(key => backend.setItem(key, current.getItem(key)));
+        backend.setItem(prefix + name, value);
+    }
+}
+
+/**
+ * List this app's keys in a backend.
+ * @param {Object} target - Backend to list
+ * @returns {string[]} Keys starting with the prefix
+ */
+function ownKeys(target) {
+    return target.keys().filter(key => key.startsWith(prefix));
+}
+
+/**
+ * Save configuration to storage.
  * @param {Object} config - The configuration object to save
  * @param {string} [name=STORAGE_KEYS.MAIN_CONFIG] - The name under which to save the configuration
  * @returns {boolean} True if saved successfully, false otherwise
  */
 function saveConfig(config, name = STORAGE_KEYS.MAIN_CONFIG) {
     try {
-        localStorage.setItem(name, JSON.stringify(config));
+        writeItem(name, JSON.stringify(config));
         return true;
     } catch (error) {
         console.error(`Failed to save configuration '${name}':`, error);
@@ -22,52 +182,40 @@ function saveConfig(config, name = STORAGE_KEYS.MAIN_CONFIG) {
 }
 
 /**
- * Load configuration from localStorage.
+ * Load configuration from storage.
  * @param {string} [name=STORAGE_KEYS.MAIN_CONFIG] - The name of the configuration to load
  * @returns {Object|null} The loaded configuration or null if none exists or error occurs
  */
 function loadConfig(name = STORAGE_KEYS.MAIN_CONFIG) {
     try {
-        const savedConfig = localStorage.getItem(name);
+        const savedConfig = getBackend().getItem(prefix + name);
         if (!savedConfig) return null;
-        
+
         const parsed = JSON.parse(savedConfig);
         // Validate that the parsed config is an object and not null
         return parsed && typeof parsed === 'object' ? parsed : null;
     } catch (error) {
         console.error(`Failed to load configuration '${name}':`, error);
         // Clear invalid config from storage
-        localStorage.removeItem(name);
+        getBackend().removeItem(prefix + name);
         return null;
     }
 }
 
 /**
- * Merge a partial configuration with defaults.
- * @param {Object} config - The configuration to merge with defaults
- * @param {Object} defaults - The default configuration values
- * @returns {Object} A new object with merged configuration
+ * Remove every item saved by this app, leaving other keys on the origin alone.
+ * @returns {void}
  */
-function mergeWithDefaults(config, defaults) {
-    if (!config) return { ...defaults };
-    
-    // Handle nested objects like parallax and colors
-    const result = { ...defaults };
-    
-    for (const key in config) {
-        if (config.hasOwnProperty(key)) {
-            if (typeof config[key] === 'object' && config[key] !== null && 
-                !Array.isArray(config[key]) && defaults[key]) {
-                // Deep merge for nested objects
-                result[key] = { ...defaults[key], ...config[key] };
-            } else {
-                result[key] = config[key];
-            }
+function clearStorage() {
+    new Set([getBackend(), openedBackend]).forEach(target => {
+        if (!target) return;
+        try {
+            ownKeys(target).forEach(key => target.removeItem(key));
+        } catch (error) {
+            console.error(`Failed to clear saved settings from '${target.name}':`, error);
         }
-    }
-    
-    return result;
+    });
 }
 
 // Export for use in other files
-export { saveConfig, loadConfig, mergeWithDefaults };
+export { initStorage, saveConfig, loadConfig, clearStorage };
@@ -0,0 +1,310 @@
+/**
+ * Storage backends for the settings. Every backend has the same synchronous
+ * interface, so the rest of the app doesn't care where settings are kept:
+ * - `open()` - Prepare the backend; resolves once it can be used
+ * - `getItem(key)` - Stored string, or null
+ * - `setItem(key, value)` - Store a string; throws when the storage refuses it (e.g. quota)
+ * - `removeItem(key)` - Remove a key
+ * - `keys()` - All keys currently stored
+ * - `flush()` - Resolves once every write so far is stored, rejects if one failed
+ * - `persistent` - Whether items outlive the browser session
+ */
+
+/**
+ * Keeps items in a Map for the lifetime of the page.
+ * Used on its own, and as the fallback when persistent storage fails.
+ */
+class MemoryStorageBackend {
+    /**
+     * Create a new MemoryStorageBackend instance.
+     */
+    constructor() {
+        this.name = 'memory';
+        this.persistent = false;
+
+        /** @type {Map<string, string>} */
+        this.items = new Map();
+    }
+
+    /**
+     * Nothing to prepare.
+     * @returns {Promise<void>} Resolves immediately
+     */
+    open() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Read an item.
+     * @param {string} key - Item key
+     * @returns {string|null} Stored value, or null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * Store an item.
+     * @param {string} key - Item key
+     * @param {string} value - Value to store
+     * @returns {void}
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * Remove an item.
+     * @param {string} key - Item key
+     * @returns {void}
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * List the stored keys.
+     * @returns {string[]} Keys
+     */
+    keys() {
+        return [...this.items.keys()];
+    }
+
+    /**
+     * Nothing to wait for; items are stored at once.
+     * @returns {Promise<void>} Resolves immediately
+     */
+    flush() {
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Wraps a Web Storage area (localStorage or sessionStorage).
+ */
+class WebStorageBackend {
+    /**
+     * Create a new WebStorageBackend instance.
+     * @param {'localStorage'|'sessionStorage'} name - Storage area on `globalThis`
+     */
+    constructor(name) {
+        this.name = name;
+        this.persistent = name === 'localStorage';
+
+        /** @type {Storage|null} */
+        this.storage = null;
+    }
+
+    /**
+     * Look up the storage area and check that it accepts writes. Reading the
+     * property throws when storage is blocked, and some private modes only
+     * fail on the first write.
+     * @returns {Promise<void>} Resolves when the storage is usable, rejects otherwise
+     */
+    open() {
+        try {
+            const storage = globalThis[this.name];
+            if (!storage) throw new Error(`${this.name} is not available`);
+
+            const probeKey = '__cosmicSkyProbe__';
+            storage.setItem(probeKey, '1');
+            storage.removeItem(probeKey);
+
+            this.storage = storage;
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Read an item.
+     * @param {string} key - Item key
+     * @returns {string|null} Stored value, or null
+     */
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    /**
+     * Store an item.
+     * @param {string} key - Item key
+     * @param {string} value - Value to store
+     * @returns {void}
+     */
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    /**
+     * Remove an item.
+     * @param {string} key - Item key
+     * @returns {void}
+     */
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    /**
+     * List the stored keys, including other apps' keys on the same origin.
+     * @returns {string[]} Keys
+     */
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+
+    /**
+     * Nothing to wait for; Web Storage writes are synchronous and throw when refused.
+     * @returns {Promise<void>} Resolves immediately
+     */
+    flush() {
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Keeps items in an IndexedDB object store. IndexedDB is asynchronous, so all
+ * items are read into memory when the backend is opened; reads are served from
+ * there and writes update it at once and are written through in the background.
+ * A failed background write is logged and the value stays in memory for the session.
+ */
+class IndexedDBStorageBackend {
+    /**
+     * Create a new IndexedDBStorageBackend instance.
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.databaseName='cosmicSky'] - Database name
+     * @param {string} [options.storeName='settings'] - Object store name
+     */
+    constructor(options = {}) {
+        this.name = 'indexedDB';
+        this.persistent = true;
+        this.databaseName = options.databaseName || 'cosmicSky';
+        this.storeName = options.storeName || 'settings';
+
+        /** @type {IDBDatabase|null} */
+        this.db = null;
+
+        /** @type {Map<string, string>} Copy of the object store */
+        this.items = new Map();
+
+        /** @type {Set<Promise<void>>} Background writes still in progress */
+        this.pendingWrites = new Set();
+    }
+
+    /**
+     * Open the database and read every item into memory.
+     * @returns {Promise<void>} Resolves when the items are loaded, rejects if the database can't be opened
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('indexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`Database '${this.databaseName}' is blocked`));
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                const transaction = this.db.transaction(this.storeName, 'readonly');
+                const store = transaction.objectStore(this.storeName);
+                const keysRequest = store.getAllKeys();
+                const valuesRequest = store.getAll();
+
+                transaction.oncomplete = () => {
+                    keysRequest.result.forEach((key, i) => this.items.set(String(key), String(valuesRequest.result[i])));
+                    resolve();
+                };
+                transaction.onerror = () => reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Read an item.
+     * @param {string} key - Item key
+     * @returns {string|null} Stored value, or null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * Store an item.
+     * @param {string} key - Item key
+     * @param {string} value - Value to store
+     * @returns {void}
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+        this._write(store => store.put(String(value), key));
+    }
+
+    /**
+     * Remove an item.
+     * @param {string} key - Item key
+     * @returns {void}
+     */
+    removeItem(key) {
+        this.items.delete(key);
+        this._write(store => store.delete(key));
+    }
+
+    /**
+     * List the stored keys.
+     * @returns {string[]} Keys
+     */
+    keys() {
+        return [...this.items.keys()];
+    }
+
+    /**
+     * Wait for the background writes started so far.
+     * @returns {Promise<void>} Resolves once they are committed, rejects if one failed
+     */
+    flush() {
+        return Promise.all([...this.pendingWrites]).then(() => {});
+    }
+
+    /**
+     * Run a write in its own transaction.
+     * @param {function(IDBObjectStore): void} operation - Write to perform on the store
+     * @returns {void}
+     * @private
+     */
+    _write(operation) {
+        if (!this.db) return;
+
+        const written = new Promise((resolve, reject) => {
+            const fail = (error) => {
+                console.error('Failed to write settings to IndexedDB; they are kept in memory for this session:', error);
+                reject(error);
+            };
+
+            try {
+                const transaction = this.db.transaction(this.storeName, 'readwrite');
+                operation(transaction.objectStore(this.storeName));
+
+                transaction.oncomplete = () => resolve();
+                // A failed request (e.g. over quota) aborts the transaction
+                transaction.onabort = () => fail(transaction.error);
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        // Failures are logged above; flush() reports them to whoever waits
+        written.catch(() => {});
+        this.pendingWrites.add(written);
+        written.finally(() => this.pendingWrites.delete(written)).catch(() => {});
+    }
+}
+
+export { MemoryStorageBackend, WebStorageBackend, IndexedDBStorageBackend };
@@ -0,0 +1,104 @@
+/**
+ * Sky configuration in the URL hash.
+ * Only the settings that differ from the defaults are kept, as base64url
+ * encoded JSON under `#sky=`, so a link reproduces a sky (with its seed)
+ * without carrying the whole configuration.
+ */
+
+import Utils from './utils.js';
+
+/** Hash parameter holding the encoded configuration */
+const HASH_KEY = 'sky';
+
+/**
+ * Top-level settings that describe this device or this page rather than the
+ * sky, and are never put in a link.
+ * @type {string[]}
+ */
+export const LOCAL_ONLY_KEYS = ['rendering', 'share'];
+
+/**
+ * Collect the settings that differ from the defaults.
+ * @param {Object} config - Configuration
+ * @param {Object} defaults - Default configuration
+ * @returns {Object} Partial configuration with only the changed values
+ */
+export function diffConfig(config, defaults) {
+    const diff = {};
+
+    Object.keys(config).forEach(key => {
+        const value = config[key];
+        const defaultValue = defaults ? defaults[key] : undefined;
+
+        if (Utils.isPlainObject(value) && Utils.isPlainObject(defaultValue)) {
+            const nested = diffConfig(value, defaultValue);
+            if (Object.keys(nested).length > 0) diff[key] = nested;
+        } else if (JSON.stringify(value) !== JSON.stringify(defaultValue)) {
+            diff[key] = value;
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * Encode text as base64url.
+ * @param {string} text - Text to encode
+ * @returns {string} Base64url without padding
+ * @private
+ */
+function toBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text.
+ * @param {string} encoded - Base64url, with or without padding
+ * @returns {string} Decoded text
+ * @private
+ */
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Encode the shareable part of a configuration for the URL hash.
+ * @param {Object} config - Configuration
+ * @param {Object} defaults - Default configuration
+ * @returns {string} Hash without the leading `#`, e.g. `sky=eyJzdGFy...`
+ */
+export function encodeConfigHash(config, defaults) {
+    const shared = { ...config };
+    LOCAL_ONLY_KEYS.forEach(key => delete shared[key]);
+
+    // The version always goes along, so the link can be upgraded when the format changes
+    const diff = { configVersion: config.configVersion, ...diffConfig(shared, defaults) };
+    return `${HASH_KEY}=${toBase64Url(JSON.stringify(diff))}`;
+}
+
+/**
+ * Read a configuration from a URL hash.
+ * @param {string} hash - URL hash, with or without the leading `#`
+ * @returns {Object|null} Partial configuration (changes from the defaults), or null if the hash has none
+ */
+export function decodeConfigHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) return null;
+
+    try {
+        const config = JSON.parse(fromBase64Url(encoded));
+        if (!Utils.isPlainObject(config)) return null;
+
+        LOCAL_ONLY_KEYS.forEach(key => delete config[key]);
+        return config;
+    } catch (error) {
+        console.error('Failed to read sky configuration from the URL:', error);
+        return null;
+    }
+}
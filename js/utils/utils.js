@@ -1,5 +1,5 @@
 /**
- * Utility functions for the galaxy visualization using GSAP and Canvas
+ * Utility functions for the galaxy visualization: math, random values, colours, canvas gradients and config paths
  */
 
 class Utils {
@@ -45,20 +45,22 @@ class Utils {
      * Generates a random number between min and max
      * @param {number} min - Minimum value (inclusive)
      * @param {number} max - Maximum value (exclusive)
+     * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1)
      * @returns {number} A random number in the specified range
      */
-    static randomInRange(min, max) {
-        return Math.random() * (max - min) + min;
+    static randomInRange(min, max, random = Math.random) {
+        return random() * (max - min) + min;
     }
 
     /**
      * Generates a random integer between min and max (inclusive)
      * @param {number} min - Minimum value (inclusive)
      * @param {number} max - Maximum value (inclusive)
+     * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1)
      * @returns {number} A random integer in the specified range
      */
-    static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    static randomInt(min, max, random = Math.random) {
+        return Math.floor(random() * (max - min + 1)) + min;
     }
 
     /**
@@ -109,10 +111,11 @@ class Utils {
 
     /**
      * Calculates the frame rate (FPS)
+     * @param {number} [start=performance.now()] - Timestamp counting starts from
      * @returns {Object} An object with FPS calculation methods
      */
-    static fpsCounter() {
-        let lastTime = performance.now();
+    static fpsCounter(start = performance.now()) {
+        let lastTime = start;
         let frameCount = 0;
         let fps = 0;
         
@@ -143,6 +146,42 @@ class Utils {
             }
         };
     }
+
+    /**
+     * Reads a nested value by its dotted path
+     * @param {Object} object - Object to read from
+     * @param {string} path - Dotted path, e.g. 'starLinks.maxDistance'
+     * @returns {*} The value, or undefined if any part of the path is missing
+     */
+    static getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+    }
+
+    /**
+     * Writes a nested value by its dotted path, creating missing objects on the way
+     * @param {Object} object - Object to write to
+     * @param {string} path - Dotted path, e.g. 'starLinks.maxDistance'
+     * @param {*} value - Value to write
+     * @returns {void}
+     */
+    static setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((target, key) => {
+            if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+            return target[key];
+        }, object);
+        parent[last] = value;
+    }
+
+    /**
+     * Checks whether a value is a plain object (not an array or null)
+     * @param {*} value - Value to check
+     * @returns {boolean} True for plain objects
+     */
+    static isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
 }
 
 // Export the Utils class as default